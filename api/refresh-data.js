@@ -13,6 +13,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import YoLinkClient from '../lib/yolink.js';
 import GoogleSheetsClient from '../lib/sheets.js';
+import { tankCalibration, depthToVolume } from '../lib/tanks.js';
+import { calculateFlowMetrics } from '../lib/tank-flow.js';
+import { evaluateMetric } from '../lib/alarms.js';
+import { initDatabase, getTanks } from '../db/database.js';
 
 // Get directory name for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -36,6 +40,56 @@ function loadGoogleCredentials() {
   }
 }
 
+/**
+ * Build the dashboard entry for a registered tank
+ * Prefers MQTT readings over the REST API (more reliable for tank sensors);
+ * a tank with only MQTT data is treated as online, with neither as offline
+ */
+function buildTankEntry(tank, restData, mqttData) {
+  const cal = tankCalibration(tank);
+
+  if (!tank.sensor_id) {
+    return {
+      id: `tank${tank.id}`,
+      name: tank.name,
+      role: tank.role,
+      status: 'no_sensor',
+      message: 'Sensor not yet installed',
+      level: null,
+      percentage: null,
+      capacity: cal.capacityGal
+    };
+  }
+
+  // Get the depth from MQTT or REST API
+  const depth = mqttData?.level ?? restData?.depth ?? null;
+
+  // Calculate percentage and gallons based on depth
+  const { percentage, gallons } = depthToVolume(depth, cal);
+
+  let status = 'offline';
+  if (restData) status = restData.online ? 'online' : 'offline';
+  else if (mqttData) status = 'online';
+
+  return {
+    id: tank.sensor_id,
+    name: tank.name,
+    role: tank.role,
+    status,
+    level: depth,
+    depthUnit: mqttData?.levelUnit ?? restData?.depthUnit ?? 'cm',
+    percentage,
+    battery: mqttData?.battery ?? restData?.battery ?? null,
+    lastUpdate: mqttData?.timestamp ?? restData?.lastUpdate ?? null,
+    temperature: mqttData?.temperature ?? null,
+    gallons,
+    capacity: cal.capacityGal,
+    // Fill/draw rate and hours remaining from the reading history
+    flow: calculateFlowMetrics(tank, gallons),
+    dataSource: mqttData ? 'mqtt' : restData ? 'rest' : null
+  };
+}
+
 /**
  * Main refresh function
  */
@@ -75,6 +129,10 @@ async function refreshData() {
     console.log('  No MQTT readings file found (MQTT listener may not be running)');
   }
 
+  // Tanks come from the registry; REST/MQTT data is merged in by sensor ID
+  const registry = getTanks();
+  let restTanks = {};
+
   try {
     const yolink = new YoLinkClient(
       process.env.YOLINK_CLIENT_ID,
@@ -82,119 +140,28 @@ async function refreshData() {
     );
 
     const tanks = await yolink.getTankLevels();
-
-    // Per-tank calibration: height at 100% full and capacity in gallons
-    const TANK_CALIBRATION = {
-      'd88b4c010009063b': { heightCm: 32.63, capacityGal: 2500 }, // Tank 2
-      'd88b4c01000bf5ee': { heightCm: 34.53, capacityGal: 2500 }  // Tank 3
-    };
-    const DEFAULT_CALIBRATION = { heightCm: 39, capacityGal: 2500 };
-
-    // Transform to dashboard format, merging MQTT readings where available
-    output.tanks = [
-      {
-        id: 'tank1',
-        name: 'Tank 1 - Source/Chlorination',
-        status: 'no_sensor',
-        message: 'Sensor not yet installed',
-        level: null,
-        percentage: null,
-        capacity: 1500
-      },
-      ...tanks.map(tank => {
-        // Check if we have MQTT readings for this device
-        const mqttData = mqttReadings[tank.id];
-
-        // Get the depth from MQTT or REST API
-        const depth = mqttData?.level ?? tank.depth ?? null;
-
-        // Use per-tank calibration or fall back to default
-        const cal = TANK_CALIBRATION[tank.id] || DEFAULT_CALIBRATION;
-
-        // Calculate percentage and gallons based on depth
-        let percentage = null;
-        let gallons = null;
-
-        if (depth !== null && depth !== undefined) {
-          percentage = Math.round((depth / cal.heightCm) * 100);
-          gallons = Math.round((depth / cal.heightCm) * cal.capacityGal);
-
-          // Ensure percentage doesn't exceed 100%
-          if (percentage > 100) percentage = 100;
-        }
-
-        return {
-          id: tank.id,
-          name: tank.name,
-          status: tank.online ? 'online' : 'offline',
-          // Prefer MQTT readings over REST API (more reliable for tank sensors)
-          level: depth,
-          depthUnit: mqttData?.levelUnit ?? tank.depthUnit ?? 'cm',
-          percentage: percentage,
-          battery: mqttData?.battery ?? tank.battery,
-          lastUpdate: mqttData?.timestamp ?? tank.lastUpdate,
-          temperature: mqttData?.temperature ?? null,
-          gallons: gallons,
-          capacity: cal.capacityGal,
-          dataSource: mqttData ? 'mqtt' : 'rest'
-        };
-      })
-    ];
+    restTanks = Object.fromEntries(tanks.map(tank => [tank.id, tank]));
 
     console.log(`✓ Found ${tanks.length} YoLink sensors (${tanks.filter(t => t.online).length} online)`);
+
+    for (const tank of tanks) {
+      if (!registry.some(t => t.sensor_id === tank.id)) {
+        console.log(`  ⚠️  Sensor ${tank.name} (${tank.id}) is not in the tank registry — add it via /api/tanks`);
+      }
+    }
   } catch (error) {
     console.error('⚠️  Failed to fetch YoLink data:', error.message);
 
     // Fall back to MQTT readings if REST API fails
     if (Object.keys(mqttReadings).length > 0) {
       console.log('  Using MQTT readings as fallback...');
-      
-      // Per-tank calibration (same as above)
-      const TANK_CAL = {
-        'd88b4c010009063b': { heightCm: 32.63, capacityGal: 2500 }, // Tank 2
-        'd88b4c01000bf5ee': { heightCm: 34.53, capacityGal: 2500 }  // Tank 3
-      };
-      const DEFAULT_CAL = { heightCm: 39, capacityGal: 2500 };
-
-      output.tanks = [
-        { id: 'tank1', name: 'Tank 1 - Source/Chlorination', status: 'no_sensor', level: null, percentage: null, capacity: 1500 },
-        ...Object.values(mqttReadings).map(reading => {
-          const cal = TANK_CAL[reading.deviceId] || DEFAULT_CAL;
-          // Calculate percentage and gallons
-          let percentage = null;
-          let gallons = null;
-
-          if (reading.level !== null && reading.level !== undefined) {
-            percentage = Math.round((reading.level / cal.heightCm) * 100);
-            gallons = Math.round((reading.level / cal.heightCm) * cal.capacityGal);
-            if (percentage > 100) percentage = 100;
-          }
-          
-          return {
-            id: reading.deviceId,
-            name: reading.name,
-            status: 'online',
-            level: reading.level,
-            depthUnit: reading.levelUnit || 'cm',
-            percentage: percentage,
-            battery: reading.battery,
-            lastUpdate: reading.timestamp,
-            temperature: reading.temperature,
-            gallons: gallons,
-            capacity: cal.capacityGal,
-            dataSource: 'mqtt'
-          };
-        })
-      ];
-    } else {
-      // No MQTT readings, use placeholder data
-      output.tanks = [
-        { id: 'tank1', name: 'Tank 1 - Source/Chlorination', status: 'no_sensor', level: null, percentage: null, capacity: 1500 },
-        { id: 'tank2', name: 'Tank 2 - Distribution', status: 'offline', level: null, percentage: null, capacity: 2500 },
-        { id: 'tank3', name: 'Tank 3 - Distribution', status: 'offline', level: null, percentage: null, capacity: 2500 }
-      ];
     }
   }
+
+  // Transform to dashboard format, merging MQTT readings where available
+  output.tanks = registry.map(tank =>
+    buildTankEntry(tank, restTanks[tank.sensor_id], mqttReadings[tank.sensor_id])
+  );
   console.log('');
 
   // 2. Fetch Chlorine Data (Google Sheets)
@@ -212,6 +179,9 @@ async function refreshData() {
     output.chlorine.latest = latest;
     console.log(`✓ Latest chlorine: ${latest.ppm} ppm (${latest.status})`);
 
+    // Page operators if the residual has dropped below the chlorine rule
+    await evaluateMetric('chlorine', 'chlorine', latest.ppm);
+
     // Get 30-day history
     const history = await sheets.getRecentChlorineData(30);
     output.chlorine.history = history;
@@ -297,6 +267,7 @@ async function refreshData() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
+  initDatabase();
   refreshData()
     .then(() => process.exit(0))
     .catch(error => {
@@ -0,0 +1,183 @@
+/**
+ * Operator Alarm API Routes
+ * Manage alarm rules, view tripped alarms, and acknowledge them from the dashboard
+ */
+
+import { Router } from 'express';
+import {
+  getAlarmRules,
+  getAlarmRuleById,
+  createAlarmRule,
+  updateAlarmRule,
+  deleteAlarmRule,
+  getAlarms,
+  getAlarmById,
+  getAlarmNotifications,
+  acknowledgeAlarm
+} from '../../db/database.js';
+
+const router = Router();
+
+const METRICS = ['tank_level', 'chlorine', 'sensor_offline'];
+
+/**
+ * Validate alarm rule fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateRule(body, { partial = false } = {}) {
+  const { name, metric, comparator, threshold, duration_minutes, hysteresis, cooldown_minutes } = body;
+
+  if (!partial && (!name || !String(name).trim())) {
+    return 'Name is required';
+  }
+  if ((!partial || metric !== undefined) && !METRICS.includes(metric)) {
+    return 'Invalid metric. Must be tank_level, chlorine, or sensor_offline.';
+  }
+  if (comparator !== undefined && !['below', 'above'].includes(comparator)) {
+    return 'Invalid comparator. Must be below or above.';
+  }
+  if ((!partial || threshold !== undefined) && !Number.isFinite(Number(threshold))) {
+    return 'threshold must be a number';
+  }
+  for (const [field, value] of Object.entries({ duration_minutes, hysteresis, cooldown_minutes })) {
+    if (value !== undefined && !(Number(value) >= 0)) {
+      return `${field} must be zero or more`;
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/alarms
+ * List alarms, most recent first
+ * Query: ?status=open|acknowledged|resolved|active&limit=50
+ */
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    res.json(getAlarms({ status, limit }));
+  } catch (error) {
+    console.error('Error listing alarms:', error.message);
+    res.status(500).json({ error: 'Failed to list alarms' });
+  }
+});
+
+/**
+ * GET /api/alarms/rules
+ * List all alarm rules
+ */
+router.get('/rules', (req, res) => {
+  try {
+    res.json(getAlarmRules());
+  } catch (error) {
+    console.error('Error listing alarm rules:', error.message);
+    res.status(500).json({ error: 'Failed to list alarm rules' });
+  }
+});
+
+/**
+ * POST /api/alarms/rules
+ * Create an alarm rule
+ * Body: { name, metric, device_id, comparator, threshold, duration_minutes, hysteresis, cooldown_minutes, enabled }
+ */
+router.post('/rules', (req, res) => {
+  try {
+    const error = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = createAlarmRule(req.body);
+    res.status(201).json(getAlarmRuleById(result.id));
+  } catch (error) {
+    console.error('Error creating alarm rule:', error.message);
+    res.status(500).json({ error: 'Failed to create alarm rule' });
+  }
+});
+
+/**
+ * PUT /api/alarms/rules/:id
+ * Update an alarm rule (e.g. { enabled: false } to silence it)
+ */
+router.put('/rules/:id', (req, res) => {
+  try {
+    const existing = getAlarmRuleById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alarm rule not found' });
+    }
+
+    const error = validateRule(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    updateAlarmRule(req.params.id, req.body);
+    res.json(getAlarmRuleById(req.params.id));
+  } catch (error) {
+    console.error('Error updating alarm rule:', error.message);
+    res.status(500).json({ error: 'Failed to update alarm rule' });
+  }
+});
+
+/**
+ * DELETE /api/alarms/rules/:id
+ * Delete an alarm rule (its past alarms are kept)
+ */
+router.delete('/rules/:id', (req, res) => {
+  try {
+    const existing = getAlarmRuleById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alarm rule not found' });
+    }
+
+    deleteAlarmRule(req.params.id);
+    res.json({ message: 'Alarm rule deleted' });
+  } catch (error) {
+    console.error('Error deleting alarm rule:', error.message);
+    res.status(500).json({ error: 'Failed to delete alarm rule' });
+  }
+});
+
+/**
+ * GET /api/alarms/:id
+ * Get one alarm with the texts sent for it (who was paged, at what escalation level)
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const alarm = getAlarmById(req.params.id);
+    if (!alarm) {
+      return res.status(404).json({ error: 'Alarm not found' });
+    }
+
+    res.json({ ...alarm, notifications: getAlarmNotifications(alarm.id) });
+  } catch (error) {
+    console.error('Error getting alarm:', error.message);
+    res.status(500).json({ error: 'Failed to get alarm' });
+  }
+});
+
+/**
+ * POST /api/alarms/:id/acknowledge
+ * Acknowledge an open alarm as the logged-in user, stopping escalation
+ */
+router.post('/:id/acknowledge', (req, res) => {
+  try {
+    const alarm = getAlarmById(req.params.id);
+    if (!alarm) {
+      return res.status(404).json({ error: 'Alarm not found' });
+    }
+    if (alarm.status !== 'open') {
+      return res.status(409).json({ error: `Alarm is already ${alarm.status}` });
+    }
+
+    acknowledgeAlarm(alarm.id, req.user?.email);
+    console.log(`👍 Alarm ${alarm.id} acknowledged by ${req.user?.email} (dashboard)`);
+    res.json(getAlarmById(alarm.id));
+  } catch (error) {
+    console.error('Error acknowledging alarm:', error.message);
+    res.status(500).json({ error: 'Failed to acknowledge alarm' });
+  }
+});
+
+export default router;
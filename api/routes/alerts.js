@@ -1,19 +1,63 @@
 /**
  * Alert API Routes
- * Send alerts, test messages, and view history
+ * Send alerts now (queued as background broadcasts) or schedule them for later,
+ * to every zone or just some, by text, email, and/or call per subscriber, with
+ * a translation per subscriber language if the sender adds one,
+ * pause/resume/cancel them, retry failed recipients, send test messages,
+ * manage message templates, and view history
  */
 
 import { Router } from 'express';
 import {
   getActiveSubscribers,
   createAlert,
-  updateAlertCounts,
   getAlertHistory,
   getAlertById,
-  logDelivery,
-  getDeliveryLog
+  getAlertRetries,
+  getAlertMessages,
+  getAlertReminder,
+  getDeliveryLog,
+  getDeliveryStatsByChannel,
+  getRetryableDeliveries,
+  getBroadcastJobByAlertId,
+  getScheduledAlerts,
+  updateScheduledAlert,
+  cancelScheduledAlert,
+  getAlertTemplates,
+  getAlertTemplateById,
+  createAlertTemplate,
+  updateAlertTemplate,
+  deleteAlertTemplate
 } from '../../db/database.js';
-import TwilioService from '../../lib/twilio.js';
+import TwilioService, { getStatusCallbackUrl, NON_RETRYABLE_ERROR_CODES } from '../../lib/twilio.js';
+import { NON_RETRYABLE_EMAIL_CODES } from '../../lib/email.js';
+import { getDeliveries, countByChannel, getChannelConfigError, estimateDeliveryCost } from '../../lib/channels.js';
+import {
+  broadcastDeliveries,
+  broadcastEvents,
+  getBroadcastState,
+  pauseBroadcast,
+  resumeBroadcast,
+  cancelBroadcast
+} from '../../lib/broadcast-queue.js';
+import { toScheduleTime } from '../../lib/alert-scheduler.js';
+import { getPlaceholders, validateTemplateBody, renderTemplate, resolveMessage } from '../../lib/templates.js';
+import { getNonGsmCharacters } from '../../lib/sms-segments.js';
+import { ALERT_TYPES, overridesPreferences } from '../../lib/alert-types.js';
+import { formatAlertZones, resolveZones } from '../../lib/zones.js';
+import { DEFAULT_LANGUAGE, resolveVariants, getAlertVariants } from '../../lib/languages.js';
+
+const RECURRENCES = ['daily', 'weekly'];
+
+// Keep idle progress streams open through proxies (in ms)
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// Minutes to wait after an attempt before retrying its failed recipients;
+// doubles with each retry (10, 20, 40 min by default)
+const RETRY_BACKOFF_MINUTES = parseInt(process.env.RETRY_BACKOFF_MINUTES) || 10;
+
+// Maximum number of retries per alert
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3;
 
 const router = Router();
 
@@ -30,103 +74,85 @@ function getTwilioService() {
 
 /**
  * POST /api/alerts/send
- * Send an alert to subscribers
- * Body: { type, message }
+ * Queue an alert for the active subscribers who want this type, on each of
+ * their channels (text and/or email). Responds 202
+ * straight away; follow progress at GET /api/alerts/:id/progress
+ * Body: { type, message } or { template_id, type? }, plus { values } for placeholders
+ * and { zones: [zoneId, ...] } to send to only those zones
+ * and { variants: { es: '...', ... } } for subscribers in other languages (English is `message`)
+ * Boil notices go to every active subscriber (in the zones) unless `override_preferences: false`
  */
 router.post('/send', async (req, res) => {
   try {
-    const { type, message } = req.body;
+    const resolved = resolveMessage(req.body);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { message } = resolved;
+    const type = req.body.type || resolved.template?.type;
 
     // Validate
-    if (!type || !['repair', 'outage', 'boil', 'boil_lifted'].includes(type)) {
+    if (!type || !ALERT_TYPES.includes(type)) {
       return res.status(400).json({ error: 'Invalid alert type. Must be repair, outage, boil, or boil_lifted.' });
     }
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required' });
+    const { zones, error: zoneError } = resolveZones(req.body.zones);
+    if (zoneError) {
+      return res.status(400).json({ error: zoneError });
+    }
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
     }
 
-    // Get all active recipients
-    const subscribers = getActiveSubscribers();
+    // Get active recipients in the zones who want this type (or everyone, for boil notices)
+    const override = overridesPreferences(type, req.body.override_preferences);
+    const subscribers = getActiveSubscribers({ alertType: type, overridePreferences: override, zones });
     if (subscribers.length === 0) {
-      return res.status(400).json({ error: 'No active subscribers found' });
+      return res.status(400).json({ error: 'No active subscribers found for this alert type' });
     }
 
-    // Estimate cost
-    const costEstimate = TwilioService.estimateCost(message.length, subscribers.length);
+    // One delivery per subscriber per channel; texts and calls cost, email doesn't
+    const deliveries = getDeliveries(subscribers, type);
+    const channels = countByChannel(deliveries);
+    const costEstimate = estimateDeliveryCost({ ...variants, [DEFAULT_LANGUAGE]: message }, deliveries);
 
     // Create alert record
     const alert = createAlert({
       type,
       message,
-      zone: 'all',
-      recipient_count: subscribers.length,
-      cost_estimate: costEstimate.totalCost
+      variants,
+      zone: formatAlertZones(zones),
+      recipient_count: deliveries.length,
+      cost_estimate: costEstimate.totalCost,
+      override_preferences: override
     });
 
-    // Check Twilio configuration
-    const twilio = getTwilioService();
-    if (!twilio) {
-      // No Twilio credentials — log the alert but don't actually send
-      updateAlertCounts(alert.id, {
-        delivered_count: 0,
-        failed_count: subscribers.length,
-        status: 'failed'
-      });
-
-      // Still log each intended recipient
-      for (const sub of subscribers) {
-        logDelivery({
-          alert_id: alert.id,
-          subscriber_id: sub.id,
-          phone: sub.phone,
-          twilio_sid: null,
-          status: 'failed',
-          error_message: 'Twilio not configured'
-        });
-      }
-
-      return res.status(503).json({
-        error: 'Twilio is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER in .env',
-        alert_id: alert.id,
-        recipients: subscribers.length
-      });
+    // Queue the broadcast — Twilio reports delivery later via /api/twilio/status
+    // (texts) and /api/twilio/voice-status (calls).
+    // Deliveries on a channel that isn't configured are logged as failed.
+    const statusCallback = getStatusCallbackUrl();
+    if (!statusCallback && channels.sms > 0) {
+      console.warn('PUBLIC_BASE_URL not set — delivery status callbacks are disabled');
     }
-
-    // Send messages
-    const recipients = subscribers.map(s => ({ id: s.id, phone: s.phone }));
-    const results = await twilio.sendBulk(recipients, message);
-
-    // Log each delivery
-    let delivered = 0;
-    let failed = 0;
-    for (const result of results) {
-      logDelivery({
+    const configError = getChannelConfigError(deliveries);
+    const { queued, failed } = broadcastDeliveries(alert, deliveries, { statusCallback });
+    if (queued === 0) {
+      return res.status(503).json({
+        error: configError,
         alert_id: alert.id,
-        subscriber_id: result.subscriber_id,
-        phone: result.phone,
-        twilio_sid: result.twilio_sid,
-        status: result.status,
-        error_message: result.error_message
+        recipients: deliveries.length
       });
-      if (result.status === 'failed') failed++;
-      else delivered++;
     }
 
-    // Update alert record
-    updateAlertCounts(alert.id, {
-      delivered_count: delivered,
-      failed_count: failed,
-      status: 'completed'
-    });
-
-    res.json({
+    res.status(202).json({
       alert_id: alert.id,
       type,
-      recipient_count: subscribers.length,
-      delivered_count: delivered,
+      subscriber_count: subscribers.length,
+      recipient_count: deliveries.length,
+      channels,
       failed_count: failed,
       cost_estimate: costEstimate.totalCost,
-      status: 'completed'
+      status: 'sending'
     });
   } catch (error) {
     console.error('Error sending alert:', error.message);
@@ -137,16 +163,17 @@ router.post('/send', async (req, res) => {
 /**
  * POST /api/alerts/test
  * Send a test message to the admin phone number only
- * Body: { message }
+ * Body: { message } or { template_id }, plus { values } for placeholders
  */
 router.post('/test', async (req, res) => {
   try {
-    const { message } = req.body;
+    const resolved = resolveMessage(req.body);
     const adminPhone = process.env.ADMIN_PHONE_NUMBER;
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
+    const { message } = resolved;
     if (!adminPhone) {
       return res.status(503).json({ error: 'ADMIN_PHONE_NUMBER not configured in .env' });
     }
@@ -169,16 +196,356 @@ router.post('/test', async (req, res) => {
   }
 });
 
+/**
+ * Validate scheduled alert fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateSchedule(body, { partial = false } = {}) {
+  const { type, message, scheduled_at, recurrence, recurrence_until, reminder_at } = body;
+  const now = toScheduleTime(new Date());
+
+  if ((!partial || type !== undefined) && !ALERT_TYPES.includes(type)) {
+    return 'Invalid alert type. Must be repair, outage, boil, or boil_lifted.';
+  }
+  if ((!partial || message !== undefined) && (!message || !String(message).trim())) {
+    return 'Message is required';
+  }
+  if (!partial || scheduled_at !== undefined) {
+    const at = toScheduleTime(scheduled_at);
+    if (!at) return 'scheduled_at must be a date and time, e.g. 2026-06-02T21:00:00-04:00';
+    if (at <= now) return 'scheduled_at must be in the future';
+  }
+  if (recurrence && !RECURRENCES.includes(recurrence)) {
+    return 'recurrence must be daily or weekly';
+  }
+  if (recurrence_until && !toScheduleTime(recurrence_until)) {
+    return 'recurrence_until must be a date and time';
+  }
+  if (reminder_at !== undefined && reminder_at !== null) {
+    const at = toScheduleTime(reminder_at);
+    if (!at) return 'reminder_at must be a date and time';
+    if (at <= toScheduleTime(scheduled_at)) return 'reminder_at must be after scheduled_at';
+  }
+  return null;
+}
+
+/**
+ * GET /api/alerts/scheduled
+ * List alerts waiting to be sent (including reminders), soonest first, each
+ * with its translations (`variants`)
+ */
+router.get('/scheduled', (req, res) => {
+  try {
+    res.json(getScheduledAlerts().map(alert => ({ ...alert, variants: getAlertMessages(alert.id) })));
+  } catch (error) {
+    console.error('Error listing scheduled alerts:', error.message);
+    res.status(500).json({ error: 'Failed to list scheduled alerts' });
+  }
+});
+
+/**
+ * POST /api/alerts/scheduled
+ * Schedule an alert for later, optionally with a reminder and/or repeating
+ * Body: { type, message (or template_id), values?, scheduled_at, recurrence?: 'daily' | 'weekly',
+ *         recurrence_until?, reminder_at?, reminder_message?, zones?, variants?,
+ *         reminder_variants? }  (times are ISO 8601)
+ * Placeholders are filled in now, not at send time. The reminder is its own
+ * scheduled alert (reminder_of → this one); its message defaults to
+ * "REMINDER: " + message, and each translation's to "REMINDER: " + translation.
+ */
+router.post('/scheduled', (req, res) => {
+  try {
+    const resolved = resolveMessage(req.body);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { message } = resolved;
+    const type = req.body.type || resolved.template?.type;
+
+    const error = validateSchedule({ ...req.body, type, message });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { zones, error: zoneError } = resolveZones(req.body.zones);
+    if (zoneError) {
+      return res.status(400).json({ error: zoneError });
+    }
+
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    let reminderMessage = `REMINDER: ${message}`;
+    let reminderVariants = Object.fromEntries(
+      Object.entries(variants).map(([language, text]) => [language, `REMINDER: ${text}`]));
+    if (req.body.reminder_message?.trim()) {
+      const reminder = resolveMessage({ message: req.body.reminder_message, values: req.body.values });
+      if (reminder.error) {
+        return res.status(400).json({ error: `Reminder: ${reminder.error}` });
+      }
+      reminderMessage = reminder.message;
+
+      const translated = resolveVariants({ variants: req.body.reminder_variants, values: req.body.values });
+      if (translated.error) {
+        return res.status(400).json({ error: `Reminder: ${translated.error}` });
+      }
+      reminderVariants = translated.variants;
+    }
+
+    const { scheduled_at, recurrence, recurrence_until, reminder_at } = req.body;
+    const override = overridesPreferences(type, req.body.override_preferences);
+    const alert = createAlert({
+      type,
+      message,
+      variants,
+      zone: formatAlertZones(zones),
+      status: 'scheduled',
+      scheduled_at: toScheduleTime(scheduled_at),
+      recurrence,
+      recurrence_until: recurrence_until ? toScheduleTime(recurrence_until) : null,
+      override_preferences: override
+    });
+
+    let reminder = null;
+    if (reminder_at) {
+      const created = createAlert({
+        type,
+        message: reminderMessage,
+        variants: reminderVariants,
+        zone: formatAlertZones(zones),
+        status: 'scheduled',
+        scheduled_at: toScheduleTime(reminder_at),
+        reminder_of: alert.id,
+        override_preferences: override
+      });
+      reminder = getAlertById(created.id);
+    }
+
+    console.log(`🗓 Alert ${alert.id} scheduled for ${toScheduleTime(scheduled_at)} UTC by ${req.user?.email}`);
+    if (reminder) reminder.variants = getAlertMessages(reminder.id);
+    res.status(201).json({ ...getAlertById(alert.id), variants: getAlertMessages(alert.id), reminder });
+  } catch (error) {
+    console.error('Error scheduling alert:', error.message);
+    res.status(500).json({ error: 'Failed to schedule alert' });
+  }
+});
+
+/**
+ * PUT /api/alerts/scheduled/:id
+ * Change a scheduled alert (or reminder) before it's sent
+ * Body: any of { type, message, scheduled_at, recurrence, recurrence_until,
+ * override_preferences, zones, variants }, plus { values }
+ * `variants` replaces all of the alert's translations.
+ * Moving an alert moves its reminder too, keeping the time between them;
+ * a reminder can't be moved to before its alert. Returns the alert with its `reminder`.
+ */
+router.put('/scheduled/:id', (req, res) => {
+  try {
+    const alert = getAlertById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (alert.status !== 'scheduled') {
+      return res.status(409).json({ error: 'Only scheduled alerts can be edited' });
+    }
+
+    const { type, scheduled_at, recurrence, recurrence_until } = req.body;
+    let { message } = req.body;
+    if (message !== undefined) {
+      const resolved = resolveMessage({ message, values: req.body.values });
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      message = resolved.message;
+    }
+
+    const error = validateSchedule({ type, message, scheduled_at, recurrence, recurrence_until }, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const parent = alert.reminder_of ? getAlertById(alert.reminder_of) : null;
+    if (parent?.status === 'scheduled' && scheduled_at !== undefined &&
+        toScheduleTime(scheduled_at) <= parent.scheduled_at) {
+      return res.status(400).json({ error: 'A reminder must be scheduled after the alert it follows' });
+    }
+    const { zones, error: zoneError } = resolveZones(req.body.zones);
+    if (zoneError) {
+      return res.status(400).json({ error: zoneError });
+    }
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    // Re-decide who it goes to if the type or the sender's choice changed
+    let override;
+    if (type !== undefined || req.body.override_preferences !== undefined) {
+      override = overridesPreferences(type ?? alert.type, req.body.override_preferences);
+    }
+
+    const result = updateScheduledAlert(alert.id, {
+      type,
+      message,
+      variants: req.body.variants !== undefined ? variants : undefined,
+      zone: req.body.zones !== undefined ? formatAlertZones(zones) : undefined,
+      scheduled_at: scheduled_at !== undefined ? toScheduleTime(scheduled_at) : undefined,
+      recurrence,
+      recurrence_until: recurrence_until ? toScheduleTime(recurrence_until) : recurrence_until,
+      override_preferences: override
+    });
+    if (result?.changes === 0) {
+      return res.status(409).json({ error: 'Only scheduled alerts can be edited' });
+    }
+
+    const reminder = getAlertReminder(alert.id) || null;
+    if (reminder) reminder.variants = getAlertMessages(reminder.id);
+    res.json({ ...getAlertById(alert.id), variants: getAlertMessages(alert.id), reminder });
+  } catch (error) {
+    console.error('Error updating scheduled alert:', error.message);
+    res.status(500).json({ error: 'Failed to update scheduled alert' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/scheduled/:id
+ * Cancel a scheduled alert (and its reminder); it stays in history as cancelled
+ */
+router.delete('/scheduled/:id', (req, res) => {
+  try {
+    const alert = getAlertById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (alert.status !== 'scheduled') {
+      return res.status(409).json({ error: 'Alert is not scheduled' });
+    }
+
+    cancelScheduledAlert(alert.id);
+    console.log(`🗓 Scheduled alert ${alert.id} cancelled by ${req.user?.email}`);
+    res.json(getAlertById(alert.id));
+  } catch (error) {
+    console.error('Error cancelling scheduled alert:', error.message);
+    res.status(500).json({ error: 'Failed to cancel scheduled alert' });
+  }
+});
+
+/**
+ * Validate alert template fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateAlertTemplate(body, { partial = false } = {}) {
+  const { name, type } = body;
+
+  if ((!partial || name !== undefined) && (!name || !String(name).trim())) {
+    return 'Name is required';
+  }
+  if ((!partial || type !== undefined) && !ALERT_TYPES.includes(type)) {
+    return 'Invalid alert type. Must be repair, outage, boil, or boil_lifted.';
+  }
+  if (!partial || body.body !== undefined) {
+    if (!body.body || !String(body.body).trim()) {
+      return 'Template body is required';
+    }
+    return validateTemplateBody(body.body);
+  }
+  return null;
+}
+
+/**
+ * GET /api/alerts/templates
+ * List message templates, each with the placeholders it uses
+ */
+router.get('/templates', (req, res) => {
+  try {
+    const templates = getAlertTemplates().map(t => ({ ...t, placeholders: getPlaceholders(t.body) }));
+    res.json(templates);
+  } catch (error) {
+    console.error('Error listing alert templates:', error.message);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+/**
+ * POST /api/alerts/templates
+ * Add a message template
+ * Body: { name, type, body }  — body may use {{placeholders}}
+ */
+router.post('/templates', (req, res) => {
+  try {
+    const error = validateAlertTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { name, type, body } = req.body;
+    const result = createAlertTemplate({ name: name.trim(), type, body: body.trim() });
+    const template = getAlertTemplateById(result.id);
+    res.status(201).json({ ...template, placeholders: getPlaceholders(template.body) });
+  } catch (error) {
+    console.error('Error creating alert template:', error.message);
+    res.status(500).json({ error: 'Failed to add template' });
+  }
+});
+
+/**
+ * PUT /api/alerts/templates/:id
+ * Update a message template
+ * Body: any of { name, type, body }
+ */
+router.put('/templates/:id', (req, res) => {
+  try {
+    const existing = getAlertTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const error = validateAlertTemplate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { name, type, body } = req.body;
+    updateAlertTemplate(existing.id, { name: name?.trim(), type, body: body?.trim() });
+    const template = getAlertTemplateById(existing.id);
+    res.json({ ...template, placeholders: getPlaceholders(template.body) });
+  } catch (error) {
+    console.error('Error updating alert template:', error.message);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/templates/:id
+ * Remove a message template
+ */
+router.delete('/templates/:id', (req, res) => {
+  try {
+    const existing = getAlertTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    deleteAlertTemplate(existing.id);
+    res.json({ message: 'Template removed' });
+  } catch (error) {
+    console.error('Error deleting alert template:', error.message);
+    res.status(500).json({ error: 'Failed to remove template' });
+  }
+});
+
 /**
  * GET /api/alerts/history
- * Get past alerts with delivery stats
+ * Get past alerts with delivery stats, overall and per channel
+ * (`channels: { sms: { total, delivered, failed, skipped }, email: {...} }`)
  * Query: ?limit=20&offset=0
  */
 router.get('/history', (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
-    const alerts = getAlertHistory(limit, offset);
+    const alerts = getAlertHistory(limit, offset)
+      .map(alert => ({ ...alert, channels: getDeliveryStatsByChannel(alert.id) }));
     res.json(alerts);
   } catch (error) {
     console.error('Error getting alert history:', error.message);
@@ -188,7 +555,8 @@ router.get('/history', (req, res) => {
 
 /**
  * GET /api/alerts/:id
- * Get a single alert with its full delivery log
+ * Get a single alert with its translations (`variants`), full delivery log,
+ * delivery stats per channel, and any retries
  */
 router.get('/:id', (req, res) => {
   try {
@@ -198,31 +566,249 @@ router.get('/:id', (req, res) => {
     }
 
     const deliveryLog = getDeliveryLog(alert.id);
-    res.json({ ...alert, deliveryLog });
+    const retries = getAlertRetries(alert.id);
+    res.json({
+      ...alert,
+      variants: getAlertMessages(alert.id),
+      channels: getDeliveryStatsByChannel(alert.id),
+      deliveryLog,
+      retries
+    });
   } catch (error) {
     console.error('Error getting alert:', error.message);
     res.status(500).json({ error: 'Failed to get alert' });
   }
 });
 
+/**
+ * GET /api/alerts/:id/progress
+ * Server-Sent Events stream of broadcast progress:
+ *   data: { alert_id, status, total, sent, delivered, failed, skipped }
+ * status is sending | paused | completed | failed | cancelled.
+ * Sends the current state on connect and closes once the broadcast finishes.
+ */
+router.get('/:id/progress', (req, res) => {
+  const state = getBroadcastState(req.params.id);
+  if (!state) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (progress) => res.write(`data: ${JSON.stringify(progress)}\n\n`);
+  const done = (status) => !['sending', 'paused'].includes(status);
+
+  send(state);
+  if (done(state.status)) {
+    return res.end();
+  }
+
+  const onProgress = (progress) => {
+    if (progress.alert_id !== state.alert_id) return;
+    send(progress);
+    if (done(progress.status)) cleanup();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    broadcastEvents.off('progress', onProgress);
+    res.end();
+  }
+
+  broadcastEvents.on('progress', onProgress);
+  req.on('close', cleanup);
+});
+
+/**
+ * Build a handler for a broadcast control action (pause / resume / cancel)
+ */
+function broadcastAction(action, verb, invalidMessage) {
+  return (req, res) => {
+    try {
+      const alert = getAlertById(req.params.id);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (!action(alert.id)) {
+        return res.status(409).json({ error: invalidMessage });
+      }
+
+      console.log(`Alert ${alert.id} broadcast ${verb} by ${req.user?.email}`);
+      res.json(getBroadcastState(alert.id));
+    } catch (error) {
+      console.error(`Error updating alert broadcast (${verb}):`, error.message);
+      res.status(500).json({ error: 'Failed to update broadcast' });
+    }
+  };
+}
+
+/**
+ * POST /api/alerts/:id/pause
+ * Pause a sending broadcast after the message in flight
+ */
+router.post('/:id/pause', broadcastAction(pauseBroadcast, 'paused', 'Broadcast is not sending'));
+
+/**
+ * POST /api/alerts/:id/resume
+ * Resume a paused broadcast
+ */
+router.post('/:id/resume', broadcastAction(resumeBroadcast, 'resumed', 'Broadcast is not paused'));
+
+/**
+ * POST /api/alerts/:id/cancel
+ * Cancel a broadcast; recipients not yet sent to are logged as 'skipped'
+ * (a broadcast that's mid-send finishes cancelling after the message in flight)
+ */
+router.post('/:id/cancel', broadcastAction(cancelBroadcast, 'cancelled', 'Broadcast has already finished'));
+
+/**
+ * When an alert's send finished (SQLite UTC timestamp → ms)
+ * Alerts that never reached the queue (Twilio not configured) use their creation time
+ */
+function attemptFinishedAt(alert) {
+  const finishedAt = getBroadcastJobByAlertId(alert.id)?.finished_at || alert.created_at;
+  return new Date(`${finishedAt.replace(' ', 'T')}Z`).getTime();
+}
+
+/**
+ * POST /api/alerts/:id/retry
+ * Resend an alert to recipients whose latest attempt failed or went undelivered,
+ * on the channel it failed on.
+ * The resend is a new alert linked by `retry_of` to the original (retrying a
+ * retry also resolves to the original). Allowed RETRY_BACKOFF_MINUTES after the
+ * previous attempt finished, doubling each time, up to RETRY_MAX_ATTEMPTS times.
+ * Skips opted-out subscribers and errors a resend can't fix (e.g. invalid number).
+ * Calls aren't retried here, and the automatic call retries (lib/voice-retry.js)
+ * don't count as attempts.
+ */
+router.post('/:id/retry', (req, res) => {
+  try {
+    const alert = getAlertById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const original = alert.retry_of ? getAlertById(alert.retry_of) : alert;
+    const retries = getAlertRetries(original.id).filter(r => !r.voice_retry);
+    const previous = retries[retries.length - 1] || original;
+
+    if (previous.status === 'sending') {
+      return res.status(409).json({ error: 'Wait for the current send to finish before retrying' });
+    }
+    if (retries.length >= RETRY_MAX_ATTEMPTS) {
+      return res.status(409).json({ error: `This alert has already been retried ${retries.length} times` });
+    }
+
+    // Exponential backoff — give carriers time to recover before resending
+    const backoffMs = RETRY_BACKOFF_MINUTES * 2 ** retries.length * 60 * 1000;
+    const waitMs = attemptFinishedAt(previous) + backoffMs - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Retry available in ${Math.ceil(retryAfter / 60)} min`,
+        retry_after_seconds: retryAfter
+      });
+    }
+
+    const recipients = getRetryableDeliveries(original.id, [...NON_RETRYABLE_ERROR_CODES, ...NON_RETRYABLE_EMAIL_CODES]);
+    if (recipients.length === 0) {
+      return res.status(409).json({ error: 'No failed recipients to retry' });
+    }
+
+    const configError = getChannelConfigError(recipients);
+    if (configError) {
+      return res.status(503).json({ error: configError });
+    }
+
+    const channels = countByChannel(recipients);
+    const costEstimate = estimateDeliveryCost(getAlertVariants(original), recipients);
+    const retry = createAlert({
+      type: original.type,
+      message: original.message,
+      variants: getAlertMessages(original.id),
+      zone: original.zone,
+      recipient_count: recipients.length,
+      cost_estimate: costEstimate.totalCost,
+      retry_of: original.id,
+      incident_id: original.incident_id
+    });
+    broadcastDeliveries(retry, recipients, { statusCallback: getStatusCallbackUrl() });
+
+    console.log(`Alert ${original.id} retry ${retries.length + 1} queued for ${recipients.length} recipients by ${req.user?.email}`);
+    res.status(202).json({
+      alert_id: retry.id,
+      retry_of: original.id,
+      attempt: retries.length + 1,
+      recipient_count: recipients.length,
+      channels,
+      cost_estimate: costEstimate.totalCost,
+      status: 'sending'
+    });
+  } catch (error) {
+    console.error('Error retrying alert:', error.message);
+    res.status(500).json({ error: 'Failed to retry alert' });
+  }
+});
+
 /**
  * POST /api/alerts/estimate
- * Get cost estimate without sending
- * Body: { message }
+ * Get cost estimate without sending, for the message as it will be sent
+ * Body: { message } or { template_id }, plus { values } for placeholders,
+ * { type, override_preferences, zones } to count only the subscribers it will reach,
+ * and { variants } to cost each subscriber's translation
+ * Returns the rendered `message` too, any placeholders still `missing`,
+ * `unicodeCharacters` — the characters (emoji, curly quotes...) forcing UCS-2 —
+ * `channels`, the number of texts, emails, and calls it will send, and
+ * `languages`, the recipients and cost per language sent (see estimateDeliveryCost).
+ * The cost covers texts and calls.
  */
 router.post('/estimate', (req, res) => {
   try {
-    const { message } = req.body;
-    if (!message) {
+    let text = req.body.message;
+    let type = req.body.type;
+    if (!text && req.body.template_id) {
+      const template = getAlertTemplateById(req.body.template_id);
+      text = template?.body;
+      type = type || template?.type;
+    }
+    if (!text) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    const subscribers = getActiveSubscribers();
-    const estimate = TwilioService.estimateCost(message.length, subscribers.length);
+    const { zones, error } = resolveZones(req.body.zones);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { message, missing } = renderTemplate(text, req.body.values);
+    const subscribers = getActiveSubscribers({
+      alertType: ALERT_TYPES.includes(type) ? type : undefined,
+      overridePreferences: overridesPreferences(type, req.body.override_preferences),
+      zones
+    });
+    const { variants, error: variantError } = resolveVariants(req.body, { allowMissing: true });
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+    const deliveries = getDeliveries(subscribers, type);
+    const channels = countByChannel(deliveries);
+    const estimate = estimateDeliveryCost({ ...variants, [DEFAULT_LANGUAGE]: message }, deliveries);
 
     res.json({
       recipientCount: subscribers.length,
-      ...estimate
+      channels,
+      ...estimate,
+      message,
+      missing,
+      unicodeCharacters: getNonGsmCharacters(message)
     });
   } catch (error) {
     console.error('Error calculating estimate:', error.message);
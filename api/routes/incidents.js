@@ -0,0 +1,447 @@
+/**
+ * Boil-Water Incident API Routes
+ * Open an incident (sending the boil notice), send follow-up updates, record
+ * sampling results, lift it once sampling allows, and export its history
+ * for the state regulator. See lib/incidents.js.
+ */
+
+import { Router } from 'express';
+import {
+  getIncidents,
+  getIncidentById,
+  createIncident,
+  liftIncident,
+  getIncidentAlerts,
+  getIncidentRecipients,
+  getIncidentSamples,
+  createIncidentSample,
+  deleteIncidentSample,
+  getActiveSubscribers,
+  createAlert
+} from '../../db/database.js';
+import { getStatusCallbackUrl } from '../../lib/twilio.js';
+import { broadcastDeliveries } from '../../lib/broadcast-queue.js';
+import { getDeliveries, countByChannel, getChannelConfigError, estimateDeliveryCost } from '../../lib/channels.js';
+import { toScheduleTime } from '../../lib/alert-scheduler.js';
+import { resolveMessage } from '../../lib/templates.js';
+import { overridesPreferences } from '../../lib/alert-types.js';
+import { formatAlertZones, parseAlertZones, resolveZones } from '../../lib/zones.js';
+import { DEFAULT_LANGUAGE, resolveVariants } from '../../lib/languages.js';
+import {
+  SAMPLE_RESULTS,
+  getSamplingStatus,
+  buildIncidentExport,
+  incidentExportToCsv
+} from '../../lib/incidents.js';
+
+const router = Router();
+
+/**
+ * Validate the fields for opening an incident
+ * Returns an error message, or null if valid
+ */
+function validateIncident(body) {
+  const { title, required_samples } = body;
+
+  if (!title || !String(title).trim()) {
+    return 'Title is required';
+  }
+  if (required_samples !== undefined) {
+    const n = Number(required_samples);
+    if (!Number.isInteger(n) || n < 1 || n > 20) {
+      return 'required_samples must be a whole number from 1 to 20';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a sampling result
+ * Returns an error message, or null if valid
+ */
+function validateSample(body, incident) {
+  const { location, collected_at, result, chlorine_ppm } = body;
+
+  if (!location || !String(location).trim()) {
+    return 'Sample location is required';
+  }
+  const collectedAt = toScheduleTime(collected_at);
+  if (!collectedAt) {
+    return 'collected_at must be a date and time, e.g. 2026-06-02T09:30:00-04:00';
+  }
+  if (collectedAt > toScheduleTime(new Date())) {
+    return 'collected_at cannot be in the future';
+  }
+  if (collectedAt < incident.opened_at) {
+    return 'Sample was collected before the incident was opened';
+  }
+  if (!SAMPLE_RESULTS.includes(result)) {
+    return `result must be one of: ${SAMPLE_RESULTS.join(', ')}`;
+  }
+  if (chlorine_ppm !== undefined && chlorine_ppm !== null && chlorine_ppm !== '' &&
+      (!Number.isFinite(Number(chlorine_ppm)) || Number(chlorine_ppm) < 0)) {
+    return 'chlorine_ppm must be a non-negative number';
+  }
+  return null;
+}
+
+/**
+ * Incident with its alerts, samples, and sampling status
+ */
+function formatIncident(incident) {
+  const samples = getIncidentSamples(incident.id);
+  return {
+    ...incident,
+    zones: parseAlertZones(incident.zone) || [],
+    sampling: getSamplingStatus(samples, incident.required_samples),
+    recipient_count: getIncidentRecipients(incident.id).length,
+    samples,
+    alerts: getIncidentAlerts(incident.id)
+  };
+}
+
+/**
+ * Create an incident alert and queue it for `subscribers` on each of their
+ * channels, with its translations (`variants`, see lib/languages.js)
+ * @returns {Object} Response body for the alert
+ */
+function sendIncidentAlert(incident, { type, message, variants, subscribers, override }) {
+  const deliveries = getDeliveries(subscribers, type);
+  const channels = countByChannel(deliveries);
+  const costEstimate = estimateDeliveryCost({ ...variants, [DEFAULT_LANGUAGE]: message }, deliveries);
+  const alert = createAlert({
+    type,
+    message,
+    variants,
+    zone: incident.zone,
+    recipient_count: deliveries.length,
+    cost_estimate: costEstimate.totalCost,
+    override_preferences: override,
+    incident_id: incident.id
+  });
+
+  const statusCallback = getStatusCallbackUrl();
+  if (!statusCallback && channels.sms > 0) {
+    console.warn('PUBLIC_BASE_URL not set — delivery status callbacks are disabled');
+  }
+  broadcastDeliveries(alert, deliveries, { statusCallback });
+
+  return {
+    alert_id: alert.id,
+    type,
+    subscriber_count: subscribers.length,
+    recipient_count: deliveries.length,
+    channels,
+    cost_estimate: costEstimate.totalCost,
+    status: 'sending'
+  };
+}
+
+/**
+ * GET /api/incidents
+ * List incidents, newest first
+ * Query: ?status=open|lifted
+ */
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'lifted'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open or lifted' });
+    }
+    res.json(getIncidents({ status }));
+  } catch (error) {
+    console.error('Error listing incidents:', error.message);
+    res.status(500).json({ error: 'Failed to list incidents' });
+  }
+});
+
+/**
+ * GET /api/incidents/:id
+ * Get an incident with its alerts, sampling results, and sampling status
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    res.json(formatIncident(incident));
+  } catch (error) {
+    console.error('Error getting incident:', error.message);
+    res.status(500).json({ error: 'Failed to get incident' });
+  }
+});
+
+/**
+ * POST /api/incidents
+ * Open a boil-water incident and send its notice (type 'boil')
+ * Body: { title, reason?, zones?: [zoneId, ...], required_samples? (default 2),
+ *         message or template_id, values?, variants?, override_preferences? }
+ * Like any boil notice it goes to every active subscriber in the zones
+ * unless `override_preferences: false`
+ */
+router.post('/', (req, res) => {
+  try {
+    const error = validateIncident(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resolved = resolveMessage(req.body);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    const { zones, error: zoneError } = resolveZones(req.body.zones);
+    if (zoneError) {
+      return res.status(400).json({ error: zoneError });
+    }
+
+    const override = overridesPreferences('boil', req.body.override_preferences);
+    const subscribers = getActiveSubscribers({ alertType: 'boil', overridePreferences: override, zones });
+    if (subscribers.length === 0) {
+      return res.status(400).json({ error: 'No active subscribers in the affected zones' });
+    }
+    const configError = getChannelConfigError(getDeliveries(subscribers, 'boil'));
+    if (configError) {
+      return res.status(503).json({ error: configError });
+    }
+
+    const { id } = createIncident({
+      title: String(req.body.title).trim(),
+      reason: req.body.reason,
+      zone: formatAlertZones(zones),
+      required_samples: req.body.required_samples !== undefined ? Number(req.body.required_samples) : undefined,
+      opened_by: req.user?.email
+    });
+    const incident = getIncidentById(id);
+    const notice = sendIncidentAlert(incident, {
+      type: 'boil',
+      message: resolved.message,
+      variants,
+      subscribers,
+      override
+    });
+
+    console.log(`🚱 Boil-water incident ${id} opened by ${req.user?.email}; notice queued for ${subscribers.length} subscribers`);
+    res.status(201).json({ ...formatIncident(getIncidentById(id)), notice });
+  } catch (error) {
+    console.error('Error opening incident:', error.message);
+    res.status(500).json({ error: 'Failed to open incident' });
+  }
+});
+
+/**
+ * POST /api/incidents/:id/updates
+ * Send a follow-up (type 'boil') to everyone who received the notice
+ * Body: { message } or { template_id }, plus { values } for placeholders
+ * and { variants } for subscribers in other languages
+ */
+router.post('/:id/updates', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (incident.status !== 'open') {
+      return res.status(409).json({ error: 'Incident has been lifted' });
+    }
+
+    const resolved = resolveMessage(req.body);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    const subscribers = getIncidentRecipients(incident.id);
+    if (subscribers.length === 0) {
+      return res.status(409).json({ error: 'No one has received this incident\'s notice yet' });
+    }
+    const configError = getChannelConfigError(getDeliveries(subscribers, 'boil'));
+    if (configError) {
+      return res.status(503).json({ error: configError });
+    }
+
+    const update = sendIncidentAlert(incident, {
+      type: 'boil',
+      message: resolved.message,
+      variants,
+      subscribers,
+      override: true
+    });
+    res.status(202).json(update);
+  } catch (error) {
+    console.error('Error sending incident update:', error.message);
+    res.status(500).json({ error: 'Failed to send update' });
+  }
+});
+
+/**
+ * POST /api/incidents/:id/samples
+ * Record a bacteriological sampling result
+ * Body: { location, collected_at, result: 'absent'|'present', chlorine_ppm?, lab?, notes? }
+ */
+router.post('/:id/samples', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (incident.status !== 'open') {
+      return res.status(409).json({ error: 'Incident has been lifted' });
+    }
+
+    const error = validateSample(req.body, incident);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { chlorine_ppm } = req.body;
+    createIncidentSample({
+      incident_id: incident.id,
+      location: String(req.body.location).trim(),
+      collected_at: toScheduleTime(req.body.collected_at),
+      result: req.body.result,
+      chlorine_ppm: chlorine_ppm === undefined || chlorine_ppm === null || chlorine_ppm === '' ? null : Number(chlorine_ppm),
+      lab: req.body.lab,
+      notes: req.body.notes,
+      recorded_by: req.user?.email
+    });
+
+    const samples = getIncidentSamples(incident.id);
+    res.status(201).json({ samples, sampling: getSamplingStatus(samples, incident.required_samples) });
+  } catch (error) {
+    console.error('Error recording sample:', error.message);
+    res.status(500).json({ error: 'Failed to record sample' });
+  }
+});
+
+/**
+ * DELETE /api/incidents/:id/samples/:sampleId
+ * Remove a sampling result entered by mistake
+ */
+router.delete('/:id/samples/:sampleId', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (incident.status !== 'open') {
+      return res.status(409).json({ error: 'Incident has been lifted' });
+    }
+
+    const result = deleteIncidentSample(incident.id, req.params.sampleId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Sample not found' });
+    }
+
+    const samples = getIncidentSamples(incident.id);
+    res.json({ samples, sampling: getSamplingStatus(samples, incident.required_samples) });
+  } catch (error) {
+    console.error('Error deleting sample:', error.message);
+    res.status(500).json({ error: 'Failed to delete sample' });
+  }
+});
+
+/**
+ * POST /api/incidents/:id/lift
+ * Lift the notice once sampling allows, sending the lift (type 'boil_lifted')
+ * only to subscribers who received the notice
+ * Body: { message } or { template_id }, plus { values } for placeholders
+ * and { variants } for subscribers in other languages
+ */
+router.post('/:id/lift', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (incident.status !== 'open') {
+      return res.status(409).json({ error: 'Incident has already been lifted' });
+    }
+
+    const sampling = getSamplingStatus(getIncidentSamples(incident.id), incident.required_samples);
+    if (!sampling.satisfied) {
+      return res.status(409).json({
+        error: `Needs ${sampling.required} clean sample(s) since the last positive result; has ${sampling.clean}`,
+        sampling
+      });
+    }
+
+    const resolved = resolveMessage(req.body);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { variants, error: variantError } = resolveVariants(req.body);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    // Lifting is final, so don't lift without anyone to tell
+    const subscribers = getIncidentRecipients(incident.id);
+    if (subscribers.length === 0) {
+      return res.status(409).json({ error: 'No one has received this incident\'s notice yet' });
+    }
+    const configError = getChannelConfigError(getDeliveries(subscribers, 'boil_lifted'));
+    if (configError) {
+      return res.status(503).json({ error: configError });
+    }
+
+    // Queue the lift before marking the incident lifted, so a failure leaves
+    // it open to try again rather than lifted with no one told. Nothing here
+    // yields, so no other request can lift it in between.
+    const lift = sendIncidentAlert(incident, {
+      type: 'boil_lifted',
+      message: resolved.message,
+      variants,
+      subscribers,
+      override: true
+    });
+    liftIncident(incident.id, { lifted_by: req.user?.email });
+
+    console.log(`🚰 Boil-water incident ${incident.id} lifted by ${req.user?.email}; lift sent to ${subscribers.length} subscribers`);
+    res.json({ ...formatIncident(getIncidentById(incident.id)), lift });
+  } catch (error) {
+    console.error('Error lifting incident:', error.message);
+    res.status(500).json({ error: 'Failed to lift incident' });
+  }
+});
+
+/**
+ * GET /api/incidents/:id/export
+ * Download the incident's history for the state regulator
+ * Query: ?format=csv (timeline) or json (default; also every delivery)
+ */
+router.get('/:id/export', (req, res) => {
+  try {
+    const incident = getIncidentById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const data = buildIncidentExport(incident);
+    res.attachment(`boil-water-incident-${incident.id}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(incidentExportToCsv(data));
+    } else {
+      res.json(data);
+    }
+  } catch (error) {
+    console.error('Error exporting incident:', error.message);
+    res.status(500).json({ error: 'Failed to export incident' });
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+/**
+ * On-Call Operator API Routes
+ * Manage the operator roster that alarms page and escalate through,
+ * and each operator's on-call shifts
+ */
+
+import { Router } from 'express';
+import {
+  getOperators,
+  getOperatorById,
+  createOperator,
+  updateOperator,
+  deleteOperator,
+  replaceOperatorShifts
+} from '../../db/database.js';
+import { getOnCallChain } from '../../lib/on-call.js';
+
+const router = Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate operator fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateOperator(body, { partial = false } = {}) {
+  const { name, phone, escalation_order, shifts } = body;
+
+  if (!partial && (!name || !String(name).trim())) {
+    return 'Name is required';
+  }
+  if ((!partial || phone !== undefined) && String(phone || '').replace(/\D/g, '').length < 10) {
+    return 'A valid phone number is required';
+  }
+  if (escalation_order !== undefined && !(Number.isInteger(Number(escalation_order)) && Number(escalation_order) >= 1)) {
+    return 'escalation_order must be a whole number, 1 or more';
+  }
+  if (shifts !== undefined) {
+    if (!Array.isArray(shifts)) {
+      return 'shifts must be an array';
+    }
+    for (const shift of shifts) {
+      const day = shift.day_of_week;
+      if (day !== undefined && day !== null && !(Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return 'day_of_week must be 0 (Sunday) – 6 (Saturday), or null for every day';
+      }
+      if (!TIME_PATTERN.test(shift.start_time) || !TIME_PATTERN.test(shift.end_time)) {
+        return 'Shift start_time and end_time must be HH:MM (24-hour)';
+      }
+      if (shift.start_time === shift.end_time) {
+        return 'Shift start_time and end_time must differ';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/operators
+ * List the roster in escalation order
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(getOperators());
+  } catch (error) {
+    console.error('Error listing operators:', error.message);
+    res.status(500).json({ error: 'Failed to list operators' });
+  }
+});
+
+/**
+ * GET /api/operators/on-call
+ * Who would be paged right now, primary first
+ */
+router.get('/on-call', (req, res) => {
+  try {
+    res.json(getOnCallChain().map((op, i) => ({ level: i + 1, ...op })));
+  } catch (error) {
+    console.error('Error getting on-call chain:', error.message);
+    res.status(500).json({ error: 'Failed to get on-call chain' });
+  }
+});
+
+/**
+ * GET /api/operators/:id
+ * Get a single operator with shifts
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const operator = getOperatorById(req.params.id);
+    if (!operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    res.json(operator);
+  } catch (error) {
+    console.error('Error getting operator:', error.message);
+    res.status(500).json({ error: 'Failed to get operator' });
+  }
+});
+
+/**
+ * POST /api/operators
+ * Add an operator to the roster
+ * Body: { name, phone, escalation_order, active, shifts: [{ day_of_week, start_time, end_time }] }
+ */
+router.post('/', (req, res) => {
+  try {
+    const error = validateOperator(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = createOperator(req.body);
+    if (req.body.shifts) {
+      replaceOperatorShifts(result.id, req.body.shifts);
+    }
+    res.status(201).json(getOperatorById(result.id));
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'An operator with that phone number already exists' });
+    }
+    console.error('Error creating operator:', error.message);
+    res.status(500).json({ error: 'Failed to add operator' });
+  }
+});
+
+/**
+ * PUT /api/operators/:id
+ * Update an operator; `shifts`, if given, replaces all of their shifts
+ * Body: any of { name, phone, escalation_order, active, shifts }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const existing = getOperatorById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+
+    const error = validateOperator(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { shifts, ...fields } = req.body;
+    updateOperator(existing.id, fields);
+    if (shifts !== undefined) {
+      replaceOperatorShifts(existing.id, shifts);
+    }
+    res.json(getOperatorById(existing.id));
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'An operator with that phone number already exists' });
+    }
+    console.error('Error updating operator:', error.message);
+    res.status(500).json({ error: 'Failed to update operator' });
+  }
+});
+
+/**
+ * DELETE /api/operators/:id
+ * Remove an operator (their past alarm notifications are kept)
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = getOperatorById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+
+    deleteOperator(existing.id);
+    res.json({ message: 'Operator removed' });
+  } catch (error) {
+    console.error('Error deleting operator:', error.message);
+    res.status(500).json({ error: 'Failed to remove operator' });
+  }
+});
+
+export default router;
@@ -1,12 +1,15 @@
 /**
  * Sensor Health API Routes
- * Returns sensor status, 7-day timeline, and uptime statistics
+ * Returns sensor status, 7-day timeline, uptime statistics, flow metrics, and level history
  */
 
 import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getTanks, getTankBySensorId, getTankReadings, getTankReadingBuckets } from '../../db/database.js';
+import { tankCalibration, depthToVolume } from '../../lib/tanks.js';
+import { calculateFlowMetrics } from '../../lib/tank-flow.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,12 +18,16 @@ const router = Router();
 
 const DATA_DIR = path.join(__dirname, '..', '..', 'public', 'data');
 
-// Known tank sensors (mirrors yolink-mqtt.js)
-const TANK_DEVICES = {
-  'd88b4c010009063b': { name: 'Tank 2 - Distribution', capacity: 6000 },
-  'd88b4c01000bf5ee': { name: 'Tank 3 - Distribution', capacity: 5000 }
+// Bucket sizes for the readings history endpoint (seconds; null = raw)
+const RESOLUTIONS = {
+  raw: null,
+  '5min': 5 * 60,
+  hourly: 60 * 60,
+  daily: 24 * 60 * 60
 };
 
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
 function loadJson(filepath, defaultValue) {
   try {
     if (fs.existsSync(filepath)) {
@@ -87,7 +94,7 @@ function calculateStats(timeline, events, deviceId) {
 
 /**
  * GET /api/sensors/health
- * Returns combined sensor health data: current status, timeline, and stats
+ * Returns combined sensor health data: current status, flow metrics, timeline, and stats
  */
 router.get('/health', (req, res) => {
   const tankReadings = loadJson(path.join(DATA_DIR, 'tank-readings.json'), {});
@@ -96,7 +103,8 @@ router.get('/health', (req, res) => {
 
   const sensors = {};
 
-  for (const [deviceId, config] of Object.entries(TANK_DEVICES)) {
+  for (const tank of getTanks().filter(t => t.sensor_id)) {
+    const deviceId = tank.sensor_id;
     const reading = tankReadings[deviceId] || {};
     const sensorSummary = sensorEvents.sensors[deviceId] || {};
     const sensorTimeline = timeline[deviceId] || {};
@@ -104,7 +112,7 @@ router.get('/health', (req, res) => {
     const stats = calculateStats(sensorTimeline, sensorEvents.events, deviceId);
 
     sensors[deviceId] = {
-      name: config.name,
+      name: tank.name,
       deviceId,
       currentStatus: sensorSummary.currentStatus || reading.status || 'unknown',
       battery: reading.battery ?? null,
@@ -112,6 +120,7 @@ router.get('/health', (req, res) => {
       lastUpdate: reading.timestamp || sensorSummary.lastReading || null,
       level: reading.level ?? null,
       levelUnit: reading.levelUnit || 'cm',
+      flow: calculateFlowMetrics(tank),
       timeline: sensorTimeline,
       stats
     };
@@ -123,4 +132,96 @@ router.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Pick a resolution that keeps the number of points reasonable for the range
+ */
+function autoResolution(rangeMs) {
+  if (rangeMs <= 2 * ONE_DAY_MS) return '5min';
+  if (rangeMs <= 31 * ONE_DAY_MS) return 'hourly';
+  return 'daily';
+}
+
+function roundDepth(cm) {
+  return Math.round(cm * 100) / 100;
+}
+
+/**
+ * GET /api/sensors/:deviceId/readings
+ * Level history for a tank sensor as depth, percentage, and gallons series
+ * Query: ?from=ISO&to=ISO&resolution=raw|5min|hourly|daily
+ * Defaults to the last 24 hours; each point has { time, count, min, avg, max }
+ */
+router.get('/:deviceId/readings', (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const tank = getTankBySensorId(deviceId);
+    if (!tank) {
+      return res.status(404).json({ error: 'Unknown tank sensor' });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - ONE_DAY_MS);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid ISO dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const resolution = req.query.resolution || autoResolution(to - from);
+    if (!(resolution in RESOLUTIONS)) {
+      return res.status(400).json({ error: 'Invalid resolution. Must be raw, 5min, hourly, or daily.' });
+    }
+
+    const cal = tankCalibration(tank);
+    const range = { from: from.toISOString(), to: to.toISOString() };
+
+    // Normalize raw rows and buckets to the same { time, count, min, avg, max } depth shape
+    let points;
+    if (RESOLUTIONS[resolution] === null) {
+      points = getTankReadings(deviceId, range)
+        .filter(r => r.depth_cm !== null)
+        .map(r => {
+          const depth = roundDepth(r.depth_cm);
+          return { time: r.recorded_at, count: 1, min: depth, avg: depth, max: depth };
+        });
+    } else {
+      points = getTankReadingBuckets(deviceId, { ...range, bucketSeconds: RESOLUTIONS[resolution] })
+        .map(b => ({
+          time: new Date(b.bucket_start * 1000).toISOString(),
+          count: b.count,
+          min: roundDepth(b.min_depth),
+          avg: roundDepth(b.avg_depth),
+          max: roundDepth(b.max_depth)
+        }));
+    }
+
+    // Percentage and gallons are derived from depth, so min/max map straight across
+    const convert = (field) => points.map(p => ({
+      time: p.time,
+      count: p.count,
+      min: depthToVolume(p.min, cal)[field],
+      avg: depthToVolume(p.avg, cal)[field],
+      max: depthToVolume(p.max, cal)[field]
+    }));
+
+    res.json({
+      deviceId,
+      name: tank.name,
+      from: range.from,
+      to: range.to,
+      resolution,
+      capacity: cal.capacityGal,
+      series: {
+        depth: points,
+        percentage: convert('percentage'),
+        gallons: convert('gallons')
+      }
+    });
+  } catch (error) {
+    console.error('Error getting tank readings:', error.message);
+    res.status(500).json({ error: 'Failed to get tank readings' });
+  }
+});
+
 export default router;
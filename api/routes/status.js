@@ -0,0 +1,56 @@
+/**
+ * Public Status API Routes
+ * Boil notices, planned outages, and recent all-clears for residents without
+ * SMS and for the county — no login (see lib/status.js for what's included)
+ */
+
+import { Router } from 'express';
+import { getSystemStatus, statusToAtom } from '../../lib/status.js';
+
+// Seconds browsers and feed readers may cache a response
+const STATUS_MAX_AGE = 60;
+
+const router = Router();
+
+/**
+ * Public data: cacheable briefly, and readable from other sites' scripts
+ */
+function setPublicHeaders(res) {
+  res.set('Cache-Control', `public, max-age=${STATUS_MAX_AGE}`);
+  res.set('Access-Control-Allow-Origin', '*');
+}
+
+/**
+ * GET /api/status
+ * Current status: { status, updated_at, boil_notices, planned_outages, all_clears }
+ */
+router.get('/', (req, res) => {
+  try {
+    setPublicHeaders(res);
+    res.json(getSystemStatus());
+  } catch (error) {
+    console.error('Error getting system status:', error.message);
+    res.status(500).json({ error: 'Failed to get system status' });
+  }
+});
+
+/**
+ * GET /api/status/feed.atom
+ * The same notices as an Atom feed
+ */
+router.get('/feed.atom', (req, res) => {
+  try {
+    const base = `${req.protocol}://${req.get('host')}`;
+    const xml = statusToAtom(getSystemStatus(), {
+      self: `${base}/api/status/feed.atom`,
+      page: `${base}/status.html`
+    });
+    setPublicHeaders(res);
+    res.type('application/atom+xml').send(xml);
+  } catch (error) {
+    console.error('Error building status feed:', error.message);
+    res.status(500).json({ error: 'Failed to build status feed' });
+  }
+});
+
+export default router;
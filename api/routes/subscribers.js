@@ -1,6 +1,9 @@
 /**
  * Subscriber API Routes
- * CRUD operations for SMS alert subscribers
+ * CRUD operations for alert subscribers. A subscriber's zone is set by
+ * hand or from their service address (see lib/zones.js); they get alerts by
+ * text, email, and/or call (see lib/channels.js), in their preferred language
+ * where the alert has it (see lib/languages.js).
  */
 
 import { Router } from 'express';
@@ -11,11 +14,21 @@ import {
   updateSubscriber,
   deleteSubscriber,
   getSubscriberStats,
+  getActiveSubscribers,
   getDeliveryRate,
-  getAlertsThisYear
+  getAlertsThisYear,
+  getZoneByName,
+  logConsent,
+  getConsentAudit
 } from '../../db/database.js';
 import { requireAuth } from '../../lib/auth.js';
 import TwilioService from '../../lib/twilio.js';
+import { OPT_IN_CONFIRMATION } from '../../lib/sms-keywords.js';
+import { needsConfirmation, requestConfirmation, getRequestOrigin } from '../../lib/opt-in.js';
+import { ALERT_TYPES, normalizeAlertTypes } from '../../lib/alert-types.js';
+import { geocodeAddress, findZoneForLocation } from '../../lib/zones.js';
+import { CHANNELS, LINE_TYPES, normalizeChannels, parseChannels, getDeliveries, countByChannel } from '../../lib/channels.js';
+import { LANGUAGES, isLanguage } from '../../lib/languages.js';
 
 const router = Router();
 
@@ -30,7 +43,114 @@ function getTwilioService() {
   return new TwilioService(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER);
 }
 
-const OPT_IN_CONFIRMATION = 'BEULAH PARK WATER SYSTEM: You\'re now subscribed to water service alerts. You\'ll be notified of outages, repairs, and boil water notices. Reply STOP to unsubscribe, HELP for info. Msg & data rates may apply.';
+const ALERT_TYPES_ERROR = `alert_types must be "all" or a list of: ${ALERT_TYPES.join(', ')}`;
+
+const CHANNELS_ERROR = `channels must be a list of: ${CHANNELS.join(', ')}`;
+
+const LINE_TYPE_ERROR = `line_type must be one of: ${LINE_TYPES.join(', ')}`;
+
+const LANGUAGE_ERROR = `language must be one of: ${Object.keys(LANGUAGES).join(', ')}`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Work out the email, channels, and line type to save from a request body,
+ * each only if it's given. The email channel needs an address — the new one,
+ * or the subscriber's current one (`existing`) — and a landline can't get
+ * texts (a new landline subscriber is called by default). Returns the fields, or { error }
+ */
+function resolveChannels({ email, channels, line_type }, existing = {}) {
+  const fields = {};
+
+  if (line_type !== undefined) {
+    if (!LINE_TYPES.includes(line_type)) return { error: LINE_TYPE_ERROR };
+    fields.line_type = line_type;
+    if (line_type === 'landline' && channels === undefined && !existing.channels) {
+      fields.channels = 'voice';
+    }
+  }
+
+  if (email !== undefined) {
+    fields.email = email ? String(email).trim().toLowerCase() : null;
+    if (fields.email && !EMAIL_PATTERN.test(fields.email)) {
+      return { error: 'Invalid email address' };
+    }
+  }
+
+  if (channels !== undefined) {
+    fields.channels = normalizeChannels(channels);
+    if (!fields.channels) return { error: CHANNELS_ERROR };
+  }
+
+  const address = fields.email !== undefined ? fields.email : existing.email;
+  const chosen = parseChannels(fields.channels ?? existing.channels);
+  if (chosen.includes('email') && !address) {
+    return { error: 'An email address is required to get alerts by email' };
+  }
+  if ((fields.line_type ?? existing.line_type) === 'landline' && chosen.includes('sms')) {
+    return { error: 'A landline can\'t receive texts — choose voice and/or email' };
+  }
+  return fields;
+}
+
+/**
+ * Work out the location fields to save from a request body: { address,
+ * latitude, longitude, zone, zone_manual }, each only if it changes. An address
+ * without coordinates is geocoded; a located subscriber goes in the zone
+ * containing them unless `zone` is given, which sets it by hand (zone_manual).
+ * `zone: "auto"` goes back to placing them by location (`existing`'s, if it
+ * doesn't change). Returns the fields, or { error }
+ */
+async function resolveLocation({ address, latitude, longitude, zone }, existing = {}) {
+  const fields = {};
+
+  if (zone === 'auto') {
+    fields.zone_manual = false;
+  } else if (zone !== undefined) {
+    fields.zone_manual = true;
+    if (!zone || zone === 'all') {
+      fields.zone = 'all';
+    } else {
+      const match = getZoneByName(zone);
+      if (!match) return { error: `Unknown zone "${zone}"` };
+      fields.zone = match.name;
+    }
+  }
+
+  if (address !== undefined) {
+    fields.address = address ? String(address).trim() : null;
+  }
+
+  if (latitude !== undefined || longitude !== undefined) {
+    if (latitude === null && longitude === null) {
+      fields.latitude = null;
+      fields.longitude = null;
+    } else {
+      const lat = latitude === null || latitude === '' ? NaN : Number(latitude);
+      const lng = longitude === null || longitude === '' ? NaN : Number(longitude);
+      if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+        return { error: 'latitude and longitude must be given together as valid coordinates' };
+      }
+      fields.latitude = lat;
+      fields.longitude = lng;
+    }
+  } else if (fields.address !== undefined) {
+    const location = await geocodeAddress(fields.address);
+    fields.latitude = location?.latitude ?? null;
+    fields.longitude = location?.longitude ?? null;
+  }
+
+  // A new location, without a zone given, is placed automatically again
+  if (zone === undefined && fields.latitude !== undefined) {
+    fields.zone_manual = false;
+  }
+  if (zone === 'auto') {
+    fields.zone = findZoneForLocation(fields.latitude ?? existing.latitude, fields.longitude ?? existing.longitude);
+  } else if (fields.zone === undefined && fields.latitude != null) {
+    fields.zone = findZoneForLocation(fields.latitude, fields.longitude);
+  }
+  return fields;
+}
 
 // POST / (opt-in signup) is public; all other routes require auth
 router.use((req, res, next) => {
@@ -55,12 +175,17 @@ router.get('/', (req, res) => {
 
 /**
  * GET /api/subscribers/stats
- * Aggregate stats for the dashboard stat cards
+ * Aggregate stats for the dashboard stat cards, with the number of active
+ * subscribers reached on each channel (`channels`) and the 30-day delivery
+ * rate per channel (`deliveryRateByChannel`)
  */
 router.get('/stats', (req, res) => {
   try {
     const stats = getSubscriberStats();
+    // As for a boil notice, so landline subscribers are counted too
+    const channels = countByChannel(getDeliveries(getActiveSubscribers(), 'boil'));
     const deliveryRate = getDeliveryRate();
+    const deliveryRateByChannel = Object.fromEntries(CHANNELS.map(c => [c, getDeliveryRate(c)]));
     const alertsThisYear = getAlertsThisYear();
 
     // Estimate monthly cost: Twilio number ($1.15/mo) + no per-message cost when idle
@@ -68,7 +193,9 @@ router.get('/stats', (req, res) => {
 
     res.json({
       ...stats,
+      channels,
       deliveryRate,
+      deliveryRateByChannel,
       alertsThisYear,
       monthlyCost
     });
@@ -98,21 +225,86 @@ router.get('/:id', (req, res) => {
 /**
  * POST /api/subscribers
  * Add a new subscriber
- * Body: { name, phone, zone, status }
+ * Body: { name, phone, zone, status, alert_types?, email?, channels?, line_type?, language?,
+ *         address?, latitude?, longitude? }
+ * alert_types is "all" (the default) or a list of types, e.g. ["outage", "boil"]
+ * or "outage,boil". channels is a list of "sms" (the default), "email", and
+ * "voice" (calls, for boil notices only). line_type is "mobile" (the default)
+ * or "landline" — landlines get calls instead of texts. language is the
+ * code of the language they'd like alerts in ("en", the default, "es", ...).
+ * Without a zone, one is assigned from the address; a zone given is set by
+ * hand, and boundary changes won't move them.
+ * From the opt-in page (not logged in), status "active" means the consent box
+ * was ticked: a subscriber who'll get texts is saved as "pending" and texted
+ * to reply YES (see lib/opt-in.js). Signups that won't get texts (landlines,
+ * email only) are saved as "active" from the ticked box alone: the YES reply
+ * is how carriers want consent to texts shown, and no texts go to them. Their
+ * consent is the signup entry in consent_audit, with IP and user agent.
+ * Logged-in staff can add them as "active" straight away, or as "pending" to
+ * send the YES request.
+ * Returns { id, phone, zone, status, confirmation_requested }
  */
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   try {
-    const { name, phone, zone, status } = req.body;
+    const { name, phone, status } = req.body;
 
     if (!name || !phone) {
       return res.status(400).json({ error: 'Name and phone are required' });
     }
 
-    const result = createSubscriber({ name, phone, zone, status });
+    let alert_types;
+    if (req.body.alert_types !== undefined) {
+      alert_types = normalizeAlertTypes(req.body.alert_types);
+      if (!alert_types) {
+        return res.status(400).json({ error: ALERT_TYPES_ERROR });
+      }
+    }
+
+    if (req.body.language !== undefined && !isLanguage(req.body.language)) {
+      return res.status(400).json({ error: LANGUAGE_ERROR });
+    }
+
+    const contact = resolveChannels(req.body);
+    if (contact.error) {
+      return res.status(400).json({ error: contact.error });
+    }
+
+    const location = await resolveLocation(req.body);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    // Double opt-in: a signup from the opt-in page that will get texts stays
+    // pending until the subscriber replies YES, even with the consent box
+    // ticked (status 'active'). Staff can add someone as already opted in.
+    const staff = req.isAuthenticated();
+    const confirm = needsConfirmation(contact) && (staff ? (status || 'pending') === 'pending' : status === 'active');
+    const saved = staff ? status : (status === 'active' && !confirm ? 'active' : 'pending');
+
+    const { language } = req.body;
+    const result = createSubscriber({ name, phone, status: saved, alert_types, language, ...contact, ...location });
 
-    // Send opt-in confirmation SMS only if subscriber consented (non-blocking)
+    const origin = { subscriber_id: result.id, phone: result.phone, source: staff ? 'admin' : 'web', ...getRequestOrigin(req) };
+    logConsent({
+      ...origin,
+      event: 'signup',
+      detail: staff ? `Added by ${req.user?.email}` : `Consent box ${status === 'active' ? 'ticked' : 'not ticked'}`
+    });
+    if (saved === 'active') {
+      logConsent({ ...origin, event: 'opted_in' });
+    }
+
+    // Text the YES request, or the welcome for someone added as opted in (non-blocking)
     const twilio = getTwilioService();
-    if (twilio && status === 'active') {
+    if (confirm && twilio) {
+      requestConfirmation(twilio, { id: result.id, phone: result.phone })
+        .then(smsResult => {
+          if (smsResult.error) console.error('Opt-in confirmation request failed:', smsResult.error);
+        })
+        .catch(err => console.error('Opt-in confirmation request error:', err.message));
+    } else if (confirm) {
+      console.warn(`Subscriber ${result.id} can't confirm by text: Twilio is not configured`);
+    } else if (twilio && saved === 'active' && contact.line_type !== 'landline') {
       twilio.sendSMS(result.phone, OPT_IN_CONFIRMATION)
         .then(smsResult => {
           if (smsResult.error) console.error('Opt-in confirmation SMS failed:', smsResult.error);
@@ -121,7 +313,14 @@ router.post('/', (req, res) => {
         .catch(err => console.error('Opt-in confirmation SMS error:', err.message));
     }
 
-    res.status(201).json({ id: result.id, phone: result.phone, message: 'Subscriber added' });
+    res.status(201).json({
+      id: result.id,
+      phone: result.phone,
+      zone: location.zone || 'all',
+      status: saved || 'pending',
+      confirmation_requested: confirm && !!twilio,
+      message: 'Subscriber added'
+    });
   } catch (error) {
     if (error.message.includes('UNIQUE constraint')) {
       return res.status(409).json({ error: 'A subscriber with that phone number already exists' });
@@ -134,16 +333,53 @@ router.post('/', (req, res) => {
 /**
  * PUT /api/subscribers/:id
  * Update a subscriber
- * Body: any of { name, phone, zone, status, alert_types }
+ * Body: any of { name, phone, zone, status, alert_types, email, channels, line_type, language,
+ *              address, latitude, longitude }
+ * A new address or location moves the subscriber to the zone it's in, unless
+ * `zone` is given too. A `zone` is kept when boundaries change; "auto" puts
+ * them back in the zone their location is in.
  */
-router.put('/:id', (req, res) => {
+router.put('/:id', async (req, res) => {
   try {
     const existing = getSubscriberById(req.params.id);
     if (!existing) {
       return res.status(404).json({ error: 'Subscriber not found' });
     }
 
-    updateSubscriber(req.params.id, req.body);
+    const changes = { ...req.body };
+    if (changes.alert_types !== undefined) {
+      changes.alert_types = normalizeAlertTypes(changes.alert_types);
+      if (!changes.alert_types) {
+        return res.status(400).json({ error: ALERT_TYPES_ERROR });
+      }
+    }
+    if (changes.language !== undefined && !isLanguage(changes.language)) {
+      return res.status(400).json({ error: LANGUAGE_ERROR });
+    }
+
+    const contact = resolveChannels(req.body, existing);
+    if (contact.error) {
+      return res.status(400).json({ error: contact.error });
+    }
+    Object.assign(changes, contact);
+
+    const location = await resolveLocation(req.body, existing);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+    Object.assign(changes, location);
+
+    updateSubscriber(req.params.id, changes);
+    if (['active', 'opted_out'].includes(changes.status) && changes.status !== existing.status) {
+      logConsent({
+        subscriber_id: existing.id,
+        phone: existing.phone,
+        event: changes.status === 'active' ? 'opted_in' : 'opted_out',
+        source: 'admin',
+        ...getRequestOrigin(req),
+        detail: `Changed by ${req.user?.email}`
+      });
+    }
     const updated = getSubscriberById(req.params.id);
     res.json(updated);
   } catch (error) {
@@ -155,6 +391,25 @@ router.put('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/subscribers/:id/consent
+ * The subscriber's consent history (consent_audit), oldest first: signup,
+ * confirmation request and reply, opt-ins and opt-outs — including any from an
+ * earlier signup with the same phone number
+ */
+router.get('/:id/consent', (req, res) => {
+  try {
+    const subscriber = getSubscriberById(req.params.id);
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    res.json(getConsentAudit(subscriber.phone));
+  } catch (error) {
+    console.error('Error getting consent history:', error.message);
+    res.status(500).json({ error: 'Failed to get consent history' });
+  }
+});
+
 /**
  * DELETE /api/subscribers/:id
  * Remove a subscriber
@@ -0,0 +1,380 @@
+/**
+ * Tank Registry API Routes
+ * CRUD for the tanks shown on the dashboard and the sensors installed in them,
+ * per-tank strapping tables for non-linear depth-to-volume conversion,
+ * and the calibration wizard (derive full height from a known reading)
+ */
+
+import { Router } from 'express';
+import {
+  getTanks,
+  getTankById,
+  createTank,
+  updateTank,
+  deleteTank,
+  getStrappingPoints,
+  replaceStrappingPoints,
+  getLatestTankReading,
+  applyTankCalibration,
+  getTankCalibrations,
+  getTankCalibrationById
+} from '../../db/database.js';
+import { TANK_GEOMETRIES, heightFromReference } from '../../lib/tanks.js';
+
+const router = Router();
+
+const TANK_ROLES = ['source', 'distribution', 'storage'];
+
+// A reading older than this is too stale to calibrate against
+const MAX_CALIBRATION_READING_AGE_MS = 2 * 60 * 60 * 1000; // 2 hours
+
+/**
+ * Validate tank fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateTank(body, { partial = false } = {}) {
+  const { name, role, capacity_gal, height_cm, geometry } = body;
+
+  if (!partial && (!name || !String(name).trim())) {
+    return 'Name is required';
+  }
+  if (role !== undefined && !TANK_ROLES.includes(role)) {
+    return 'Invalid role. Must be source, distribution, or storage.';
+  }
+  if ((!partial || capacity_gal !== undefined) && !(Number(capacity_gal) > 0)) {
+    return 'capacity_gal must be a positive number';
+  }
+  if (height_cm !== undefined && height_cm !== null && !(Number(height_cm) > 0)) {
+    return 'height_cm must be a positive number';
+  }
+  if (geometry !== undefined && !TANK_GEOMETRIES.includes(geometry)) {
+    return 'Invalid geometry. Must be vertical_cylinder, horizontal_cylinder, or rectangular.';
+  }
+  return null;
+}
+
+/**
+ * Parse a strapping table from either a `points` array or a `csv` string
+ * (one "depth_cm,gallons" pair per line; a header line is ignored)
+ * Returns { points } sorted by depth, or { error }
+ */
+function parseStrappingTable({ points, csv }) {
+  let rows = points;
+
+  if (csv !== undefined) {
+    rows = String(csv).split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !/[a-z]/i.test(line))
+      .map(line => {
+        const [depth_cm, gallons] = line.split(/[,\t]/);
+        return { depth_cm, gallons };
+      });
+  }
+
+  if (!Array.isArray(rows) || rows.length < 2) {
+    return { error: 'A strapping table needs at least two points' };
+  }
+
+  const parsed = rows
+    .map(r => ({ depth_cm: Number(r.depth_cm), gallons: Number(r.gallons) }))
+    .sort((a, b) => a.depth_cm - b.depth_cm);
+
+  for (let i = 0; i < parsed.length; i++) {
+    const p = parsed[i];
+    if (!Number.isFinite(p.depth_cm) || !Number.isFinite(p.gallons) || p.depth_cm < 0 || p.gallons < 0) {
+      return { error: 'Each point needs a non-negative depth_cm and gallons' };
+    }
+    if (i > 0 && p.depth_cm === parsed[i - 1].depth_cm) {
+      return { error: `Duplicate depth ${p.depth_cm} cm` };
+    }
+    if (i > 0 && p.gallons < parsed[i - 1].gallons) {
+      return { error: `Gallons must not decrease as depth increases (at ${p.depth_cm} cm)` };
+    }
+  }
+
+  return { points: parsed };
+}
+
+/**
+ * GET /api/tanks
+ * List all registered tanks in display order
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(getTanks());
+  } catch (error) {
+    console.error('Error listing tanks:', error.message);
+    res.status(500).json({ error: 'Failed to list tanks' });
+  }
+});
+
+/**
+ * GET /api/tanks/:id
+ * Get a single tank
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+    res.json(tank);
+  } catch (error) {
+    console.error('Error getting tank:', error.message);
+    res.status(500).json({ error: 'Failed to get tank' });
+  }
+});
+
+/**
+ * POST /api/tanks
+ * Register a new tank
+ * Body: { name, role, capacity_gal, height_cm, geometry, sensor_id, sort_order }
+ */
+router.post('/', (req, res) => {
+  try {
+    const error = validateTank(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = createTank(req.body);
+    res.status(201).json(getTankById(result.id));
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'That sensor is already assigned to another tank' });
+    }
+    console.error('Error creating tank:', error.message);
+    res.status(500).json({ error: 'Failed to add tank' });
+  }
+});
+
+/**
+ * PUT /api/tanks/:id
+ * Update a tank
+ * Body: any of { name, role, capacity_gal, height_cm, geometry, sensor_id, sort_order }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const existing = getTankById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+
+    const error = validateTank(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Height changes go through the calibration history so they can be rolled back
+    const { height_cm, ...fields } = req.body;
+    updateTank(req.params.id, fields);
+    if (height_cm !== undefined && height_cm !== existing.height_cm) {
+      applyTankCalibration(existing.id, {
+        height_cm,
+        method: 'manual',
+        calibrated_by: req.user?.email
+      });
+    }
+    res.json(getTankById(req.params.id));
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'That sensor is already assigned to another tank' });
+    }
+    console.error('Error updating tank:', error.message);
+    res.status(500).json({ error: 'Failed to update tank' });
+  }
+});
+
+/**
+ * GET /api/tanks/:id/strapping
+ * Get a tank's strapping table
+ */
+router.get('/:id/strapping', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+    res.json({ tank_id: tank.id, points: getStrappingPoints(tank.id) });
+  } catch (error) {
+    console.error('Error getting strapping table:', error.message);
+    res.status(500).json({ error: 'Failed to get strapping table' });
+  }
+});
+
+/**
+ * PUT /api/tanks/:id/strapping
+ * Upload (replace) a tank's strapping table; overrides its geometry when set
+ * Body: { points: [{ depth_cm, gallons }, ...] } or { csv: "depth_cm,gallons\n..." }
+ */
+router.put('/:id/strapping', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+
+    const { points, error } = parseStrappingTable(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    replaceStrappingPoints(tank.id, points);
+    res.json({ tank_id: tank.id, points: getStrappingPoints(tank.id) });
+  } catch (error) {
+    console.error('Error saving strapping table:', error.message);
+    res.status(500).json({ error: 'Failed to save strapping table' });
+  }
+});
+
+/**
+ * DELETE /api/tanks/:id/strapping
+ * Clear a tank's strapping table (falls back to its geometry)
+ */
+router.delete('/:id/strapping', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+
+    replaceStrappingPoints(tank.id, []);
+    res.json({ message: 'Strapping table cleared' });
+  } catch (error) {
+    console.error('Error clearing strapping table:', error.message);
+    res.status(500).json({ error: 'Failed to clear strapping table' });
+  }
+});
+
+/**
+ * POST /api/tanks/:id/calibrate
+ * Calibration wizard — derive the tank's full height from its latest sensor reading
+ * Body: { mode: 'full' } — the tank is known to be full right now
+ *    or { mode: 'gallons', gallons } — the tank is known to hold N gallons right now
+ */
+router.post('/:id/calibrate', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+    if (!tank.sensor_id) {
+      return res.status(409).json({ error: 'Tank has no sensor to calibrate against' });
+    }
+    if (getStrappingPoints(tank.id).length >= 2) {
+      return res.status(409).json({ error: 'Tank uses a strapping table — update the table instead' });
+    }
+
+    const { mode, gallons } = req.body;
+    if (!['full', 'gallons'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode. Must be full or gallons.' });
+    }
+    const known = mode === 'full' ? tank.capacity_gal : Number(gallons);
+    if (!(known > 0) || known > tank.capacity_gal) {
+      return res.status(400).json({ error: `gallons must be between 0 and the tank's capacity (${tank.capacity_gal})` });
+    }
+
+    const reading = getLatestTankReading(tank.sensor_id);
+    if (!reading || reading.depth_cm === null) {
+      return res.status(409).json({ error: 'No depth reading available for this tank yet' });
+    }
+    const readingAgeMs = Date.now() - new Date(reading.recorded_at).getTime();
+    if (readingAgeMs > MAX_CALIBRATION_READING_AGE_MS) {
+      return res.status(409).json({ error: `Latest reading is from ${reading.recorded_at} — wait for a fresh reading before calibrating` });
+    }
+    if (!(reading.depth_cm > 0)) {
+      return res.status(409).json({ error: 'Latest reading shows an empty tank — cannot calibrate from zero depth' });
+    }
+
+    const fraction = known / tank.capacity_gal;
+    const height = heightFromReference(tank.geometry, reading.depth_cm, fraction);
+    const heightCm = Math.round(height * 100) / 100;
+
+    const calibration = applyTankCalibration(tank.id, {
+      height_cm: heightCm,
+      method: mode === 'full' ? 'known_full' : 'known_gallons',
+      reference_depth_cm: reading.depth_cm,
+      reference_gallons: known,
+      calibrated_by: req.user?.email
+    });
+
+    res.json({
+      calibration: getTankCalibrationById(calibration.id),
+      tank: getTankById(tank.id)
+    });
+  } catch (error) {
+    console.error('Error calibrating tank:', error.message);
+    res.status(500).json({ error: 'Failed to calibrate tank' });
+  }
+});
+
+/**
+ * GET /api/tanks/:id/calibrations
+ * Calibration history for a tank (most recent first)
+ */
+router.get('/:id/calibrations', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+    res.json(getTankCalibrations(tank.id));
+  } catch (error) {
+    console.error('Error getting calibration history:', error.message);
+    res.status(500).json({ error: 'Failed to get calibration history' });
+  }
+});
+
+/**
+ * POST /api/tanks/:id/calibrations/:calibrationId/rollback
+ * Undo a calibration by restoring the height it replaced
+ * The rollback itself is recorded in the history
+ */
+router.post('/:id/calibrations/:calibrationId/rollback', (req, res) => {
+  try {
+    const tank = getTankById(req.params.id);
+    if (!tank) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+    const calibration = getTankCalibrationById(req.params.calibrationId);
+    if (!calibration || calibration.tank_id !== tank.id) {
+      return res.status(404).json({ error: 'Calibration not found' });
+    }
+
+    const rollback = applyTankCalibration(tank.id, {
+      height_cm: calibration.previous_height_cm,
+      method: 'rollback',
+      rolled_back_from: calibration.id,
+      calibrated_by: req.user?.email
+    });
+
+    res.json({
+      calibration: getTankCalibrationById(rollback.id),
+      tank: getTankById(tank.id)
+    });
+  } catch (error) {
+    console.error('Error rolling back calibration:', error.message);
+    res.status(500).json({ error: 'Failed to roll back calibration' });
+  }
+});
+
+/**
+ * DELETE /api/tanks/:id
+ * Remove a tank from the registry (its reading history is kept)
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = getTankById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tank not found' });
+    }
+
+    deleteTank(req.params.id);
+    res.json({ message: 'Tank removed' });
+  } catch (error) {
+    console.error('Error deleting tank:', error.message);
+    res.status(500).json({ error: 'Failed to remove tank' });
+  }
+});
+
+export default router;
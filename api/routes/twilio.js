@@ -0,0 +1,172 @@
+/**
+ * Twilio Webhook Routes
+ * Inbound SMS replies (the messaging webhook on the Twilio number) and
+ * delivery status callbacks for alert broadcasts (texts and voice calls).
+ * Public (Twilio can't log in), so every request must carry a valid signature.
+ */
+
+import { Router } from 'express';
+import Twilio from 'twilio';
+import {
+  getSubscriberByPhone,
+  updateSubscriber,
+  markConfirmationRequested,
+  logConsent,
+  updateDeliveryStatus,
+  refreshAlertCounts
+} from '../../db/database.js';
+import { validateTwilioSignature, toLogStatus } from '../../lib/twilio.js';
+import { toCallOutcome } from '../../lib/voice.js';
+import { acknowledgeFromReply } from '../../lib/alarms.js';
+import {
+  parseKeyword,
+  CONFIRMATION_REQUEST,
+  OPT_IN_CONFIRMATION,
+  OPT_OUT_CONFIRMATION,
+  HELP_MESSAGE,
+  NOT_SUBSCRIBED_MESSAGE
+} from '../../lib/sms-keywords.js';
+
+const router = Router();
+
+router.use(validateTwilioSignature);
+
+/**
+ * Send a TwiML response, with an optional reply text
+ */
+function replyWith(res, message) {
+  const twiml = new Twilio.twiml.MessagingResponse();
+  if (message) twiml.message(message);
+  res.type('text/xml').send(twiml.toString());
+}
+
+/**
+ * Apply a STOP / START / HELP / YES keyword from a phone number, recording
+ * opt-ins and opt-outs in consent_audit (`detail` says which reply)
+ * Returns the auto-reply to send
+ */
+function handleKeyword(keyword, from, detail) {
+  if (keyword === 'help') return HELP_MESSAGE;
+
+  const subscriber = getSubscriberByPhone(from);
+  const audit = (event) => logConsent({ subscriber_id: subscriber.id, phone: subscriber.phone, event, source: 'sms', detail });
+
+  if (keyword === 'stop') {
+    // Always confirm, even for unknown numbers — carriers expect a reply to every STOP
+    if (subscriber && subscriber.status !== 'opted_out') {
+      updateSubscriber(subscriber.id, { status: 'opted_out' });
+      audit('opted_out');
+      console.log(`Subscriber ${subscriber.id} opted out by SMS`);
+    }
+    return OPT_OUT_CONFIRMATION;
+  }
+
+  // YES only confirms a signup waiting for it (double opt-in, lib/opt-in.js),
+  // and START only brings back someone who opted out — a pending signup
+  // texting START is asked for the YES again
+  if (!subscriber) return NOT_SUBSCRIBED_MESSAGE;
+  if (keyword === 'confirm' && subscriber.status === 'opted_out') return NOT_SUBSCRIBED_MESSAGE;
+  if (keyword === 'start' && subscriber.status === 'pending') {
+    markConfirmationRequested(subscriber.id);
+    audit('confirmation_requested');
+    return CONFIRMATION_REQUEST;
+  }
+  if (subscriber.status !== 'active') {
+    updateSubscriber(subscriber.id, { status: 'active' });
+    audit(keyword === 'confirm' ? 'confirmed' : 'opted_in');
+    console.log(`Subscriber ${subscriber.id} ${keyword === 'confirm' ? 'confirmed their signup' : 'opted in'} by SMS`);
+  }
+  return OPT_IN_CONFIRMATION;
+}
+
+/**
+ * POST /api/twilio/inbound
+ * Incoming SMS. Body (form-encoded, from Twilio): { From, Body, MessageSid, ... }
+ *   STOP / UNSUBSCRIBE (and Twilio's other opt-out words) — opt the subscriber out
+ *   START / UNSTOP — opt them back in (a pending signup is asked for YES again)
+ *   YES — confirm a pending signup (double opt-in)
+ *   HELP / INFO — reply with contact details
+ *   ACK — operator acknowledges the alarms they were paged for
+ */
+router.post('/inbound', (req, res) => {
+  try {
+    const from = req.body.From;
+    const body = String(req.body.Body || '');
+
+    const keyword = parseKeyword(body);
+    if (keyword) {
+      const detail = `Replied "${body.trim().slice(0, 20)}"${req.body.MessageSid ? ` (${req.body.MessageSid})` : ''}`;
+      return replyWith(res, handleKeyword(keyword, from, detail));
+    }
+
+    const word = body.trim().toUpperCase();
+    if (word === 'ACK' || word === 'ACKNOWLEDGE') {
+      return replyWith(res, acknowledgeFromReply(from));
+    }
+
+    // Anything else gets no automatic reply
+    console.log(`Inbound SMS from ${from} ignored: "${word.slice(0, 40)}"`);
+    replyWith(res);
+  } catch (error) {
+    console.error('Error handling inbound SMS:', error.message);
+    replyWith(res);
+  }
+});
+
+/**
+ * POST /api/twilio/status
+ * Delivery status callback for alert messages (statusCallback on each send)
+ * Body (form-encoded, from Twilio): { MessageSid, MessageStatus, ErrorCode, ... }
+ */
+router.post('/status', (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).send('MessageSid and MessageStatus are required');
+    }
+
+    const row = updateDeliveryStatus(MessageSid, {
+      status: toLogStatus(MessageStatus),
+      error_code: ErrorCode,
+      error_message: ErrorMessage
+    });
+    if (row) {
+      refreshAlertCounts(row.alert_id);
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('Error handling status callback:', error.message);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * POST /api/twilio/voice-status
+ * Status callback for alert calls (statusCallback on each call), once it ends
+ * Body (form-encoded, from Twilio): { CallSid, CallStatus, AnsweredBy, ErrorCode, ... }
+ */
+router.post('/voice-status', (req, res) => {
+  try {
+    const { CallSid, CallStatus, AnsweredBy, ErrorCode, ErrorMessage } = req.body;
+    if (!CallSid || !CallStatus) {
+      return res.status(400).send('CallSid and CallStatus are required');
+    }
+
+    const { status, call_outcome } = toCallOutcome(CallStatus, AnsweredBy);
+    const row = updateDeliveryStatus(CallSid, {
+      status,
+      call_outcome,
+      error_code: ErrorCode,
+      error_message: ErrorMessage
+    });
+    if (row) {
+      refreshAlertCounts(row.alert_id);
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('Error handling voice status callback:', error.message);
+    res.sendStatus(500);
+  }
+});
+
+export default router;
@@ -0,0 +1,179 @@
+/**
+ * Service Zone API Routes
+ * CRUD for named zones and their map-drawn boundaries. Saving or removing a
+ * boundary re-places subscribers with a known location (see lib/zones.js).
+ */
+
+import { Router } from 'express';
+import {
+  getZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+  getScheduledAlertsForZone
+} from '../../db/database.js';
+import { parseBoundary, reassignSubscriberZones } from '../../lib/zones.js';
+
+const router = Router();
+
+/**
+ * Validate zone fields from a request body
+ * Returns an error message, or null if valid. `partial` skips required checks (PUT).
+ */
+function validateZone(body, { partial = false } = {}) {
+  const { name } = body;
+
+  if ((!partial || name !== undefined) && (!name || !String(name).trim())) {
+    return 'Name is required';
+  }
+  if (name !== undefined && String(name).includes(',')) {
+    return 'Zone names cannot contain commas';
+  }
+  if (name !== undefined && String(name).trim().toLowerCase() === 'all') {
+    return '"all" is reserved for alerts to every zone';
+  }
+  if (name !== undefined && String(name).trim().toLowerCase() === 'auto') {
+    return '"auto" is reserved for placing subscribers by address';
+  }
+  return null;
+}
+
+/**
+ * Zone row for API responses, with its boundary parsed back into GeoJSON
+ */
+function formatZone(zone) {
+  return { ...zone, boundary: zone.boundary ? JSON.parse(zone.boundary) : null };
+}
+
+/**
+ * GET /api/zones
+ * List zones with boundaries and active subscriber counts
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(getZones().map(formatZone));
+  } catch (error) {
+    console.error('Error listing zones:', error.message);
+    res.status(500).json({ error: 'Failed to list zones' });
+  }
+});
+
+/**
+ * GET /api/zones/:id
+ * Get a single zone
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const zone = getZoneById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+    res.json(formatZone(zone));
+  } catch (error) {
+    console.error('Error getting zone:', error.message);
+    res.status(500).json({ error: 'Failed to get zone' });
+  }
+});
+
+/**
+ * POST /api/zones
+ * Create a zone
+ * Body: { name, description?, boundary? } — boundary is a GeoJSON Polygon or MultiPolygon
+ */
+router.post('/', (req, res) => {
+  try {
+    const error = validateZone(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let boundary = null;
+    if (req.body.boundary !== undefined) {
+      const parsed = parseBoundary(req.body.boundary);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      boundary = parsed.boundary;
+    }
+
+    const result = createZone({ name: req.body.name.trim(), description: req.body.description, boundary });
+    const reassigned = boundary ? reassignSubscriberZones() : 0;
+    res.status(201).json({ ...formatZone(getZoneById(result.id)), reassigned });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'A zone with that name already exists' });
+    }
+    console.error('Error creating zone:', error.message);
+    res.status(500).json({ error: 'Failed to add zone' });
+  }
+});
+
+/**
+ * PUT /api/zones/:id
+ * Update a zone; a rename carries over to its subscribers and scheduled alerts
+ * Body: any of { name, description, boundary } — boundary: null removes it
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const existing = getZoneById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const error = validateZone(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let boundary;
+    if (req.body.boundary !== undefined) {
+      const parsed = parseBoundary(req.body.boundary);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      boundary = parsed.boundary;
+    }
+
+    updateZone(existing.id, {
+      name: req.body.name?.trim(),
+      description: req.body.description,
+      boundary
+    });
+    const reassigned = boundary !== undefined && boundary !== existing.boundary ? reassignSubscriberZones() : 0;
+    res.json({ ...formatZone(getZoneById(existing.id)), reassigned });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'A zone with that name already exists' });
+    }
+    console.error('Error updating zone:', error.message);
+    res.status(500).json({ error: 'Failed to update zone' });
+  }
+});
+
+/**
+ * DELETE /api/zones/:id
+ * Remove a zone; its subscribers are re-placed by location, or unassigned
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = getZoneById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const scheduled = getScheduledAlertsForZone(existing.name);
+    if (scheduled.length > 0) {
+      return res.status(409).json({ error: `Zone is targeted by ${scheduled.length} scheduled alert(s); edit or cancel them first` });
+    }
+
+    deleteZone(existing.id);
+    const reassigned = existing.boundary ? reassignSubscriberZones() : 0;
+    res.json({ message: 'Zone removed', reassigned });
+  } catch (error) {
+    console.error('Error deleting zone:', error.message);
+    res.status(500).json({ error: 'Failed to remove zone' });
+  }
+});
+
+export default router;
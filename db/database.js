@@ -1,6 +1,7 @@
 /**
  * SQLite Database Layer for Alert System
- * Manages subscribers, alerts, and delivery logs
+ * Manages subscribers, alerts, delivery logs, broadcast jobs, the tank registry,
+ * tank reading history, operator alarm rules, and the on-call operator roster
  */
 
 import Database from 'better-sqlite3';
@@ -37,10 +38,20 @@ export function initDatabase() {
       name          TEXT NOT NULL,
       phone         TEXT NOT NULL UNIQUE,
       zone          TEXT DEFAULT 'all',
+      zone_manual   INTEGER NOT NULL DEFAULT 0,
       status        TEXT NOT NULL DEFAULT 'pending'
                       CHECK(status IN ('active','pending','opted_out')),
       alert_types   TEXT DEFAULT 'all',
+      email         TEXT,
+      channels      TEXT DEFAULT 'sms',
+      line_type     TEXT DEFAULT 'mobile' CHECK(line_type IN ('mobile','landline')),
+      language      TEXT DEFAULT 'en',
+      address       TEXT,
+      latitude      REAL,
+      longitude     REAL,
       opted_in_at   TEXT,
+      opted_out_at  TEXT,
+      confirmation_requested_at TEXT,
       created_at    TEXT DEFAULT (datetime('now')),
       updated_at    TEXT DEFAULT (datetime('now'))
     );
@@ -49,6 +60,23 @@ export function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_subscribers_zone ON subscribers(zone);
     CREATE INDEX IF NOT EXISTS idx_subscribers_phone ON subscribers(phone);
 
+    -- Every change to a subscriber's consent, kept after the subscriber is deleted
+    CREATE TABLE IF NOT EXISTS consent_audit (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscriber_id INTEGER REFERENCES subscribers(id) ON DELETE SET NULL,
+      phone         TEXT NOT NULL,
+      event         TEXT NOT NULL
+                      CHECK(event IN ('signup','confirmation_requested','confirmed','opted_in','opted_out','expired')),
+      source        TEXT NOT NULL CHECK(source IN ('web','admin','sms','system')),
+      ip            TEXT,
+      user_agent    TEXT,
+      detail        TEXT,
+      created_at    TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_consent_audit_subscriber ON consent_audit(subscriber_id);
+    CREATE INDEX IF NOT EXISTS idx_consent_audit_phone ON consent_audit(phone);
+
     CREATE TABLE IF NOT EXISTS alerts (
       id              INTEGER PRIMARY KEY AUTOINCREMENT,
       type            TEXT NOT NULL CHECK(type IN ('repair','outage','boil','boil_lifted')),
@@ -60,8 +88,16 @@ export function initDatabase() {
       cost_estimate   REAL DEFAULT 0,
       sent_by         TEXT DEFAULT 'admin',
       status          TEXT DEFAULT 'sending'
-                        CHECK(status IN ('sending','completed','failed')),
-      created_at      TEXT DEFAULT (datetime('now'))
+                        CHECK(status IN ('scheduled','sending','completed','failed','cancelled')),
+      created_at      TEXT DEFAULT (datetime('now')),
+      retry_of        INTEGER REFERENCES alerts(id),
+      scheduled_at    TEXT,
+      recurrence      TEXT CHECK(recurrence IN ('daily','weekly')),
+      recurrence_until TEXT,
+      reminder_of     INTEGER REFERENCES alerts(id),
+      override_preferences INTEGER DEFAULT 0,
+      incident_id     INTEGER REFERENCES incidents(id),
+      voice_retry     INTEGER DEFAULT 0
     );
 
     CREATE TABLE IF NOT EXISTS alert_log (
@@ -71,14 +107,91 @@ export function initDatabase() {
       phone           TEXT NOT NULL,
       twilio_sid      TEXT,
       status          TEXT DEFAULT 'queued'
-                        CHECK(status IN ('queued','sent','delivered','failed','undelivered')),
+                        CHECK(status IN ('queued','sent','delivered','failed','undelivered','skipped')),
+      error_code      TEXT,
       error_message   TEXT,
       created_at      TEXT DEFAULT (datetime('now')),
-      updated_at      TEXT DEFAULT (datetime('now'))
+      updated_at      TEXT DEFAULT (datetime('now')),
+      channel         TEXT NOT NULL DEFAULT 'sms' CHECK(channel IN ('sms','email','voice')),
+      email           TEXT,
+      call_outcome    TEXT CHECK(call_outcome IN ('answered','voicemail','no_answer','busy','failed')),
+      language        TEXT
     );
 
     CREATE INDEX IF NOT EXISTS idx_alert_log_alert_id ON alert_log(alert_id);
     CREATE INDEX IF NOT EXISTS idx_alert_log_status ON alert_log(status);
+    CREATE INDEX IF NOT EXISTS idx_alert_log_twilio_sid ON alert_log(twilio_sid);
+
+    CREATE TABLE IF NOT EXISTS broadcast_jobs (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id        INTEGER NOT NULL UNIQUE REFERENCES alerts(id) ON DELETE CASCADE,
+      status          TEXT NOT NULL DEFAULT 'queued'
+                        CHECK(status IN ('queued','running','paused','completed','failed','cancelled')),
+      status_callback TEXT,
+      error_message   TEXT,
+      created_at      TEXT DEFAULT (datetime('now')),
+      started_at      TEXT,
+      finished_at     TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_broadcast_jobs_status ON broadcast_jobs(status);
+
+    CREATE TABLE IF NOT EXISTS alert_messages (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id    INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+      language    TEXT NOT NULL,
+      message     TEXT NOT NULL,
+      UNIQUE(alert_id, language)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_templates (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      name        TEXT NOT NULL,
+      type        TEXT NOT NULL CHECK(type IN ('repair','outage','boil','boil_lifted')),
+      body        TEXT NOT NULL,
+      created_at  TEXT DEFAULT (datetime('now')),
+      updated_at  TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS incidents (
+      id               INTEGER PRIMARY KEY AUTOINCREMENT,
+      title            TEXT NOT NULL,
+      reason           TEXT,
+      zone             TEXT DEFAULT 'all',
+      status           TEXT NOT NULL DEFAULT 'open'
+                         CHECK(status IN ('open','lifted')),
+      required_samples INTEGER NOT NULL DEFAULT 2,
+      opened_by        TEXT,
+      opened_at        TEXT DEFAULT (datetime('now')),
+      lifted_by        TEXT,
+      lifted_at        TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_incidents_status ON incidents(status);
+
+    CREATE TABLE IF NOT EXISTS incident_samples (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      incident_id   INTEGER NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+      location      TEXT NOT NULL,
+      collected_at  TEXT NOT NULL,
+      result        TEXT NOT NULL CHECK(result IN ('absent','present')),
+      chlorine_ppm  REAL,
+      lab           TEXT,
+      notes         TEXT,
+      recorded_by   TEXT,
+      recorded_at   TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_incident_samples_incident_id ON incident_samples(incident_id);
+
+    CREATE TABLE IF NOT EXISTS zones (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      name        TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT,
+      boundary    TEXT,
+      created_at  TEXT DEFAULT (datetime('now')),
+      updated_at  TEXT DEFAULT (datetime('now'))
+    );
 
     CREATE TABLE IF NOT EXISTS allowed_users (
       id         INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -89,9 +202,144 @@ export function initDatabase() {
     );
 
     CREATE INDEX IF NOT EXISTS idx_allowed_users_email ON allowed_users(email);
+
+    CREATE TABLE IF NOT EXISTS tank_readings (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id     TEXT NOT NULL,
+      depth_cm      REAL,
+      battery       INTEGER,
+      temperature   REAL,
+      percentage    REAL,
+      source        TEXT DEFAULT 'mqtt',
+      recorded_at   TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tank_readings_device_time ON tank_readings(device_id, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_tank_readings_recorded_at ON tank_readings(recorded_at);
+
+    CREATE TABLE IF NOT EXISTS tanks (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      name          TEXT NOT NULL,
+      role          TEXT NOT NULL DEFAULT 'distribution'
+                      CHECK(role IN ('source','distribution','storage')),
+      capacity_gal  REAL NOT NULL,
+      height_cm     REAL,
+      geometry      TEXT NOT NULL DEFAULT 'vertical_cylinder'
+                      CHECK(geometry IN ('vertical_cylinder','horizontal_cylinder','rectangular')),
+      sensor_id     TEXT UNIQUE,
+      sort_order    INTEGER DEFAULT 0,
+      created_at    TEXT DEFAULT (datetime('now')),
+      updated_at    TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS tank_strapping_points (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      tank_id       INTEGER NOT NULL REFERENCES tanks(id) ON DELETE CASCADE,
+      depth_cm      REAL NOT NULL,
+      gallons       REAL NOT NULL,
+      UNIQUE(tank_id, depth_cm)
+    );
+
+    CREATE TABLE IF NOT EXISTS tank_calibrations (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      tank_id             INTEGER NOT NULL REFERENCES tanks(id) ON DELETE CASCADE,
+      height_cm           REAL,
+      previous_height_cm  REAL,
+      method              TEXT NOT NULL
+                            CHECK(method IN ('known_full','known_gallons','manual','rollback')),
+      reference_depth_cm  REAL,
+      reference_gallons   REAL,
+      rolled_back_from    INTEGER REFERENCES tank_calibrations(id),
+      calibrated_by       TEXT,
+      created_at          TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tank_calibrations_tank_id ON tank_calibrations(tank_id);
+
+    CREATE TABLE IF NOT EXISTS alarm_rules (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      name              TEXT NOT NULL,
+      metric            TEXT NOT NULL
+                          CHECK(metric IN ('tank_level','chlorine','sensor_offline')),
+      device_id         TEXT,
+      comparator        TEXT NOT NULL DEFAULT 'below'
+                          CHECK(comparator IN ('below','above')),
+      threshold         REAL NOT NULL,
+      duration_minutes  INTEGER DEFAULT 0,
+      hysteresis        REAL DEFAULT 0,
+      cooldown_minutes  INTEGER DEFAULT 60,
+      enabled           INTEGER DEFAULT 1,
+      created_at        TEXT DEFAULT (datetime('now')),
+      updated_at        TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS alarm_rule_state (
+      rule_id           INTEGER NOT NULL REFERENCES alarm_rules(id) ON DELETE CASCADE,
+      subject           TEXT NOT NULL,
+      condition_since   TEXT,
+      PRIMARY KEY (rule_id, subject)
+    );
+
+    CREATE TABLE IF NOT EXISTS alarms (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id         INTEGER REFERENCES alarm_rules(id) ON DELETE SET NULL,
+      subject         TEXT NOT NULL,
+      message         TEXT NOT NULL,
+      value           REAL,
+      status          TEXT NOT NULL DEFAULT 'open'
+                        CHECK(status IN ('open','acknowledged','resolved')),
+      notified_at     TEXT,
+      opened_at       TEXT DEFAULT (datetime('now')),
+      acknowledged_by TEXT,
+      acknowledged_at TEXT,
+      resolved_by     TEXT,
+      resolved_at     TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alarms_status ON alarms(status);
+    CREATE INDEX IF NOT EXISTS idx_alarms_rule_subject ON alarms(rule_id, subject);
+
+    CREATE TABLE IF NOT EXISTS operators (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      name              TEXT NOT NULL,
+      phone             TEXT NOT NULL UNIQUE,
+      escalation_order  INTEGER NOT NULL DEFAULT 1,
+      active            INTEGER DEFAULT 1,
+      created_at        TEXT DEFAULT (datetime('now')),
+      updated_at        TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS operator_shifts (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      operator_id   INTEGER NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+      day_of_week   INTEGER CHECK(day_of_week BETWEEN 0 AND 6),
+      start_time    TEXT NOT NULL,
+      end_time      TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_operator_shifts_operator_id ON operator_shifts(operator_id);
+
+    CREATE TABLE IF NOT EXISTS alarm_notifications (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      alarm_id      INTEGER NOT NULL REFERENCES alarms(id) ON DELETE CASCADE,
+      operator_id   INTEGER REFERENCES operators(id) ON DELETE SET NULL,
+      phone         TEXT NOT NULL,
+      level         INTEGER NOT NULL DEFAULT 1,
+      twilio_sid    TEXT,
+      status        TEXT NOT NULL DEFAULT 'sent'
+                      CHECK(status IN ('sent','failed')),
+      error_message TEXT,
+      sent_at       TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alarm_notifications_alarm_id ON alarm_notifications(alarm_id);
   `);
 
   runMigrations();
+  seedTanks();
+  seedAlarmRules();
+  seedAlertTemplates();
+  seedZones();
 
   console.log('Database initialized at', DB_PATH);
   return db;
@@ -136,6 +384,387 @@ function runMigrations() {
       `);
     }
   });
+
+  // Migration 2: tanks.geometry for non-linear depth-to-volume conversion
+  addColumnIfMissing({
+    table: 'tanks',
+    column: 'geometry',
+    definition: "TEXT NOT NULL DEFAULT 'vertical_cylinder' CHECK(geometry IN ('vertical_cylinder','horizontal_cylinder','rectangular'))"
+  });
+
+  // Migration 3: alarms.status CHECK must include 'acknowledged', plus who acted and when
+  migrateTableIfMissing({
+    table: 'alarms',
+    requiredToken: "'acknowledged'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE alarms_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id         INTEGER REFERENCES alarm_rules(id) ON DELETE SET NULL,
+          subject         TEXT NOT NULL,
+          message         TEXT NOT NULL,
+          value           REAL,
+          status          TEXT NOT NULL DEFAULT 'open'
+                            CHECK(status IN ('open','acknowledged','resolved')),
+          notified_at     TEXT,
+          opened_at       TEXT DEFAULT (datetime('now')),
+          acknowledged_by TEXT,
+          acknowledged_at TEXT,
+          resolved_by     TEXT,
+          resolved_at     TEXT
+        );
+        INSERT INTO alarms_new (id, rule_id, subject, message, value, status, notified_at, opened_at, resolved_at)
+          SELECT id, rule_id, subject, message, value, status, notified_at, opened_at, resolved_at
+          FROM alarms;
+        DROP TABLE alarms;
+        ALTER TABLE alarms_new RENAME TO alarms;
+        CREATE INDEX IF NOT EXISTS idx_alarms_status ON alarms(status);
+        CREATE INDEX IF NOT EXISTS idx_alarms_rule_subject ON alarms(rule_id, subject);
+      `);
+    }
+  });
+
+  // Migration 4: subscribers.opted_out_at, set when a subscriber texts STOP
+  addColumnIfMissing({
+    table: 'subscribers',
+    column: 'opted_out_at',
+    definition: 'TEXT'
+  });
+
+  // Migration 5: alert_log.error_code, the carrier/Twilio error from status callbacks
+  addColumnIfMissing({
+    table: 'alert_log',
+    column: 'error_code',
+    definition: 'TEXT'
+  });
+
+  // Migration 6: alerts.status CHECK must include 'cancelled'
+  migrateTableIfMissing({
+    table: 'alerts',
+    requiredToken: "'cancelled'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE alerts_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          type            TEXT NOT NULL CHECK(type IN ('repair','outage','boil','boil_lifted')),
+          message         TEXT NOT NULL,
+          zone            TEXT DEFAULT 'all',
+          recipient_count INTEGER DEFAULT 0,
+          delivered_count INTEGER DEFAULT 0,
+          failed_count    INTEGER DEFAULT 0,
+          cost_estimate   REAL DEFAULT 0,
+          sent_by         TEXT DEFAULT 'admin',
+          status          TEXT DEFAULT 'sending'
+                            CHECK(status IN ('sending','completed','failed','cancelled')),
+          created_at      TEXT DEFAULT (datetime('now'))
+        );
+        INSERT INTO alerts_new
+          SELECT id, type, message, zone, recipient_count, delivered_count,
+                 failed_count, cost_estimate, sent_by, status, created_at
+          FROM alerts;
+        DROP TABLE alerts;
+        ALTER TABLE alerts_new RENAME TO alerts;
+      `);
+    }
+  });
+
+  // Migration 7: alert_log.status CHECK must include 'skipped' (recipients of a cancelled broadcast)
+  migrateTableIfMissing({
+    table: 'alert_log',
+    requiredToken: "'skipped'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE alert_log_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id        INTEGER NOT NULL REFERENCES alerts(id),
+          subscriber_id   INTEGER NOT NULL REFERENCES subscribers(id),
+          phone           TEXT NOT NULL,
+          twilio_sid      TEXT,
+          status          TEXT DEFAULT 'queued'
+                            CHECK(status IN ('queued','sent','delivered','failed','undelivered','skipped')),
+          error_code      TEXT,
+          error_message   TEXT,
+          created_at      TEXT DEFAULT (datetime('now')),
+          updated_at      TEXT DEFAULT (datetime('now'))
+        );
+        INSERT INTO alert_log_new (id, alert_id, subscriber_id, phone, twilio_sid, status,
+                                   error_code, error_message, created_at, updated_at)
+          SELECT id, alert_id, subscriber_id, phone, twilio_sid, status,
+                 error_code, error_message, created_at, updated_at
+          FROM alert_log;
+        DROP TABLE alert_log;
+        ALTER TABLE alert_log_new RENAME TO alert_log;
+        CREATE INDEX IF NOT EXISTS idx_alert_log_alert_id ON alert_log(alert_id);
+        CREATE INDEX IF NOT EXISTS idx_alert_log_status ON alert_log(status);
+        CREATE INDEX IF NOT EXISTS idx_alert_log_twilio_sid ON alert_log(twilio_sid);
+      `);
+    }
+  });
+
+  // Migration 8: broadcast_jobs.status CHECK must include 'paused' and 'cancelled'
+  migrateTableIfMissing({
+    table: 'broadcast_jobs',
+    requiredToken: "'paused'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE broadcast_jobs_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id        INTEGER NOT NULL UNIQUE REFERENCES alerts(id) ON DELETE CASCADE,
+          status          TEXT NOT NULL DEFAULT 'queued'
+                            CHECK(status IN ('queued','running','paused','completed','failed','cancelled')),
+          status_callback TEXT,
+          error_message   TEXT,
+          created_at      TEXT DEFAULT (datetime('now')),
+          started_at      TEXT,
+          finished_at     TEXT
+        );
+        INSERT INTO broadcast_jobs_new
+          SELECT id, alert_id, status, status_callback, error_message, created_at, started_at, finished_at
+          FROM broadcast_jobs;
+        DROP TABLE broadcast_jobs;
+        ALTER TABLE broadcast_jobs_new RENAME TO broadcast_jobs;
+        CREATE INDEX IF NOT EXISTS idx_broadcast_jobs_status ON broadcast_jobs(status);
+      `);
+    }
+  });
+
+  // Migration 9: alerts.retry_of links a resend to failed recipients back to the original alert
+  addColumnIfMissing({
+    table: 'alerts',
+    column: 'retry_of',
+    definition: 'INTEGER REFERENCES alerts(id)'
+  });
+
+  // Migration 10: alerts.status CHECK must include 'scheduled', plus schedule/recurrence/reminder columns
+  migrateTableIfMissing({
+    table: 'alerts',
+    requiredToken: "'scheduled'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE alerts_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          type            TEXT NOT NULL CHECK(type IN ('repair','outage','boil','boil_lifted')),
+          message         TEXT NOT NULL,
+          zone            TEXT DEFAULT 'all',
+          recipient_count INTEGER DEFAULT 0,
+          delivered_count INTEGER DEFAULT 0,
+          failed_count    INTEGER DEFAULT 0,
+          cost_estimate   REAL DEFAULT 0,
+          sent_by         TEXT DEFAULT 'admin',
+          status          TEXT DEFAULT 'sending'
+                            CHECK(status IN ('scheduled','sending','completed','failed','cancelled')),
+          created_at      TEXT DEFAULT (datetime('now')),
+          retry_of        INTEGER REFERENCES alerts(id),
+          scheduled_at    TEXT,
+          recurrence      TEXT CHECK(recurrence IN ('daily','weekly')),
+          recurrence_until TEXT,
+          reminder_of     INTEGER REFERENCES alerts(id)
+        );
+        INSERT INTO alerts_new (id, type, message, zone, recipient_count, delivered_count,
+                                failed_count, cost_estimate, sent_by, status, created_at, retry_of)
+          SELECT id, type, message, zone, recipient_count, delivered_count,
+                 failed_count, cost_estimate, sent_by, status, created_at, retry_of
+          FROM alerts;
+        DROP TABLE alerts;
+        ALTER TABLE alerts_new RENAME TO alerts;
+      `);
+    }
+  });
+
+  // Migration 11: alerts.override_preferences, set when a boil notice went to every subscriber
+  addColumnIfMissing({
+    table: 'alerts',
+    column: 'override_preferences',
+    definition: 'INTEGER DEFAULT 0'
+  });
+
+  // Migration 12: subscriber service address and its location, for zone assignment
+  addColumnIfMissing({ table: 'subscribers', column: 'address', definition: 'TEXT' });
+  addColumnIfMissing({ table: 'subscribers', column: 'latitude', definition: 'REAL' });
+  addColumnIfMissing({ table: 'subscribers', column: 'longitude', definition: 'REAL' });
+
+  // Migration 13: alerts.incident_id, linking a boil notice, its updates, and its lift
+  addColumnIfMissing({
+    table: 'alerts',
+    column: 'incident_id',
+    definition: 'INTEGER REFERENCES incidents(id)'
+  });
+  db.exec('CREATE INDEX IF NOT EXISTS idx_alerts_incident_id ON alerts(incident_id)');
+
+  // Migration 14: email channel — subscriber email and channel choice, and the channel of each delivery
+  addColumnIfMissing({ table: 'subscribers', column: 'email', definition: 'TEXT' });
+  addColumnIfMissing({ table: 'subscribers', column: 'channels', definition: "TEXT DEFAULT 'sms'" });
+  addColumnIfMissing({
+    table: 'alert_log',
+    column: 'channel',
+    definition: "TEXT NOT NULL DEFAULT 'sms' CHECK(channel IN ('sms','email'))"
+  });
+  addColumnIfMissing({ table: 'alert_log', column: 'email', definition: 'TEXT' });
+
+  // Migration 15: voice calls — landline subscribers, automatic call retries, and
+  // alert_log.channel CHECK must include 'voice', plus the outcome of each call
+  addColumnIfMissing({
+    table: 'subscribers',
+    column: 'line_type',
+    definition: "TEXT DEFAULT 'mobile' CHECK(line_type IN ('mobile','landline'))"
+  });
+  addColumnIfMissing({ table: 'alerts', column: 'voice_retry', definition: 'INTEGER DEFAULT 0' });
+  migrateTableIfMissing({
+    table: 'alert_log',
+    requiredToken: "'voice'",
+    rebuild: () => {
+      db.exec(`
+        CREATE TABLE alert_log_new (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id        INTEGER NOT NULL REFERENCES alerts(id),
+          subscriber_id   INTEGER NOT NULL REFERENCES subscribers(id),
+          phone           TEXT NOT NULL,
+          twilio_sid      TEXT,
+          status          TEXT DEFAULT 'queued'
+                            CHECK(status IN ('queued','sent','delivered','failed','undelivered','skipped')),
+          error_code      TEXT,
+          error_message   TEXT,
+          created_at      TEXT DEFAULT (datetime('now')),
+          updated_at      TEXT DEFAULT (datetime('now')),
+          channel         TEXT NOT NULL DEFAULT 'sms' CHECK(channel IN ('sms','email','voice')),
+          email           TEXT,
+          call_outcome    TEXT CHECK(call_outcome IN ('answered','voicemail','no_answer','busy','failed'))
+        );
+        INSERT INTO alert_log_new (id, alert_id, subscriber_id, phone, twilio_sid, status,
+                                   error_code, error_message, created_at, updated_at, channel, email)
+          SELECT id, alert_id, subscriber_id, phone, twilio_sid, status,
+                 error_code, error_message, created_at, updated_at, channel, email
+          FROM alert_log;
+        DROP TABLE alert_log;
+        ALTER TABLE alert_log_new RENAME TO alert_log;
+        CREATE INDEX IF NOT EXISTS idx_alert_log_alert_id ON alert_log(alert_id);
+        CREATE INDEX IF NOT EXISTS idx_alert_log_status ON alert_log(status);
+        CREATE INDEX IF NOT EXISTS idx_alert_log_twilio_sid ON alert_log(twilio_sid);
+      `);
+    }
+  });
+
+  // Migration 16: subscriber languages, and the language each delivery was
+  // sent in (alert_messages, with the per-language variants, is created above)
+  addColumnIfMissing({ table: 'subscribers', column: 'language', definition: "TEXT DEFAULT 'en'" });
+  addColumnIfMissing({ table: 'alert_log', column: 'language', definition: 'TEXT' });
+
+  // Migration 17: double opt-in — when a pending subscriber was texted to
+  // reply YES (consent_audit is created above)
+  addColumnIfMissing({ table: 'subscribers', column: 'confirmation_requested_at', definition: 'TEXT' });
+
+  // Migration 18: subscribers.zone_manual — the zone was set by hand, so
+  // boundary changes don't move them (lib/zones.js)
+  addColumnIfMissing({ table: 'subscribers', column: 'zone_manual', definition: 'INTEGER NOT NULL DEFAULT 0' });
+}
+
+/**
+ * Add a column to an existing table if it isn't there yet.
+ * Used for purely additive schema changes, which SQLite supports in place.
+ */
+function addColumnIfMissing({ table, column, definition }) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return;
+
+  console.log(`Migrating table "${table}": adding column ${column}`);
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+/**
+ * Populate the tank registry with the system's original three tanks the
+ * first time it's created. After that the registry is managed via /api/tanks.
+ */
+function seedTanks() {
+  const count = db.prepare('SELECT COUNT(*) as count FROM tanks').get().count;
+  if (count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO tanks (name, role, capacity_gal, height_cm, sensor_id, sort_order)
+    VALUES (@name, @role, @capacity_gal, @height_cm, @sensor_id, @sort_order)
+  `);
+  const tx = db.transaction(() => {
+    insert.run({ name: 'Tank 1 - Source/Chlorination', role: 'source', capacity_gal: 1500, height_cm: null, sensor_id: null, sort_order: 1 });
+    insert.run({ name: 'Tank 2 - Distribution', role: 'distribution', capacity_gal: 2500, height_cm: 32.63, sensor_id: 'd88b4c010009063b', sort_order: 2 });
+    insert.run({ name: 'Tank 3 - Distribution', role: 'distribution', capacity_gal: 2500, height_cm: 34.53, sensor_id: 'd88b4c01000bf5ee', sort_order: 3 });
+  });
+  tx();
+  console.log('✓ Seeded tank registry with default tanks');
+}
+
+/**
+ * Create the starter alarm rules the first time the table is created.
+ * Disable a rule via /api/alarms/rules rather than deleting it, or these
+ * defaults come back on the next restart.
+ */
+function seedAlarmRules() {
+  const count = db.prepare('SELECT COUNT(*) as count FROM alarm_rules').get().count;
+  if (count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO alarm_rules (name, metric, comparator, threshold, duration_minutes, hysteresis, cooldown_minutes)
+    VALUES (@name, @metric, @comparator, @threshold, @duration_minutes, @hysteresis, @cooldown_minutes)
+  `);
+  const tx = db.transaction(() => {
+    insert.run({ name: 'Tank level low', metric: 'tank_level', comparator: 'below', threshold: 25, duration_minutes: 30, hysteresis: 5, cooldown_minutes: 120 });
+    insert.run({ name: 'Chlorine residual low', metric: 'chlorine', comparator: 'below', threshold: 0.2, duration_minutes: 0, hysteresis: 0.05, cooldown_minutes: 720 });
+    insert.run({ name: 'Sensor offline', metric: 'sensor_offline', comparator: 'above', threshold: 120, duration_minutes: 0, hysteresis: 0, cooldown_minutes: 240 });
+  });
+  tx();
+  console.log('✓ Seeded default alarm rules');
+}
+
+/**
+ * Create the standard alert templates (previously hard-coded in alerts.html)
+ * the first time the table is created. Deleting every template via
+ * /api/alerts/templates brings these back on the next restart.
+ */
+function seedAlertTemplates() {
+  const count = db.prepare('SELECT COUNT(*) as count FROM alert_templates').get().count;
+  if (count > 0) return;
+
+  const insert = db.prepare('INSERT INTO alert_templates (name, type, body) VALUES (@name, @type, @body)');
+  const tx = db.transaction(() => {
+    insert.run({
+      name: 'Water main repair',
+      type: 'repair',
+      body: '🔧 WATER MAIN REPAIR — Beulah Park Water System will be performing repairs in {{area}}. Water service may be interrupted from {{start_time}} to {{end_time}}. Please plan accordingly. Questions? Call {{contact_phone}}. Reply STOP to unsubscribe.'
+    });
+    insert.run({
+      name: 'Service outage',
+      type: 'outage',
+      body: '🚫 SERVICE OUTAGE — Beulah Park Water System is experiencing an unplanned service interruption in {{area}}. Crews are on site. Estimated restoration: {{end_time}}. Reply STOP to unsubscribe.'
+    });
+    insert.run({
+      name: 'Boil water notice',
+      type: 'boil',
+      body: '⚠️ BOIL WATER NOTICE — Beulah Park Water System has issued a precautionary boil water advisory for all connections. Please boil tap water for at least 1 minute before drinking or cooking until further notice. A follow-up all-clear will be sent. Reply STOP to unsubscribe.'
+    });
+    insert.run({
+      name: 'Boil notice lifted',
+      type: 'boil_lifted',
+      body: '✅ BOIL NOTICE LIFTED — The boil water advisory for Beulah Park Water System has been lifted. Tap water is safe to use without boiling. Thank you for your patience. Reply STOP to unsubscribe.'
+    });
+  });
+  tx();
+  console.log('✓ Seeded default alert templates');
+}
+
+/**
+ * Create a zone (without a boundary) for each zone name subscribers already
+ * have, the first time the zones table is used
+ */
+function seedZones() {
+  const count = db.prepare('SELECT COUNT(*) as count FROM zones').get().count;
+  if (count > 0) return;
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO zones (name)
+    SELECT DISTINCT zone FROM subscribers
+    WHERE zone IS NOT NULL AND zone != '' AND zone != 'all' AND zone NOT LIKE '%,%'
+  `).run();
+  if (result.changes > 0) {
+    console.log(`✓ Created ${result.changes} zones from existing subscriber zones`);
+  }
 }
 
 /**
@@ -182,7 +811,7 @@ export function getAllSubscribers({ search, zone, status } = {}) {
   const params = {};
 
   if (search) {
-    sql += ' AND (name LIKE @search OR phone LIKE @search)';
+    sql += ' AND (name LIKE @search OR phone LIKE @search OR email LIKE @search)';
     params.search = `%${search}%`;
   }
   if (zone && zone !== 'all') {
@@ -199,12 +828,27 @@ export function getAllSubscribers({ search, zone, status } = {}) {
 }
 
 /**
- * Get all active subscribers
+ * Get all active subscribers, or those who want alerts of `alertType`
+ * (`overridePreferences` ignores their alert_types — for boil notices)
+ * and/or are in one of `zones` (zone names)
  */
-export function getActiveSubscribers() {
-  return db.prepare(
-    'SELECT * FROM subscribers WHERE status = ? ORDER BY name'
-  ).all('active');
+export function getActiveSubscribers({ alertType, overridePreferences = false, zones } = {}) {
+  let sql = "SELECT * FROM subscribers WHERE status = 'active'";
+  const params = {};
+
+  // alert_types is 'all' or a comma-separated list, e.g. 'outage,boil'
+  if (alertType && !overridePreferences) {
+    sql += ` AND (alert_types IS NULL OR alert_types = 'all'
+             OR ',' || REPLACE(alert_types, ' ', '') || ',' LIKE '%,' || @alertType || ',%')`;
+    params.alertType = alertType;
+  }
+  if (zones?.length) {
+    sql += ` AND zone IN (${zones.map((_, i) => `@zone${i}`).join(', ')})`;
+    zones.forEach((zone, i) => { params[`zone${i}`] = zone; });
+  }
+
+  sql += ' ORDER BY name';
+  return db.prepare(sql).all(params);
 }
 
 /**
@@ -214,21 +858,36 @@ export function getSubscriberById(id) {
   return db.prepare('SELECT * FROM subscribers WHERE id = ?').get(id);
 }
 
+/**
+ * Look up a subscriber by phone number (any format)
+ */
+export function getSubscriberByPhone(phone) {
+  return db.prepare('SELECT * FROM subscribers WHERE phone = ?').get(normalizePhone(phone));
+}
+
 /**
  * Create a new subscriber
  */
-export function createSubscriber({ name, phone, zone, status, alert_types }) {
+export function createSubscriber({ name, phone, zone, zone_manual, status, alert_types, email, channels, line_type, language, address, latitude, longitude }) {
   const normalized = normalizePhone(phone);
   const stmt = db.prepare(`
-    INSERT INTO subscribers (name, phone, zone, status, alert_types, opted_in_at)
-    VALUES (@name, @phone, @zone, @status, @alert_types, @opted_in_at)
+    INSERT INTO subscribers (name, phone, zone, zone_manual, status, alert_types, email, channels, line_type, language, address, latitude, longitude, opted_in_at)
+    VALUES (@name, @phone, @zone, @zone_manual, @status, @alert_types, @email, @channels, @line_type, @language, @address, @latitude, @longitude, @opted_in_at)
   `);
   const result = stmt.run({
     name,
     phone: normalized,
     zone: zone || 'all',
+    zone_manual: zone_manual ? 1 : 0,
     status: status || 'pending',
     alert_types: alert_types || 'all',
+    email: email || null,
+    channels: channels || 'sms',
+    line_type: line_type || 'mobile',
+    language: language || 'en',
+    address: address || null,
+    latitude: latitude ?? null,
+    longitude: longitude ?? null,
     opted_in_at: status === 'active' ? new Date().toISOString() : null
   });
   return { id: result.lastInsertRowid, phone: normalized };
@@ -237,21 +896,32 @@ export function createSubscriber({ name, phone, zone, status, alert_types }) {
 /**
  * Update an existing subscriber
  */
-export function updateSubscriber(id, { name, phone, zone, status, alert_types }) {
+export function updateSubscriber(id, { name, phone, zone, zone_manual, status, alert_types, email, channels, line_type, language, address, latitude, longitude }) {
   const fields = [];
   const params = { id };
 
   if (name !== undefined) { fields.push('name = @name'); params.name = name; }
   if (phone !== undefined) { fields.push('phone = @phone'); params.phone = normalizePhone(phone); }
   if (zone !== undefined) { fields.push('zone = @zone'); params.zone = zone; }
+  if (zone_manual !== undefined) { fields.push('zone_manual = @zone_manual'); params.zone_manual = zone_manual ? 1 : 0; }
   if (status !== undefined) {
     fields.push('status = @status');
     params.status = status;
     if (status === 'active') {
       fields.push("opted_in_at = datetime('now')");
+      fields.push('opted_out_at = NULL');
+    } else if (status === 'opted_out') {
+      fields.push("opted_out_at = datetime('now')");
     }
   }
   if (alert_types !== undefined) { fields.push('alert_types = @alert_types'); params.alert_types = alert_types; }
+  if (email !== undefined) { fields.push('email = @email'); params.email = email || null; }
+  if (channels !== undefined) { fields.push('channels = @channels'); params.channels = channels; }
+  if (line_type !== undefined) { fields.push('line_type = @line_type'); params.line_type = line_type; }
+  if (language !== undefined) { fields.push('language = @language'); params.language = language; }
+  if (address !== undefined) { fields.push('address = @address'); params.address = address || null; }
+  if (latitude !== undefined) { fields.push('latitude = @latitude'); params.latitude = latitude; }
+  if (longitude !== undefined) { fields.push('longitude = @longitude'); params.longitude = longitude; }
 
   if (fields.length === 0) return null;
 
@@ -267,6 +937,67 @@ export function deleteSubscriber(id) {
   return db.prepare('DELETE FROM subscribers WHERE id = ?').run(id);
 }
 
+/**
+ * Record that a pending subscriber was texted to confirm (see lib/opt-in.js)
+ */
+export function markConfirmationRequested(id) {
+  return db.prepare(`
+    UPDATE subscribers SET confirmation_requested_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(id);
+}
+
+/**
+ * Delete pending subscribers who were asked to confirm before `before` (SQLite
+ * UTC time) and never did, logging each as 'expired'. Subscribers with any
+ * delivery history are left alone.
+ * @returns {Array} The expired subscribers
+ */
+export function expireUnconfirmedSubscribers(before) {
+  const expired = db.prepare(`
+    SELECT * FROM subscribers s
+    WHERE status = 'pending'
+      AND confirmation_requested_at IS NOT NULL
+      AND confirmation_requested_at < ?
+      AND NOT EXISTS (SELECT 1 FROM alert_log al WHERE al.subscriber_id = s.id)
+  `).all(before);
+
+  const tx = db.transaction(() => {
+    for (const subscriber of expired) {
+      logConsent({
+        subscriber_id: subscriber.id,
+        phone: subscriber.phone,
+        event: 'expired',
+        source: 'system',
+        detail: `No reply to the confirmation text sent ${subscriber.confirmation_requested_at} UTC`
+      });
+      deleteSubscriber(subscriber.id);
+    }
+  });
+  tx();
+  return expired;
+}
+
+/**
+ * Add a consent_audit entry
+ */
+export function logConsent({ subscriber_id, phone, event, source, ip, user_agent, detail }) {
+  return db.prepare(`
+    INSERT INTO consent_audit (subscriber_id, phone, event, source, ip, user_agent, detail)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(subscriber_id ?? null, phone, event, source, ip || null, user_agent || null, detail || null);
+}
+
+/**
+ * Consent history for a phone number, oldest first — including entries from
+ * before the subscriber was deleted and signed up again
+ */
+export function getConsentAudit(phone) {
+  return db.prepare(
+    'SELECT * FROM consent_audit WHERE phone = ? ORDER BY created_at ASC, id ASC'
+  ).all(normalizePhone(phone));
+}
+
 /**
  * Get aggregate subscriber statistics
  */
@@ -279,54 +1010,344 @@ export function getSubscriberStats() {
   return { total, active, pending, opted_out };
 }
 
-// ─── Alert Queries ──────────────────────────────────────────
+// ─── Zone Queries ───────────────────────────────────────────
+
+const ZONE_COLUMNS = `z.*,
+  (SELECT COUNT(*) FROM subscribers s WHERE s.zone = z.name AND s.status = 'active') as subscriber_count`;
 
 /**
- * Create a new alert record
+ * Get all service zones with their active subscriber counts
  */
-export function createAlert({ type, message, zone, recipient_count, cost_estimate }) {
-  const result = db.prepare(`
-    INSERT INTO alerts (type, message, zone, recipient_count, cost_estimate)
-    VALUES (@type, @message, @zone, @recipient_count, @cost_estimate)
-  `).run({
-    type,
-    message,
-    zone: zone || 'all',
-    recipient_count: recipient_count || 0,
-    cost_estimate: cost_estimate || 0
-  });
-  return { id: result.lastInsertRowid };
+export function getZones() {
+  return db.prepare(`SELECT ${ZONE_COLUMNS} FROM zones z ORDER BY z.name ASC`).all();
 }
 
 /**
- * Update alert delivery counts and status
+ * Get a single zone by ID, with its active subscriber count
  */
-export function updateAlertCounts(id, { delivered_count, failed_count, status }) {
-  return db.prepare(`
-    UPDATE alerts
-    SET delivered_count = @delivered_count,
-        failed_count = @failed_count,
-        status = @status
-    WHERE id = @id
-  `).run({ id, delivered_count, failed_count, status });
+export function getZoneById(id) {
+  return db.prepare(`SELECT ${ZONE_COLUMNS} FROM zones z WHERE z.id = ?`).get(id);
 }
 
 /**
- * Get alert history (most recent first)
+ * Get a zone by name (case-insensitive)
  */
-export function getAlertHistory(limit = 20, offset = 0) {
-  return db.prepare(
-    'SELECT * FROM alerts ORDER BY created_at DESC LIMIT ? OFFSET ?'
-  ).all(limit, offset);
+export function getZoneByName(name) {
+  return db.prepare('SELECT * FROM zones WHERE name = ?').get(name);
 }
 
 /**
- * Get a single alert by ID
+ * Create a zone; `boundary` is a GeoJSON geometry string (or null)
  */
-export function getAlertById(id) {
+export function createZone({ name, description, boundary }) {
+  const result = db.prepare(
+    'INSERT INTO zones (name, description, boundary) VALUES (@name, @description, @boundary)'
+  ).run({ name, description: description || null, boundary: boundary ?? null });
+  return { id: result.lastInsertRowid };
+}
+
+/**
+ * Replace a zone name in an alert's comma-separated `zone` list
+ */
+function renameInZoneList(list, from, to) {
+  return list.split(',').map(name => (name.toLowerCase() === from.toLowerCase() ? to : name)).join(',');
+}
+
+/**
+ * Update a zone. A rename is carried over to its subscribers and to
+ * scheduled alerts that target it.
+ */
+export function updateZone(id, { name, description, boundary }) {
+  const zone = getZoneById(id);
+  if (!zone) return null;
+
+  const fields = [];
+  const params = { id };
+
+  if (name !== undefined) { fields.push('name = @name'); params.name = name; }
+  if (description !== undefined) { fields.push('description = @description'); params.description = description || null; }
+  if (boundary !== undefined) { fields.push('boundary = @boundary'); params.boundary = boundary; }
+
+  if (fields.length === 0) return null;
+
+  fields.push("updated_at = datetime('now')");
+  const tx = db.transaction(() => {
+    const result = db.prepare(`UPDATE zones SET ${fields.join(', ')} WHERE id = @id`).run(params);
+
+    if (name !== undefined && name !== zone.name) {
+      db.prepare('UPDATE subscribers SET zone = ? WHERE zone = ?').run(name, zone.name);
+      const setZone = db.prepare('UPDATE alerts SET zone = ? WHERE id = ?');
+      for (const alert of getScheduledAlertsForZone(zone.name)) {
+        setZone.run(renameInZoneList(alert.zone, zone.name, name), alert.id);
+      }
+    }
+    return result;
+  });
+  return tx();
+}
+
+/**
+ * Delete a zone; its subscribers become unassigned ('all'), and are placed by
+ * their location again even if the zone was set by hand
+ */
+export function deleteZone(id) {
+  const zone = getZoneById(id);
+  if (!zone) return null;
+
+  const tx = db.transaction(() => {
+    db.prepare("UPDATE subscribers SET zone = 'all', zone_manual = 0 WHERE zone = ?").run(zone.name);
+    return db.prepare('DELETE FROM zones WHERE id = ?').run(id);
+  });
+  return tx();
+}
+
+/**
+ * Scheduled alerts whose `zone` list includes a zone
+ */
+export function getScheduledAlertsForZone(name) {
+  return db.prepare(`
+    SELECT * FROM alerts
+    WHERE status = 'scheduled'
+      AND ',' || zone || ',' LIKE '%,' || ? || ',%'
+  `).all(name);
+}
+
+/**
+ * Subscribers placed in a zone by their location (latitude/longitude from
+ * their address) — not those whose zone was set by hand
+ */
+export function getLocatedSubscribers() {
+  return db.prepare(
+    'SELECT * FROM subscribers WHERE latitude IS NOT NULL AND longitude IS NOT NULL AND zone_manual = 0'
+  ).all();
+}
+
+/**
+ * Move subscribers to new zones in one transaction
+ * @param {Array} assignments - Array of { id, zone }
+ */
+export function setSubscriberZones(assignments) {
+  const update = db.prepare("UPDATE subscribers SET zone = @zone, updated_at = datetime('now') WHERE id = @id");
+  const tx = db.transaction(() => {
+    for (const a of assignments) {
+      update.run({ id: a.id, zone: a.zone });
+    }
+  });
+  tx();
+}
+
+/**
+ * Create a new alert record
+ */
+export function createAlert({ type, message, zone, recipient_count, cost_estimate, retry_of, status, scheduled_at, recurrence, recurrence_until, reminder_of, override_preferences, incident_id, voice_retry, variants }) {
+  const insert = db.prepare(`
+    INSERT INTO alerts (type, message, zone, recipient_count, cost_estimate, retry_of,
+                        status, scheduled_at, recurrence, recurrence_until, reminder_of, override_preferences, incident_id, voice_retry)
+    VALUES (@type, @message, @zone, @recipient_count, @cost_estimate, @retry_of,
+            @status, @scheduled_at, @recurrence, @recurrence_until, @reminder_of, @override_preferences, @incident_id, @voice_retry)
+  `);
+  const tx = db.transaction(() => {
+    const id = insert.run({
+      type,
+      message,
+      zone: zone || 'all',
+      recipient_count: recipient_count || 0,
+      cost_estimate: cost_estimate || 0,
+      retry_of: retry_of || null,
+      status: status || 'sending',
+      scheduled_at: scheduled_at || null,
+      recurrence: recurrence || null,
+      recurrence_until: recurrence_until || null,
+      reminder_of: reminder_of || null,
+      override_preferences: override_preferences ? 1 : 0,
+      incident_id: incident_id || null,
+      voice_retry: voice_retry ? 1 : 0
+    }).lastInsertRowid;
+    if (variants) replaceAlertMessages(id, variants);
+    return id;
+  });
+  return { id: tx() };
+}
+
+/**
+ * The other-language variants of an alert's message, e.g. { es: '...' }
+ * (alerts.message is the English one)
+ */
+export function getAlertMessages(alertId) {
+  const rows = db.prepare(
+    'SELECT language, message FROM alert_messages WHERE alert_id = ? ORDER BY language ASC'
+  ).all(alertId);
+  return Object.fromEntries(rows.map(r => [r.language, r.message]));
+}
+
+/**
+ * Replace an alert's message variants with `variants` ({ language: message })
+ */
+export function replaceAlertMessages(alertId, variants) {
+  const remove = db.prepare('DELETE FROM alert_messages WHERE alert_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO alert_messages (alert_id, language, message)
+    VALUES (@alert_id, @language, @message)
+  `);
+  const tx = db.transaction(() => {
+    remove.run(alertId);
+    for (const [language, message] of Object.entries(variants)) {
+      insert.run({ alert_id: alertId, language, message });
+    }
+  });
+  tx();
+}
+
+/**
+ * Update alert delivery counts and status
+ */
+export function updateAlertCounts(id, { delivered_count, failed_count, status }) {
+  return db.prepare(`
+    UPDATE alerts
+    SET delivered_count = @delivered_count,
+        failed_count = @failed_count,
+        status = @status
+    WHERE id = @id
+  `).run({ id, delivered_count, failed_count, status });
+}
+
+/**
+ * Set an alert's status
+ */
+export function updateAlertStatus(id, status) {
+  return db.prepare('UPDATE alerts SET status = ? WHERE id = ?').run(status, id);
+}
+
+/**
+ * Get alert history (most recent first), excluding alerts still scheduled
+ */
+export function getAlertHistory(limit = 20, offset = 0) {
+  return db.prepare(
+    "SELECT * FROM alerts WHERE status != 'scheduled' ORDER BY created_at DESC LIMIT ? OFFSET ?"
+  ).all(limit, offset);
+}
+
+/**
+ * Get a single alert by ID
+ */
+export function getAlertById(id) {
   return db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
 }
 
+/**
+ * Get the retries of an alert, oldest first
+ */
+export function getAlertRetries(alertId) {
+  return db.prepare(
+    'SELECT * FROM alerts WHERE retry_of = ? ORDER BY id ASC'
+  ).all(alertId);
+}
+
+/**
+ * Get alerts waiting to be sent, soonest first
+ */
+export function getScheduledAlerts() {
+  return db.prepare(
+    "SELECT * FROM alerts WHERE status = 'scheduled' ORDER BY scheduled_at ASC, id ASC"
+  ).all();
+}
+
+/**
+ * Get alerts of the given types sent since `since` (SQLite UTC time), newest
+ * first — original sends only, not retries; cancelled broadcasts excluded
+ */
+export function getRecentAlerts({ types, since }) {
+  return db.prepare(`
+    SELECT * FROM alerts
+    WHERE type IN (${types.map(() => '?').join(', ')})
+      AND retry_of IS NULL
+      AND status NOT IN ('scheduled', 'cancelled')
+      AND created_at >= ?
+    ORDER BY created_at DESC, id DESC
+  `).all(...types, since);
+}
+
+/**
+ * Get scheduled alerts whose send time has arrived
+ */
+export function getDueScheduledAlerts() {
+  return db.prepare(`
+    SELECT * FROM alerts
+    WHERE status = 'scheduled' AND scheduled_at <= datetime('now')
+    ORDER BY scheduled_at ASC, id ASC
+  `).all();
+}
+
+/**
+ * Get the reminder attached to a scheduled alert (ignoring cancelled ones)
+ */
+export function getAlertReminder(alertId) {
+  return db.prepare(
+    "SELECT * FROM alerts WHERE reminder_of = ? AND status != 'cancelled' ORDER BY id DESC LIMIT 1"
+  ).get(alertId);
+}
+
+/**
+ * Update a scheduled alert before it's sent; `variants` replaces its message variants.
+ * Moving `scheduled_at` moves its pending reminder by the same amount, so the
+ * reminder stays the same time after the alert. Nothing changes, variants
+ * included, once the alert has left 'scheduled' (result.changes is 0).
+ */
+export function updateScheduledAlert(id, { type, message, zone, scheduled_at, recurrence, recurrence_until, override_preferences, variants }) {
+  const fields = [];
+  const params = { id };
+
+  if (type !== undefined) { fields.push('type = @type'); params.type = type; }
+  if (message !== undefined) { fields.push('message = @message'); params.message = message; }
+  if (zone !== undefined) { fields.push('zone = @zone'); params.zone = zone; }
+  if (scheduled_at !== undefined) { fields.push('scheduled_at = @scheduled_at'); params.scheduled_at = scheduled_at; }
+  if (recurrence !== undefined) { fields.push('recurrence = @recurrence'); params.recurrence = recurrence || null; }
+  if (recurrence_until !== undefined) { fields.push('recurrence_until = @recurrence_until'); params.recurrence_until = recurrence_until || null; }
+  if (override_preferences !== undefined) { fields.push('override_preferences = @override_preferences'); params.override_preferences = override_preferences ? 1 : 0; }
+
+  if (fields.length === 0 && variants === undefined) return null;
+
+  // With only variants to change, the UPDATE is just the status guard
+  const sql = `UPDATE alerts SET ${fields.join(', ') || 'status = status'} WHERE id = @id AND status = 'scheduled'`;
+  const tx = db.transaction(() => {
+    const previous = db.prepare('SELECT scheduled_at FROM alerts WHERE id = ?').get(id);
+    const result = db.prepare(sql).run(params);
+    if (result.changes > 0 && variants !== undefined) replaceAlertMessages(id, variants);
+    if (result.changes > 0 && scheduled_at !== undefined && previous?.scheduled_at) {
+      const shiftSeconds = Math.round((Date.parse(`${scheduled_at.replace(' ', 'T')}Z`) -
+        Date.parse(`${previous.scheduled_at.replace(' ', 'T')}Z`)) / 1000);
+      db.prepare(`
+        UPDATE alerts SET scheduled_at = datetime(scheduled_at, @shift)
+        WHERE reminder_of = @id AND status = 'scheduled'
+      `).run({ id, shift: `${shiftSeconds >= 0 ? '+' : ''}${shiftSeconds} seconds` });
+    }
+    return result;
+  });
+  return tx();
+}
+
+/**
+ * Claim a due scheduled alert for sending, recording who it's going to
+ * Returns false if it was cancelled or already sent in the meantime
+ */
+export function startScheduledAlert(id, { recipient_count, cost_estimate }) {
+  return db.prepare(`
+    UPDATE alerts
+    SET status = 'sending', recipient_count = @recipient_count, cost_estimate = @cost_estimate
+    WHERE id = @id AND status = 'scheduled'
+  `).run({ id, recipient_count, cost_estimate }).changes > 0;
+}
+
+/**
+ * Cancel a scheduled alert along with its pending reminder
+ */
+export function cancelScheduledAlert(id) {
+  return db.prepare(`
+    UPDATE alerts SET status = 'cancelled'
+    WHERE (id = @id OR reminder_of = @id) AND status = 'scheduled'
+  `).run({ id });
+}
+
 /**
  * Get count of alerts sent this year
  */
@@ -337,16 +1358,190 @@ export function getAlertsThisYear() {
   ).get(`${year}-01-01`).count;
 }
 
+// ─── Alert Template Queries ─────────────────────────────────
+
+/**
+ * Get all alert templates, grouped by alert type
+ */
+export function getAlertTemplates() {
+  return db.prepare('SELECT * FROM alert_templates ORDER BY type ASC, name ASC').all();
+}
+
+/**
+ * Get a single alert template by ID
+ */
+export function getAlertTemplateById(id) {
+  return db.prepare('SELECT * FROM alert_templates WHERE id = ?').get(id);
+}
+
+/**
+ * Create an alert template
+ */
+export function createAlertTemplate({ name, type, body }) {
+  const result = db.prepare(
+    'INSERT INTO alert_templates (name, type, body) VALUES (@name, @type, @body)'
+  ).run({ name, type, body });
+  return { id: result.lastInsertRowid };
+}
+
+/**
+ * Update an alert template
+ */
+export function updateAlertTemplate(id, { name, type, body }) {
+  const fields = [];
+  const params = { id };
+
+  if (name !== undefined) { fields.push('name = @name'); params.name = name; }
+  if (type !== undefined) { fields.push('type = @type'); params.type = type; }
+  if (body !== undefined) { fields.push('body = @body'); params.body = body; }
+
+  if (fields.length === 0) return null;
+
+  fields.push("updated_at = datetime('now')");
+  const sql = `UPDATE alert_templates SET ${fields.join(', ')} WHERE id = @id`;
+  return db.prepare(sql).run(params);
+}
+
+/**
+ * Delete an alert template (alerts already sent from it keep their text)
+ */
+export function deleteAlertTemplate(id) {
+  return db.prepare('DELETE FROM alert_templates WHERE id = ?').run(id);
+}
+
 // ─── Alert Log Queries ──────────────────────────────────────
 
 /**
- * Log a delivery attempt
+ * Log a delivery attempt (`channel` defaults to 'sms'; email attempts also
+ * record the address, and `language` is the message variant sent)
+ */
+export function logDelivery({ alert_id, subscriber_id, channel, phone, email, language, twilio_sid, status, error_code, error_message }) {
+  return db.prepare(`
+    INSERT INTO alert_log (alert_id, subscriber_id, channel, phone, email, language, twilio_sid, status, error_code, error_message)
+    VALUES (@alert_id, @subscriber_id, @channel, @phone, @email, @language, @twilio_sid, @status, @error_code, @error_message)
+  `).run({
+    alert_id,
+    subscriber_id,
+    channel: channel || 'sms',
+    phone,
+    email: email || null,
+    language: language || null,
+    twilio_sid: twilio_sid || null,
+    status,
+    error_code: error_code || null,
+    error_message: error_message || null
+  });
+}
+
+// Delivery statuses only move forward; callbacks can arrive out of order
+const DELIVERY_STATUS_RANK = { queued: 0, sent: 1, delivered: 2, undelivered: 2, failed: 2 };
+
+/**
+ * Apply a Twilio status callback to the delivery log row with that message (or call) SID
+ * Ignores updates that would move a row backwards (e.g. 'sent' after 'delivered').
+ * Returns the updated row, or null if there's no such row or nothing changed.
+ */
+export function updateDeliveryStatus(twilioSid, { status, error_code, error_message, call_outcome }) {
+  const row = db.prepare('SELECT * FROM alert_log WHERE twilio_sid = ?').get(twilioSid);
+  if (!row) return null;
+
+  const current = DELIVERY_STATUS_RANK[row.status] ?? 0;
+  if (current === 2 || DELIVERY_STATUS_RANK[status] < current || status === row.status) return null;
+
+  db.prepare(`
+    UPDATE alert_log
+    SET status = @status,
+        error_code = COALESCE(@error_code, error_code),
+        error_message = COALESCE(@error_message, error_message),
+        call_outcome = COALESCE(@call_outcome, call_outcome),
+        updated_at = datetime('now')
+    WHERE id = @id
+  `).run({
+    id: row.id,
+    status,
+    error_code: error_code || null,
+    error_message: error_message || null,
+    call_outcome: call_outcome || null
+  });
+
+  return { ...row, status, call_outcome: call_outcome || row.call_outcome };
+}
+
+/**
+ * Recompute an alert's delivered/failed counts from its delivery log
+ * (delivered = confirmed by the carrier; failed = failed or undelivered)
+ */
+export function refreshAlertCounts(alertId) {
+  return db.prepare(`
+    UPDATE alerts
+    SET delivered_count = (SELECT COUNT(*) FROM alert_log WHERE alert_id = @id AND status = 'delivered'),
+        failed_count = (SELECT COUNT(*) FROM alert_log WHERE alert_id = @id AND status IN ('failed','undelivered'))
+    WHERE id = @id
+  `).run({ id: alertId });
+}
+
+/**
+ * Deliveries of an alert (or any of its retries) whose latest attempt on that
+ * channel failed or went undelivered, to subscribers who are still active
+ * (email ones only while the subscriber still has an address). Voice calls
+ * aren't included — they're retried automatically (see getUnansweredCalls).
+ * @param {number} alertId - The original alert
+ * @param {Array} [excludeErrorCodes] - Twilio/SMTP error codes not worth retrying
+ * @returns {Array} Array of { id, channel, phone, email, language } — the subscriber's current details
+ */
+export function getRetryableDeliveries(alertId, excludeErrorCodes = []) {
+  const latest = db.prepare(`
+    SELECT al.subscriber_id, al.channel, al.status, al.error_code, s.phone, s.email, s.language
+    FROM alert_log al
+    JOIN alerts a ON al.alert_id = a.id
+    JOIN subscribers s ON al.subscriber_id = s.id
+    WHERE (a.id = @id OR a.retry_of = @id)
+      AND s.status = 'active'
+      AND al.channel != 'voice'
+      AND al.id = (
+        SELECT MAX(al2.id) FROM alert_log al2
+        JOIN alerts a2 ON al2.alert_id = a2.id
+        WHERE al2.subscriber_id = al.subscriber_id AND al2.channel = al.channel
+          AND (a2.id = @id OR a2.retry_of = @id)
+      )
+  `).all({ id: alertId });
+
+  return latest
+    .filter(r => ['failed', 'undelivered'].includes(r.status) && !excludeErrorCodes.includes(r.error_code))
+    .filter(r => r.channel !== 'email' || r.email)
+    .map(r => ({ id: r.subscriber_id, channel: r.channel, phone: r.phone, email: r.email, language: r.language }));
+}
+
+/**
+ * Voice calls to retry: calls that went unanswered (no answer or busy) at
+ * least `before` and are the latest call about that alert (counting its
+ * retries) to a still-active subscriber, made since `since`
+ * @param {Object} window - { before, since } SQLite UTC times
+ * @returns {Array} Array of { alert_id (the original alert), subscriber_id, phone, language, attempts }
  */
-export function logDelivery({ alert_id, subscriber_id, phone, twilio_sid, status, error_message }) {
+export function getUnansweredCalls({ before, since }) {
   return db.prepare(`
-    INSERT INTO alert_log (alert_id, subscriber_id, phone, twilio_sid, status, error_message)
-    VALUES (@alert_id, @subscriber_id, @phone, @twilio_sid, @status, @error_message)
-  `).run({ alert_id, subscriber_id, phone, twilio_sid, status, error_message: error_message || null });
+    SELECT COALESCE(a.retry_of, a.id) as alert_id, al.subscriber_id, s.phone, s.language,
+      (SELECT COUNT(*) FROM alert_log al2
+       JOIN alerts a2 ON al2.alert_id = a2.id
+       WHERE al2.subscriber_id = al.subscriber_id AND al2.channel = 'voice'
+         AND COALESCE(a2.retry_of, a2.id) = COALESCE(a.retry_of, a.id)) as attempts
+    FROM alert_log al
+    JOIN alerts a ON al.alert_id = a.id
+    JOIN subscribers s ON al.subscriber_id = s.id
+    WHERE al.channel = 'voice'
+      AND al.call_outcome IN ('no_answer', 'busy')
+      AND al.updated_at <= @before
+      AND al.created_at >= @since
+      AND s.status = 'active'
+      AND al.id = (
+        SELECT MAX(al2.id) FROM alert_log al2
+        JOIN alerts a2 ON al2.alert_id = a2.id
+        WHERE al2.subscriber_id = al.subscriber_id AND al2.channel = 'voice'
+          AND COALESCE(a2.retry_of, a2.id) = COALESCE(a.retry_of, a.id)
+      )
+    ORDER BY al.id ASC
+  `).all({ before, since });
 }
 
 /**
@@ -362,45 +1557,931 @@ export function getDeliveryLog(alertId) {
   `).all(alertId);
 }
 
+// ─── Boil-Water Incident Queries ────────────────────────────
+
+const INCIDENT_COLUMNS = `i.*,
+  (SELECT COUNT(*) FROM alerts a WHERE a.incident_id = i.id AND a.retry_of IS NULL) as alert_count,
+  (SELECT COUNT(*) FROM incident_samples s WHERE s.incident_id = i.id) as sample_count`;
+
 /**
- * Calculate overall delivery rate from last 30 days
+ * Get boil-water incidents, newest first, optionally only 'open' or 'lifted'
  */
-export function getDeliveryRate() {
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-  const stats = db.prepare(`
-    SELECT
-      COUNT(*) as total,
-      SUM(CASE WHEN status IN ('sent','delivered') THEN 1 ELSE 0 END) as delivered
-    FROM alert_log
-    WHERE created_at >= ?
-  `).get(thirtyDaysAgo);
+export function getIncidents({ status } = {}) {
+  let sql = `SELECT ${INCIDENT_COLUMNS} FROM incidents i`;
+  const params = {};
 
-  if (!stats || stats.total === 0) return 100;
-  return Math.round((stats.delivered / stats.total) * 100);
+  if (status) {
+    sql += ' WHERE i.status = @status';
+    params.status = status;
+  }
+
+  sql += ' ORDER BY i.opened_at DESC, i.id DESC';
+  return db.prepare(sql).all(params);
 }
 
-// ─── Allowed Users Queries ───────────────────────────────────
+/**
+ * Get a single incident by ID
+ */
+export function getIncidentById(id) {
+  return db.prepare(`SELECT ${INCIDENT_COLUMNS} FROM incidents i WHERE i.id = ?`).get(id);
+}
 
-export function isEmailAllowed(email) {
-  const row = db.prepare(
-    'SELECT id FROM allowed_users WHERE email = ?'
-  ).get(email.toLowerCase());
-  return !!row;
+/**
+ * Open an incident; `zone` is 'all' or a comma-separated list, as in alerts.zone
+ */
+export function createIncident({ title, reason, zone, required_samples, opened_by }) {
+  const result = db.prepare(`
+    INSERT INTO incidents (title, reason, zone, required_samples, opened_by)
+    VALUES (@title, @reason, @zone, @required_samples, @opened_by)
+  `).run({
+    title,
+    reason: reason || null,
+    zone: zone || 'all',
+    required_samples: required_samples ?? 2,
+    opened_by: opened_by || null
+  });
+  return { id: result.lastInsertRowid };
 }
 
-export function getAllowedUsers() {
-  return db.prepare('SELECT * FROM allowed_users ORDER BY added_at DESC').all();
+/**
+ * Mark an open incident lifted. Returns false if it was already lifted.
+ */
+export function liftIncident(id, { lifted_by }) {
+  const result = db.prepare(`
+    UPDATE incidents SET status = 'lifted', lifted_by = ?, lifted_at = datetime('now')
+    WHERE id = ? AND status = 'open'
+  `).run(lifted_by || null, id);
+  return result.changes > 0;
 }
 
-export function addAllowedUser({ email, name, added_by }) {
+/**
+ * Alerts sent for an incident (notice, updates, lift, and their retries), oldest first
+ */
+export function getIncidentAlerts(incidentId) {
+  return db.prepare(
+    'SELECT * FROM alerts WHERE incident_id = ? ORDER BY created_at ASC, id ASC'
+  ).all(incidentId);
+}
+
+/**
+ * Active subscribers who received a boil notice for an incident — the notice
+ * itself, an update, or a retry of either — so follow-ups and the lift reach
+ * exactly the people who were told to boil their water. A text Twilio accepted
+ * counts even while it's still 'queued' (no delivery receipt yet, or none
+ * coming without PUBLIC_BASE_URL), as does one the broadcast worker has yet
+ * to send: its job is queued or running, so it goes out before anything
+ * queued after it.
+ */
+export function getIncidentRecipients(incidentId) {
   return db.prepare(`
-    INSERT INTO allowed_users (email, name, added_by)
-    VALUES (@email, @name, @added_by)
-  `).run({ email: email.toLowerCase(), name: name || null, added_by: added_by || 'admin' });
+    SELECT DISTINCT s.*
+    FROM alert_log al
+    JOIN alerts a ON al.alert_id = a.id
+    JOIN subscribers s ON al.subscriber_id = s.id
+    WHERE a.incident_id = ? AND a.type = 'boil'
+      AND (al.twilio_sid IS NOT NULL OR al.status IN ('sent', 'delivered')
+        OR EXISTS (SELECT 1 FROM broadcast_jobs j WHERE j.alert_id = a.id AND j.status IN ('queued', 'running')))
+      AND al.status NOT IN ('failed', 'undelivered', 'skipped')
+      AND s.status = 'active'
+    ORDER BY s.name
+  `).all(incidentId);
 }
 
-export function removeAllowedUser(email) {
-  return db.prepare('DELETE FROM allowed_users WHERE email = ?').run(email.toLowerCase());
+/**
+ * Delivery results for every alert in an incident, for the regulator export
+ */
+export function getIncidentDeliveries(incidentId) {
+  return db.prepare(`
+    SELECT al.alert_id, al.subscriber_id, al.channel, al.phone, al.email, al.status, al.error_code,
+           al.call_outcome, al.language, al.created_at, al.updated_at, s.name as subscriber_name
+    FROM alert_log al
+    JOIN alerts a ON al.alert_id = a.id
+    LEFT JOIN subscribers s ON al.subscriber_id = s.id
+    WHERE a.incident_id = ?
+    ORDER BY al.alert_id ASC, al.id ASC
+  `).all(incidentId);
+}
+
+/**
+ * Sampling results recorded for an incident, in collection order
+ */
+export function getIncidentSamples(incidentId) {
+  return db.prepare(
+    'SELECT * FROM incident_samples WHERE incident_id = ? ORDER BY collected_at ASC, id ASC'
+  ).all(incidentId);
+}
+
+/**
+ * Record a bacteriological sampling result
+ */
+export function createIncidentSample({ incident_id, location, collected_at, result, chlorine_ppm, lab, notes, recorded_by }) {
+  const row = db.prepare(`
+    INSERT INTO incident_samples (incident_id, location, collected_at, result, chlorine_ppm, lab, notes, recorded_by)
+    VALUES (@incident_id, @location, @collected_at, @result, @chlorine_ppm, @lab, @notes, @recorded_by)
+  `).run({
+    incident_id,
+    location,
+    collected_at,
+    result,
+    chlorine_ppm: chlorine_ppm ?? null,
+    lab: lab || null,
+    notes: notes || null,
+    recorded_by: recorded_by || null
+  });
+  return { id: row.lastInsertRowid };
+}
+
+/**
+ * Delete a sampling result (e.g. entered against the wrong incident)
+ */
+export function deleteIncidentSample(incidentId, sampleId) {
+  return db.prepare(
+    'DELETE FROM incident_samples WHERE id = ? AND incident_id = ?'
+  ).run(sampleId, incidentId);
+}
+
+// ─── Broadcast Job Queries ──────────────────────────────────
+
+/**
+ * Queue a broadcast: one 'queued' alert_log row per delivery (no Twilio SID
+ * yet) plus the job row the worker picks up. All-or-nothing.
+ * @param {number} alertId
+ * @param {Array} recipients - Array of { id, channel, phone, email, language } deliveries
+ *   (see lib/channels.js); `channel` defaults to 'sms'
+ * @param {Object} [options] - { status_callback } URL for Twilio delivery receipts
+ */
+export function createBroadcastJob(alertId, recipients, { status_callback } = {}) {
+  const insertLog = db.prepare(`
+    INSERT INTO alert_log (alert_id, subscriber_id, channel, phone, email, language, status)
+    VALUES (?, ?, ?, ?, ?, ?, 'queued')
+  `);
+  const insertJob = db.prepare(
+    'INSERT INTO broadcast_jobs (alert_id, status_callback) VALUES (?, ?)'
+  );
+  const tx = db.transaction(() => {
+    for (const r of recipients) {
+      insertLog.run(alertId, r.id, r.channel || 'sms', r.phone, r.email || null, r.language || null);
+    }
+    return insertJob.run(alertId, status_callback || null).lastInsertRowid;
+  });
+  return { id: tx() };
+}
+
+/**
+ * Get the oldest unfinished broadcast job — 'running' ones first, since
+ * those were interrupted by a restart and should finish before new sends
+ */
+export function getNextBroadcastJob() {
+  return db.prepare(`
+    SELECT * FROM broadcast_jobs
+    WHERE status IN ('queued','running')
+    ORDER BY CASE status WHEN 'running' THEN 0 ELSE 1 END, id ASC
+    LIMIT 1
+  `).get();
+}
+
+/**
+ * Get the broadcast job for an alert
+ */
+export function getBroadcastJobByAlertId(alertId) {
+  return db.prepare('SELECT * FROM broadcast_jobs WHERE alert_id = ?').get(alertId);
+}
+
+/**
+ * Move a broadcast job to a new status, stamping start/finish times
+ */
+export function updateBroadcastJobStatus(id, status, errorMessage = null) {
+  return db.prepare(`
+    UPDATE broadcast_jobs
+    SET status = @status,
+        error_message = @error_message,
+        started_at = CASE WHEN @status = 'running' THEN COALESCE(started_at, datetime('now')) ELSE started_at END,
+        finished_at = CASE WHEN @status IN ('completed','failed','cancelled') THEN datetime('now') ELSE finished_at END
+    WHERE id = @id
+  `).run({ id, status, error_message: errorMessage });
+}
+
+/**
+ * Get delivery log rows for an alert that haven't been handed to Twilio yet
+ */
+export function getUnsentDeliveries(alertId) {
+  return db.prepare(`
+    SELECT * FROM alert_log
+    WHERE alert_id = ? AND status = 'queued' AND twilio_sid IS NULL
+    ORDER BY id ASC
+  `).all(alertId);
+}
+
+/**
+ * Mark every not-yet-sent recipient of a cancelled broadcast as 'skipped'
+ */
+export function skipUnsentDeliveries(alertId) {
+  return db.prepare(`
+    UPDATE alert_log
+    SET status = 'skipped', error_message = 'Broadcast cancelled', updated_at = datetime('now')
+    WHERE alert_id = ? AND status = 'queued' AND twilio_sid IS NULL
+  `).run(alertId);
+}
+
+/**
+ * Mark a broadcast's not-yet-sent recipients on one channel as 'failed'
+ * (the channel isn't configured, so they can't be sent)
+ */
+export function failUnsentDeliveries(alertId, channel, errorMessage) {
+  return db.prepare(`
+    UPDATE alert_log
+    SET status = 'failed', error_message = @error_message, updated_at = datetime('now')
+    WHERE alert_id = @alert_id AND channel = @channel AND status = 'queued' AND twilio_sid IS NULL
+  `).run({ alert_id: alertId, channel, error_message: errorMessage });
+}
+
+/**
+ * Record the result of sending one queued delivery log row
+ */
+export function recordDeliveryAttempt(logId, { twilio_sid, status, error_code, error_message }) {
+  return db.prepare(`
+    UPDATE alert_log
+    SET twilio_sid = @twilio_sid,
+        status = @status,
+        error_code = @error_code,
+        error_message = @error_message,
+        updated_at = datetime('now')
+    WHERE id = @id
+  `).run({
+    id: logId,
+    twilio_sid: twilio_sid || null,
+    status,
+    error_code: error_code || null,
+    error_message: error_message || null
+  });
+}
+
+/**
+ * Progress of a broadcast from its delivery log
+ * `sent` counts every recipient handed to Twilio (or failed trying)
+ */
+export function getBroadcastProgress(alertId) {
+  const row = db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      SUM(CASE WHEN twilio_sid IS NOT NULL OR status != 'queued' THEN 1 ELSE 0 END) as sent,
+      SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+      SUM(CASE WHEN status IN ('failed','undelivered') THEN 1 ELSE 0 END) as failed,
+      SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped
+    FROM alert_log
+    WHERE alert_id = ?
+  `).get(alertId);
+  return {
+    total: row.total,
+    sent: (row.sent || 0) - (row.skipped || 0),
+    delivered: row.delivered || 0,
+    failed: row.failed || 0,
+    skipped: row.skipped || 0
+  };
+}
+
+/**
+ * Delivery results of an alert per channel
+ * @returns {Object} e.g. { sms: { total, delivered, failed, skipped }, email: {...} } —
+ *   only the channels it was sent on. voice also has `outcomes`, the number of
+ *   calls per call_outcome, e.g. { answered: 4, voicemail: 2, no_answer: 1 }
+ */
+export function getDeliveryStatsByChannel(alertId) {
+  const rows = db.prepare(`
+    SELECT
+      channel,
+      COUNT(*) as total,
+      SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+      SUM(CASE WHEN status IN ('failed','undelivered') THEN 1 ELSE 0 END) as failed,
+      SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped
+    FROM alert_log
+    WHERE alert_id = ?
+    GROUP BY channel
+  `).all(alertId);
+  const stats = Object.fromEntries(rows.map(({ channel, ...counts }) => [channel, counts]));
+
+  if (stats.voice) {
+    const outcomes = db.prepare(`
+      SELECT call_outcome, COUNT(*) as count FROM alert_log
+      WHERE alert_id = ? AND channel = 'voice' AND call_outcome IS NOT NULL
+      GROUP BY call_outcome
+    `).all(alertId);
+    stats.voice.outcomes = Object.fromEntries(outcomes.map(o => [o.call_outcome, o.count]));
+  }
+  return stats;
+}
+
+/**
+ * Calculate delivery rate from last 30 days, overall or for one channel
+ * Only counts messages with a final status — queued/sent ones are still in flight
+ */
+export function getDeliveryRate(channel) {
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const stats = db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered
+    FROM alert_log
+    WHERE created_at >= @since AND status IN ('delivered','undelivered','failed')
+      AND (@channel IS NULL OR channel = @channel)
+  `).get({ since: thirtyDaysAgo, channel: channel || null });
+
+  if (!stats || stats.total === 0) return 100;
+  return Math.round((stats.delivered / stats.total) * 100);
+}
+
+// ─── Alarm Queries ──────────────────────────────────────────
+
+/**
+ * Get all alarm rules
+ */
+export function getAlarmRules() {
+  return db.prepare('SELECT * FROM alarm_rules ORDER BY id ASC').all();
+}
+
+/**
+ * Get enabled rules for a metric that apply to a subject
+ * (rules with no device_id apply to every tank sensor)
+ */
+export function getEnabledAlarmRules(metric, deviceId) {
+  return db.prepare(`
+    SELECT * FROM alarm_rules
+    WHERE enabled = 1 AND metric = @metric
+      AND (device_id IS NULL OR device_id = @deviceId)
+  `).all({ metric, deviceId: deviceId ?? null });
+}
+
+/**
+ * Get a single alarm rule by ID
+ */
+export function getAlarmRuleById(id) {
+  return db.prepare('SELECT * FROM alarm_rules WHERE id = ?').get(id);
+}
+
+/**
+ * Create an alarm rule
+ */
+export function createAlarmRule({ name, metric, device_id, comparator, threshold, duration_minutes, hysteresis, cooldown_minutes, enabled }) {
+  const result = db.prepare(`
+    INSERT INTO alarm_rules
+      (name, metric, device_id, comparator, threshold, duration_minutes, hysteresis, cooldown_minutes, enabled)
+    VALUES
+      (@name, @metric, @device_id, @comparator, @threshold, @duration_minutes, @hysteresis, @cooldown_minutes, @enabled)
+  `).run({
+    name,
+    metric,
+    device_id: device_id || null,
+    comparator: comparator || 'below',
+    threshold,
+    duration_minutes: duration_minutes ?? 0,
+    hysteresis: hysteresis ?? 0,
+    cooldown_minutes: cooldown_minutes ?? 60,
+    enabled: enabled === false ? 0 : 1
+  });
+  return { id: result.lastInsertRowid };
+}
+
+/**
+ * Update an alarm rule
+ */
+export function updateAlarmRule(id, updates) {
+  const columns = ['name', 'metric', 'device_id', 'comparator', 'threshold', 'duration_minutes', 'hysteresis', 'cooldown_minutes', 'enabled'];
+  const fields = [];
+  const params = { id };
+
+  for (const column of columns) {
+    if (updates[column] === undefined) continue;
+    fields.push(`${column} = @${column}`);
+    if (column === 'enabled') params.enabled = updates.enabled ? 1 : 0;
+    else if (column === 'device_id') params.device_id = updates.device_id || null;
+    else params[column] = updates[column];
+  }
+
+  if (fields.length === 0) return null;
+
+  fields.push("updated_at = datetime('now')");
+  const sql = `UPDATE alarm_rules SET ${fields.join(', ')} WHERE id = @id`;
+  return db.prepare(sql).run(params);
+}
+
+/**
+ * Delete an alarm rule (its past alarms are kept)
+ */
+export function deleteAlarmRule(id) {
+  return db.prepare('DELETE FROM alarm_rules WHERE id = ?').run(id);
+}
+
+/**
+ * Get when a rule's condition started holding for a subject (null if it isn't)
+ */
+export function getAlarmConditionSince(ruleId, subject) {
+  const row = db.prepare(
+    'SELECT condition_since FROM alarm_rule_state WHERE rule_id = ? AND subject = ?'
+  ).get(ruleId, subject);
+  return row?.condition_since || null;
+}
+
+/**
+ * Record when a rule's condition started holding (null clears it)
+ */
+export function setAlarmConditionSince(ruleId, subject, since) {
+  return db.prepare(`
+    INSERT INTO alarm_rule_state (rule_id, subject, condition_since)
+    VALUES (?, ?, ?)
+    ON CONFLICT(rule_id, subject) DO UPDATE SET condition_since = excluded.condition_since
+  `).run(ruleId, subject, since);
+}
+
+/**
+ * Get the open alarm for a rule and subject, if any
+ */
+export function getOpenAlarm(ruleId, subject) {
+  return db.prepare(
+    "SELECT * FROM alarms WHERE rule_id = ? AND subject = ? AND status IN ('open','acknowledged')"
+  ).get(ruleId, subject);
+}
+
+/**
+ * Get when operators were last notified for a rule and subject
+ */
+export function getLastAlarmNotification(ruleId, subject) {
+  const row = db.prepare(
+    'SELECT MAX(notified_at) as notified_at FROM alarms WHERE rule_id = ? AND subject = ?'
+  ).get(ruleId, subject);
+  return row?.notified_at || null;
+}
+
+/**
+ * Open a new alarm
+ */
+export function createAlarm({ rule_id, subject, message, value, notified_at }) {
+  const result = db.prepare(`
+    INSERT INTO alarms (rule_id, subject, message, value, notified_at, opened_at)
+    VALUES (@rule_id, @subject, @message, @value, @notified_at, @opened_at)
+  `).run({
+    rule_id,
+    subject,
+    message,
+    value: value ?? null,
+    notified_at: notified_at || null,
+    opened_at: new Date().toISOString()
+  });
+  return { id: result.lastInsertRowid };
+}
+
+/**
+ * Mark an alarm as notified
+ */
+export function markAlarmNotified(id) {
+  return db.prepare('UPDATE alarms SET notified_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+}
+
+/**
+ * Acknowledge an open alarm, which stops escalation
+ * Returns the run result — `changes` is 0 if the alarm wasn't open
+ * @param {string} acknowledgedBy - Dashboard user's email or the operator's name
+ */
+export function acknowledgeAlarm(id, acknowledgedBy) {
+  return db.prepare(`
+    UPDATE alarms SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = ?
+    WHERE id = ? AND status = 'open'
+  `).run(acknowledgedBy, new Date().toISOString(), id);
+}
+
+/**
+ * Resolve an alarm once its condition clears
+ * @param {string} [resolvedBy] - Who closed it by hand; null when it cleared on its own
+ */
+export function resolveAlarm(id, resolvedBy = null) {
+  return db.prepare(
+    "UPDATE alarms SET status = 'resolved', resolved_by = ?, resolved_at = ? WHERE id = ?"
+  ).run(resolvedBy, new Date().toISOString(), id);
+}
+
+/**
+ * Get open (unacknowledged) alarms that were texted to a phone number
+ */
+export function getOpenAlarmsPagedTo(phone) {
+  return db.prepare(`
+    SELECT DISTINCT a.* FROM alarms a
+    JOIN alarm_notifications n ON n.alarm_id = a.id
+    WHERE a.status = 'open' AND n.phone = ? AND n.status = 'sent'
+    ORDER BY a.opened_at ASC
+  `).all(normalizePhone(phone));
+}
+
+/**
+ * Get alarms, most recent first, optionally filtered by status
+ * ('active' = open or acknowledged, i.e. not yet resolved)
+ */
+export function getAlarms({ status, limit = 50 } = {}) {
+  let sql = `
+    SELECT a.*, r.name as rule_name, r.metric
+    FROM alarms a
+    LEFT JOIN alarm_rules r ON a.rule_id = r.id
+  `;
+  const params = { limit };
+  if (status === 'active') {
+    sql += " WHERE a.status IN ('open','acknowledged')";
+  } else if (status) {
+    sql += ' WHERE a.status = @status';
+    params.status = status;
+  }
+  sql += ' ORDER BY a.opened_at DESC LIMIT @limit';
+  return db.prepare(sql).all(params);
+}
+
+/**
+ * Get a single alarm by ID
+ */
+export function getAlarmById(id) {
+  return db.prepare('SELECT * FROM alarms WHERE id = ?').get(id);
+}
+
+/**
+ * Get open alarms that have paged someone (candidates for escalation)
+ */
+export function getOpenNotifiedAlarms() {
+  return db.prepare(
+    "SELECT * FROM alarms WHERE status = 'open' AND notified_at IS NOT NULL ORDER BY opened_at ASC"
+  ).all();
+}
+
+/**
+ * Record an alarm text sent to an operator (or the fallback number)
+ */
+export function logAlarmNotification({ alarm_id, operator_id, phone, level, twilio_sid, status, error_message }) {
+  return db.prepare(`
+    INSERT INTO alarm_notifications (alarm_id, operator_id, phone, level, twilio_sid, status, error_message, sent_at)
+    VALUES (@alarm_id, @operator_id, @phone, @level, @twilio_sid, @status, @error_message, @sent_at)
+  `).run({
+    alarm_id,
+    operator_id: operator_id ?? null,
+    phone,
+    level,
+    twilio_sid: twilio_sid || null,
+    status,
+    error_message: error_message || null,
+    sent_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the texts sent for an alarm, oldest first
+ */
+export function getAlarmNotifications(alarmId) {
+  return db.prepare(`
+    SELECT n.*, o.name as operator_name
+    FROM alarm_notifications n
+    LEFT JOIN operators o ON n.operator_id = o.id
+    WHERE n.alarm_id = ?
+    ORDER BY n.id ASC
+  `).all(alarmId);
+}
+
+// ─── Operator Roster Queries ────────────────────────────────
+
+/**
+ * Get all operators in escalation order, each with its shifts
+ */
+export function getOperators({ activeOnly = false } = {}) {
+  const operators = db.prepare(`
+    SELECT * FROM operators
+    ${activeOnly ? 'WHERE active = 1' : ''}
+    ORDER BY escalation_order ASC, id ASC
+  `).all();
+  const shifts = db.prepare('SELECT * FROM operator_shifts ORDER BY day_of_week, start_time').all();
+
+  return operators.map(op => ({
+    ...op,
+    shifts: shifts.filter(sh => sh.operator_id === op.id)
+  }));
+}
+
+/**
+ * Look up an operator by phone number (any format)
+ */
+export function getOperatorByPhone(phone) {
+  return db.prepare('SELECT * FROM operators WHERE phone = ?').get(normalizePhone(phone));
+}
+
+/**
+ * Get a single operator with its shifts
+ */
+export function getOperatorById(id) {
+  const operator = db.prepare('SELECT * FROM operators WHERE id = ?').get(id);
+  if (!operator) return undefined;
+  operator.shifts = db.prepare(
+    'SELECT * FROM operator_shifts WHERE operator_id = ? ORDER BY day_of_week, start_time'
+  ).all(id);
+  return operator;
+}
+
+/**
+ * Add an operator to the roster
+ */
+export function createOperator({ name, phone, escalation_order, active }) {
+  const normalized = normalizePhone(phone);
+  const result = db.prepare(`
+    INSERT INTO operators (name, phone, escalation_order, active)
+    VALUES (@name, @phone, @escalation_order, @active)
+  `).run({
+    name,
+    phone: normalized,
+    escalation_order: escalation_order ?? 1,
+    active: active === false ? 0 : 1
+  });
+  return { id: result.lastInsertRowid, phone: normalized };
+}
+
+/**
+ * Update an operator
+ */
+export function updateOperator(id, { name, phone, escalation_order, active }) {
+  const fields = [];
+  const params = { id };
+
+  if (name !== undefined) { fields.push('name = @name'); params.name = name; }
+  if (phone !== undefined) { fields.push('phone = @phone'); params.phone = normalizePhone(phone); }
+  if (escalation_order !== undefined) { fields.push('escalation_order = @escalation_order'); params.escalation_order = escalation_order; }
+  if (active !== undefined) { fields.push('active = @active'); params.active = active ? 1 : 0; }
+
+  if (fields.length === 0) return null;
+
+  fields.push("updated_at = datetime('now')");
+  const sql = `UPDATE operators SET ${fields.join(', ')} WHERE id = @id`;
+  return db.prepare(sql).run(params);
+}
+
+/**
+ * Remove an operator from the roster
+ */
+export function deleteOperator(id) {
+  return db.prepare('DELETE FROM operators WHERE id = ?').run(id);
+}
+
+/**
+ * Replace an operator's on-call shifts (an empty array means always on call)
+ */
+export function replaceOperatorShifts(operatorId, shifts) {
+  const remove = db.prepare('DELETE FROM operator_shifts WHERE operator_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO operator_shifts (operator_id, day_of_week, start_time, end_time)
+    VALUES (@operator_id, @day_of_week, @start_time, @end_time)
+  `);
+  const tx = db.transaction(() => {
+    remove.run(operatorId);
+    for (const shift of shifts) {
+      insert.run({
+        operator_id: operatorId,
+        day_of_week: shift.day_of_week ?? null,
+        start_time: shift.start_time,
+        end_time: shift.end_time
+      });
+    }
+  });
+  tx();
+}
+
+// ─── Allowed Users Queries ───────────────────────────────────
+
+export function isEmailAllowed(email) {
+  const row = db.prepare(
+    'SELECT id FROM allowed_users WHERE email = ?'
+  ).get(email.toLowerCase());
+  return !!row;
+}
+
+export function getAllowedUsers() {
+  return db.prepare('SELECT * FROM allowed_users ORDER BY added_at DESC').all();
+}
+
+export function addAllowedUser({ email, name, added_by }) {
+  return db.prepare(`
+    INSERT INTO allowed_users (email, name, added_by)
+    VALUES (@email, @name, @added_by)
+  `).run({ email: email.toLowerCase(), name: name || null, added_by: added_by || 'admin' });
+}
+
+export function removeAllowedUser(email) {
+  return db.prepare('DELETE FROM allowed_users WHERE email = ?').run(email.toLowerCase());
+}
+
+// ─── Tank Registry Queries ───────────────────────────────────
+
+/**
+ * Get all registered tanks in display order
+ */
+export function getTanks() {
+  return db.prepare('SELECT * FROM tanks ORDER BY sort_order ASC, id ASC').all();
+}
+
+/**
+ * Get a single tank by ID
+ */
+export function getTankById(id) {
+  return db.prepare('SELECT * FROM tanks WHERE id = ?').get(id);
+}
+
+/**
+ * Get the tank a sensor is installed in
+ */
+export function getTankBySensorId(sensorId) {
+  return db.prepare('SELECT * FROM tanks WHERE sensor_id = ?').get(sensorId);
+}
+
+/**
+ * Register a new tank
+ */
+export function createTank({ name, role, capacity_gal, height_cm, geometry, sensor_id, sort_order }) {
+  const result = db.prepare(`
+    INSERT INTO tanks (name, role, capacity_gal, height_cm, geometry, sensor_id, sort_order)
+    VALUES (@name, @role, @capacity_gal, @height_cm, @geometry, @sensor_id, @sort_order)
+  `).run({
+    name,
+    role: role || 'distribution',
+    capacity_gal,
+    height_cm: height_cm ?? null,
+    geometry: geometry || 'vertical_cylinder',
+    sensor_id: sensor_id || null,
+    sort_order: sort_order ?? 0
+  });
+  return { id: result.lastInsertRowid };
+}
+
+/**
+ * Update an existing tank
+ */
+export function updateTank(id, { name, role, capacity_gal, height_cm, geometry, sensor_id, sort_order }) {
+  const fields = [];
+  const params = { id };
+
+  if (name !== undefined) { fields.push('name = @name'); params.name = name; }
+  if (role !== undefined) { fields.push('role = @role'); params.role = role; }
+  if (capacity_gal !== undefined) { fields.push('capacity_gal = @capacity_gal'); params.capacity_gal = capacity_gal; }
+  if (height_cm !== undefined) { fields.push('height_cm = @height_cm'); params.height_cm = height_cm; }
+  if (geometry !== undefined) { fields.push('geometry = @geometry'); params.geometry = geometry; }
+  if (sensor_id !== undefined) { fields.push('sensor_id = @sensor_id'); params.sensor_id = sensor_id || null; }
+  if (sort_order !== undefined) { fields.push('sort_order = @sort_order'); params.sort_order = sort_order; }
+
+  if (fields.length === 0) return null;
+
+  fields.push("updated_at = datetime('now')");
+  const sql = `UPDATE tanks SET ${fields.join(', ')} WHERE id = @id`;
+  return db.prepare(sql).run(params);
+}
+
+/**
+ * Remove a tank from the registry (reading history is kept)
+ */
+export function deleteTank(id) {
+  return db.prepare('DELETE FROM tanks WHERE id = ?').run(id);
+}
+
+/**
+ * Get a tank's strapping table (depth → gallons), shallowest first
+ */
+export function getStrappingPoints(tankId) {
+  return db.prepare(
+    'SELECT depth_cm, gallons FROM tank_strapping_points WHERE tank_id = ? ORDER BY depth_cm ASC'
+  ).all(tankId);
+}
+
+/**
+ * Replace a tank's strapping table (an empty array clears it)
+ */
+export function replaceStrappingPoints(tankId, points) {
+  const remove = db.prepare('DELETE FROM tank_strapping_points WHERE tank_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO tank_strapping_points (tank_id, depth_cm, gallons)
+    VALUES (@tank_id, @depth_cm, @gallons)
+  `);
+  const tx = db.transaction(() => {
+    remove.run(tankId);
+    for (const p of points) {
+      insert.run({ tank_id: tankId, depth_cm: p.depth_cm, gallons: p.gallons });
+    }
+  });
+  tx();
+}
+
+/**
+ * Set a tank's full height and record the change in its calibration history
+ * Returns the new calibration record's ID
+ */
+export function applyTankCalibration(tankId, { height_cm, method, reference_depth_cm, reference_gallons, rolled_back_from, calibrated_by }) {
+  const tx = db.transaction(() => {
+    const tank = db.prepare('SELECT height_cm FROM tanks WHERE id = ?').get(tankId);
+    const result = db.prepare(`
+      INSERT INTO tank_calibrations
+        (tank_id, height_cm, previous_height_cm, method, reference_depth_cm, reference_gallons, rolled_back_from, calibrated_by)
+      VALUES
+        (@tank_id, @height_cm, @previous_height_cm, @method, @reference_depth_cm, @reference_gallons, @rolled_back_from, @calibrated_by)
+    `).run({
+      tank_id: tankId,
+      height_cm,
+      previous_height_cm: tank.height_cm,
+      method,
+      reference_depth_cm: reference_depth_cm ?? null,
+      reference_gallons: reference_gallons ?? null,
+      rolled_back_from: rolled_back_from ?? null,
+      calibrated_by: calibrated_by || 'admin'
+    });
+    db.prepare(
+      "UPDATE tanks SET height_cm = ?, updated_at = datetime('now') WHERE id = ?"
+    ).run(height_cm, tankId);
+    return result.lastInsertRowid;
+  });
+  return { id: tx() };
+}
+
+/**
+ * Get a tank's calibration history (most recent first)
+ */
+export function getTankCalibrations(tankId) {
+  return db.prepare(
+    'SELECT * FROM tank_calibrations WHERE tank_id = ? ORDER BY id DESC'
+  ).all(tankId);
+}
+
+/**
+ * Get a single calibration record
+ */
+export function getTankCalibrationById(id) {
+  return db.prepare('SELECT * FROM tank_calibrations WHERE id = ?').get(id);
+}
+
+// ─── Tank Reading Queries ────────────────────────────────────
+
+/**
+ * Record a single tank sensor reading (depth in cm, battery in %)
+ */
+export function insertTankReading({ device_id, depth_cm, battery, temperature, percentage, source, recorded_at }) {
+  return db.prepare(`
+    INSERT INTO tank_readings (device_id, depth_cm, battery, temperature, percentage, source, recorded_at)
+    VALUES (@device_id, @depth_cm, @battery, @temperature, @percentage, @source, @recorded_at)
+  `).run({
+    device_id,
+    depth_cm: depth_cm ?? null,
+    battery: battery ?? null,
+    temperature: temperature ?? null,
+    percentage: percentage ?? null,
+    source: source || 'mqtt',
+    recorded_at: recorded_at || new Date().toISOString()
+  });
+}
+
+/**
+ * Get the most recent stored reading for a device
+ */
+export function getLatestTankReading(deviceId) {
+  return db.prepare(
+    'SELECT * FROM tank_readings WHERE device_id = ? ORDER BY recorded_at DESC LIMIT 1'
+  ).get(deviceId);
+}
+
+/**
+ * Get raw readings for a device within [from, to), oldest first
+ */
+export function getTankReadings(deviceId, { from, to, limit = 10000 }) {
+  return db.prepare(`
+    SELECT recorded_at, depth_cm, battery, temperature
+    FROM tank_readings
+    WHERE device_id = @deviceId AND recorded_at >= @from AND recorded_at < @to
+    ORDER BY recorded_at ASC
+    LIMIT @limit
+  `).all({ deviceId, from, to, limit });
+}
+
+/**
+ * Get depth readings for a device grouped into fixed-size time buckets
+ * Each row has the bucket start (unix seconds), count, and min/avg/max depth
+ */
+export function getTankReadingBuckets(deviceId, { from, to, bucketSeconds }) {
+  // Numbers bind as REAL, so cast the bucket size to keep the division integral
+  return db.prepare(`
+    SELECT
+      (CAST(strftime('%s', recorded_at) AS INTEGER) / CAST(@bucketSeconds AS INTEGER))
+        * CAST(@bucketSeconds AS INTEGER) AS bucket_start,
+      COUNT(*) AS count,
+      MIN(depth_cm) AS min_depth,
+      AVG(depth_cm) AS avg_depth,
+      MAX(depth_cm) AS max_depth
+    FROM tank_readings
+    WHERE device_id = @deviceId AND recorded_at >= @from AND recorded_at < @to
+      AND depth_cm IS NOT NULL
+    GROUP BY bucket_start
+    ORDER BY bucket_start ASC
+  `).all({ deviceId, from, to, bucketSeconds });
+}
+
+/**
+ * Delete readings older than the retention window
+ * Returns the number of rows removed
+ */
+export function pruneTankReadings(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  return db.prepare('DELETE FROM tank_readings WHERE recorded_at < ?').run(cutoff).changes;
 }
 
 // ─── Utilities ──────────────────────────────────────────────
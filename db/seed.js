@@ -4,7 +4,7 @@
  */
 
 import dotenv from 'dotenv';
-import { initDatabase, createSubscriber, createAlert, logDelivery, updateAlertCounts, getDb } from './database.js';
+import { initDatabase, createSubscriber, createZone, createAlert, logDelivery, updateAlertCounts, getDb } from './database.js';
 
 dotenv.config();
 
@@ -14,7 +14,17 @@ const db = getDb();
 console.log('Seeding database...\n');
 
 // Clear existing data
-db.exec('DELETE FROM alert_log; DELETE FROM alerts; DELETE FROM subscribers;');
+db.exec('DELETE FROM alert_log; DELETE FROM alerts; DELETE FROM subscribers; DELETE FROM zones;');
+
+// Sample zones (no boundaries — draw them on the Zones tab)
+for (const zone of [
+  { name: 'Zone 1', description: 'Beulah Park' },
+  { name: 'Zone 2', description: 'Hilltop' },
+  { name: 'Zone 3', description: 'Riverside' }
+]) {
+  createZone(zone);
+  console.log(`  Added zone: ${zone.name}`);
+}
 
 // Sample subscribers
 const subscribers = [
@@ -0,0 +1,321 @@
+/**
+ * Operator Alarm Rules Engine
+ * Evaluates tank levels, chlorine residual, and sensor silence against the
+ * rules in the alarm_rules table and texts on-call operators when one trips
+ *
+ * Paging follows the on-call roster (lib/on-call.js): the primary operator is
+ * texted first, and if the alarm is still open after ESCALATION_MINUTES the
+ * next operator in the chain is texted, and so on. With nobody on the roster,
+ * alarms go to ALARM_PHONE_NUMBERS / ADMIN_PHONE_NUMBER instead. Replying
+ * "ACK" (or pressing Acknowledge on the Sensor Health page) stops escalation.
+ *
+ * Each rule has:
+ *   - threshold + comparator  — e.g. tank_level below 25 (%), chlorine below 0.2 (ppm),
+ *                               sensor_offline above 120 (minutes silent)
+ *   - duration_minutes        — condition must hold this long before the alarm trips
+ *   - hysteresis              — value must recover this far past the threshold to clear
+ *   - cooldown_minutes        — minimum time between texts for the same rule and subject
+ *
+ * Called by lib/yolink-mqtt.js (readings, offline checks) and api/refresh-data.js (chlorine);
+ * server.js runs the escalation checker and api/routes/twilio.js hands over ACK replies.
+ */
+
+import {
+  getEnabledAlarmRules,
+  getAlarmConditionSince,
+  setAlarmConditionSince,
+  getOpenAlarm,
+  getLastAlarmNotification,
+  createAlarm,
+  markAlarmNotified,
+  resolveAlarm,
+  acknowledgeAlarm,
+  getOpenAlarmsPagedTo,
+  getOperatorByPhone,
+  getOpenNotifiedAlarms,
+  logAlarmNotification,
+  getAlarmNotifications,
+  getTankBySensorId
+} from '../db/database.js';
+import TwilioService from './twilio.js';
+import { getOnCallChain } from './on-call.js';
+
+// Minutes an operator has to respond before the alarm escalates
+const ESCALATION_MINUTES = parseInt(process.env.ESCALATION_MINUTES) || 15;
+
+// How often to check open alarms for escalation (in ms)
+const ESCALATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Logged once when nobody is left to escalate to, so the checker stops retrying
+const CHAIN_EXHAUSTED = 'Escalation chain exhausted';
+
+let escalationInterval = null;
+
+const UNITS = {
+  tank_level: '%',
+  chlorine: ' ppm',
+  sensor_offline: ' min silent'
+};
+
+/**
+ * Get a configured TwilioService instance
+ */
+function getTwilioService() {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+    return null;
+  }
+  return new TwilioService(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER);
+}
+
+/**
+ * Fallback numbers when the roster is empty — ALARM_PHONE_NUMBERS (comma-separated) or the admin
+ */
+function getFallbackNumbers() {
+  const list = process.env.ALARM_PHONE_NUMBERS || process.env.ADMIN_PHONE_NUMBER || '';
+  return list.split(',').map(n => n.trim()).filter(Boolean);
+}
+
+/**
+ * Text one recipient about an alarm and log the attempt
+ * Returns true if the text was accepted by Twilio
+ */
+async function sendAlarmText(twilio, alarm, { operator_id, phone, level }, message) {
+  const result = await twilio.sendSMS(phone, message);
+  logAlarmNotification({
+    alarm_id: alarm.id,
+    operator_id,
+    phone,
+    level,
+    twilio_sid: result.sid,
+    status: result.error ? 'failed' : 'sent',
+    error_message: result.error
+  });
+  return !result.error;
+}
+
+/**
+ * Page the on-call chain starting at `level` (1 = primary)
+ * If a text fails, moves straight on to the next operator.
+ * Resolves to true if someone was texted.
+ */
+async function pageFromLevel(alarm, level, message) {
+  const twilio = getTwilioService();
+  if (!twilio) {
+    console.error(`🚨 Alarm not sent (Twilio not configured): ${message}`);
+    return false;
+  }
+
+  const chain = getOnCallChain();
+
+  // Nobody on the roster — text every fallback number at once
+  if (chain.length === 0) {
+    if (level > 1) return false;
+    const numbers = getFallbackNumbers();
+    if (numbers.length === 0) {
+      console.error(`🚨 Alarm not sent (no operators on call and no fallback numbers): ${message}`);
+      return false;
+    }
+    let anySent = false;
+    for (const phone of numbers) {
+      if (await sendAlarmText(twilio, alarm, { operator_id: null, phone, level: 1 }, message)) anySent = true;
+    }
+    return anySent;
+  }
+
+  for (let i = level - 1; i < chain.length; i++) {
+    const operator = chain[i];
+    if (await sendAlarmText(twilio, alarm, { operator_id: operator.id, phone: operator.phone, level: i + 1 }, message)) {
+      console.log(`📟 Alarm ${alarm.id} paged ${operator.name} (level ${i + 1})`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Text everyone who was paged for an alarm that it has cleared
+ */
+async function notifyCleared(alarm, message) {
+  const twilio = getTwilioService();
+  if (!twilio) return;
+
+  const paged = getAlarmNotifications(alarm.id).filter(n => n.status === 'sent');
+  const seen = new Set();
+  for (const n of paged) {
+    if (seen.has(n.phone)) continue;
+    seen.add(n.phone);
+    await sendAlarmText(twilio, alarm, { operator_id: n.operator_id, phone: n.phone, level: n.level }, message);
+  }
+}
+
+function subjectName(metric, subject) {
+  if (metric === 'chlorine') return 'Chlorine residual';
+  return getTankBySensorId(subject)?.name || subject;
+}
+
+function formatValue(metric, value) {
+  const rounded = metric === 'chlorine' ? value.toFixed(2) : Math.round(value);
+  return `${rounded}${UNITS[metric]}`;
+}
+
+function describeTrip(rule, subject, value) {
+  const duration = rule.duration_minutes > 0 ? ` for ${rule.duration_minutes} min` : '';
+  return `BPWS ALARM: ${subjectName(rule.metric, subject)} — ${rule.name}. ` +
+    `Now ${formatValue(rule.metric, value)} (${rule.comparator} ${formatValue(rule.metric, rule.threshold)}${duration}). ` +
+    'Reply ACK to acknowledge.';
+}
+
+function describeClear(rule, subject, value) {
+  return `BPWS CLEARED: ${subjectName(rule.metric, subject)} — ${rule.name}. ` +
+    `Now ${formatValue(rule.metric, value)}.`;
+}
+
+function isBreached(rule, value) {
+  return rule.comparator === 'below' ? value < rule.threshold : value > rule.threshold;
+}
+
+function isRecovered(rule, value) {
+  const hysteresis = rule.hysteresis || 0;
+  return rule.comparator === 'below'
+    ? value >= rule.threshold + hysteresis
+    : value <= rule.threshold - hysteresis;
+}
+
+function minutesSince(iso, now) {
+  return (now - new Date(iso).getTime()) / 60000;
+}
+
+/**
+ * Evaluate a single rule for one subject
+ */
+async function evaluateRule(rule, subject, value, now) {
+  const open = getOpenAlarm(rule.id, subject);
+
+  if (open) {
+    if (isRecovered(rule, value)) {
+      resolveAlarm(open.id);
+      setAlarmConditionSince(rule.id, subject, null);
+      console.log(`✅ Alarm ${open.id} resolved: ${rule.name} (${subject})`);
+      if (open.notified_at) await notifyCleared(open, describeClear(rule, subject, value));
+    }
+    return;
+  }
+
+  if (!isBreached(rule, value)) {
+    setAlarmConditionSince(rule.id, subject, null);
+    return;
+  }
+
+  // Condition holds — start (or continue) the duration timer
+  let since = getAlarmConditionSince(rule.id, subject);
+  if (!since) {
+    since = new Date(now).toISOString();
+    setAlarmConditionSince(rule.id, subject, since);
+  }
+  if (minutesSince(since, now) < (rule.duration_minutes || 0)) return;
+
+  const message = describeTrip(rule, subject, value);
+  const alarm = createAlarm({ rule_id: rule.id, subject, message, value });
+  console.log(`🚨 Alarm ${alarm.id} tripped: ${message}`);
+
+  // Cooldown — a re-trip soon after the last text is recorded but not paged
+  const lastNotified = getLastAlarmNotification(rule.id, subject);
+  if (lastNotified && minutesSince(lastNotified, now) < rule.cooldown_minutes) {
+    console.log(`   (in cooldown — last notified ${lastNotified})`);
+    return;
+  }
+
+  if (await pageFromLevel(alarm, 1, message)) {
+    markAlarmNotified(alarm.id);
+  }
+}
+
+/**
+ * Evaluate every enabled rule for a metric against a new value
+ * @param {string} metric - 'tank_level' | 'chlorine' | 'sensor_offline'
+ * @param {string} subject - Tank sensor ID, or 'chlorine'
+ * @param {number} value - % full, ppm, or minutes since the sensor was last heard
+ */
+export async function evaluateMetric(metric, subject, value) {
+  if (value === null || value === undefined || isNaN(value)) return;
+
+  const now = Date.now();
+  const deviceId = metric === 'chlorine' ? null : subject;
+
+  for (const rule of getEnabledAlarmRules(metric, deviceId)) {
+    try {
+      await evaluateRule(rule, subject, value, now);
+    } catch (err) {
+      console.error(`Error evaluating alarm rule ${rule.id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Escalate open alarms whose last page went unanswered for ESCALATION_MINUTES
+ */
+export async function escalateOpenAlarms() {
+  const now = Date.now();
+
+  for (const alarm of getOpenNotifiedAlarms()) {
+    try {
+      const notifications = getAlarmNotifications(alarm.id);
+      if (notifications[notifications.length - 1]?.error_message === CHAIN_EXHAUSTED) continue;
+
+      const sent = notifications.filter(n => n.status === 'sent');
+      const last = sent[sent.length - 1];
+      if (!last || minutesSince(last.sent_at, now) < ESCALATION_MINUTES) continue;
+
+      // Fallback numbers are all texted at once, so there's no one to escalate to
+      if (last.operator_id === null) continue;
+
+      const message = `ESCALATED — no response in ${ESCALATION_MINUTES} min. ${alarm.message}`;
+      if (!(await pageFromLevel(alarm, last.level + 1, message))) {
+        console.warn(`⚠️ Alarm ${alarm.id} is unacknowledged and the on-call chain is exhausted`);
+        logAlarmNotification({
+          alarm_id: alarm.id,
+          operator_id: null,
+          phone: last.phone,
+          level: last.level,
+          status: 'failed',
+          error_message: CHAIN_EXHAUSTED
+        });
+      }
+    } catch (err) {
+      console.error(`Error escalating alarm ${alarm.id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Handle an "ACK" text: acknowledge every open alarm that was paged to that phone
+ * @param {string} phone - The sender's number (Twilio's `From`)
+ * @returns {string} Reply to text back
+ */
+export function acknowledgeFromReply(phone) {
+  const alarms = getOpenAlarmsPagedTo(phone);
+  if (alarms.length === 0) {
+    return 'BPWS: No open alarms to acknowledge.';
+  }
+
+  const by = getOperatorByPhone(phone)?.name || phone;
+  for (const alarm of alarms) {
+    acknowledgeAlarm(alarm.id, by);
+    console.log(`👍 Alarm ${alarm.id} acknowledged by ${by} (SMS)`);
+  }
+
+  const count = alarms.length === 1 ? '1 alarm' : `${alarms.length} alarms`;
+  return `BPWS: Acknowledged ${count}. Escalation stopped.`;
+}
+
+/**
+ * Start the periodic escalation check (called by server.js)
+ */
+export function startEscalationChecker() {
+  if (escalationInterval) return;
+  escalationInterval = setInterval(() => {
+    escalateOpenAlarms().catch(err => console.error('Escalation check failed:', err.message));
+  }, ESCALATION_CHECK_INTERVAL_MS);
+  console.log(`Alarm escalation checker running (escalates after ${ESCALATION_MINUTES} min)`);
+}
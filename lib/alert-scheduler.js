@@ -0,0 +1,171 @@
+/**
+ * Scheduled Alert Sender
+ * Sends alerts queued for a future time (status 'scheduled' with a
+ * `scheduled_at`), e.g. a planned outage notice the evening before.
+ *
+ * Schedules live in the alerts table, so they survive restarts: the checker
+ * runs once at startup (sending anything that came due while the server was
+ * down) and then every minute. Recipients are the active subscribers at send
+ * time, not when the alert was scheduled — in the alert's zones, and
+ * filtered by their alert_types unless the alert has `override_preferences` set.
+ *
+ * A scheduled alert can have:
+ *   - a reminder — a second scheduled alert linked by `reminder_of`
+ *     (e.g. "outage starting now" at the start time)
+ *   - a recurrence — 'daily' or 'weekly', optionally until `recurrence_until`;
+ *     when one occurrence is sent the next one (and its reminder) is scheduled
+ */
+
+import {
+  getDueScheduledAlerts,
+  getAlertReminder,
+  getAlertMessages,
+  startScheduledAlert,
+  createAlert,
+  updateAlertCounts,
+  getActiveSubscribers
+} from '../db/database.js';
+import { getStatusCallbackUrl } from './twilio.js';
+import { broadcastDeliveries } from './broadcast-queue.js';
+import { getDeliveries, estimateDeliveryCost } from './channels.js';
+import { parseAlertZones } from './zones.js';
+import { getAlertVariants } from './languages.js';
+
+// How often to check for due alerts (in ms)
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+const RECURRENCE_DAYS = { daily: 1, weekly: 7 };
+
+let schedulerInterval = null;
+
+/**
+ * Parse a time from an API request into the alerts table's format
+ * (SQLite UTC 'YYYY-MM-DD HH:MM:SS'). Returns null if it isn't a valid time.
+ * @param {string} value - ISO 8601, e.g. '2026-06-02T21:00:00-04:00'
+ */
+export function toScheduleTime(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse a stored schedule time back into a Date
+ */
+export function fromScheduleTime(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Next occurrence of a recurring time — same local time of day, so a 9am
+ * alert stays at 9am across daylight saving changes (uses the server's TZ)
+ */
+export function nextOccurrence(value, recurrence) {
+  const date = fromScheduleTime(value);
+  date.setDate(date.getDate() + RECURRENCE_DAYS[recurrence]);
+  return toScheduleTime(date);
+}
+
+/**
+ * Schedule the next occurrence of a recurring alert, and its reminder
+ * Occurrences missed while the server was down are skipped, not sent late.
+ */
+function scheduleNextOccurrence(alert) {
+  const now = toScheduleTime(new Date());
+  let scheduledAt = nextOccurrence(alert.scheduled_at, alert.recurrence);
+  while (scheduledAt <= now) {
+    scheduledAt = nextOccurrence(scheduledAt, alert.recurrence);
+  }
+  if (alert.recurrence_until && scheduledAt > alert.recurrence_until) {
+    console.log(`🗓 Recurring alert ${alert.id} has reached its end date`);
+    return;
+  }
+
+  const next = createAlert({
+    type: alert.type,
+    message: alert.message,
+    variants: getAlertMessages(alert.id),
+    zone: alert.zone,
+    status: 'scheduled',
+    scheduled_at: scheduledAt,
+    recurrence: alert.recurrence,
+    recurrence_until: alert.recurrence_until,
+    override_preferences: alert.override_preferences
+  });
+
+  // Keep the reminder the same time after the alert as before
+  const reminder = getAlertReminder(alert.id);
+  if (reminder) {
+    const offsetMs = fromScheduleTime(reminder.scheduled_at) - fromScheduleTime(alert.scheduled_at);
+    createAlert({
+      type: reminder.type,
+      message: reminder.message,
+      variants: getAlertMessages(reminder.id),
+      zone: reminder.zone,
+      status: 'scheduled',
+      scheduled_at: toScheduleTime(new Date(fromScheduleTime(scheduledAt).getTime() + offsetMs)),
+      reminder_of: next.id,
+      override_preferences: reminder.override_preferences
+    });
+  }
+  console.log(`🗓 Recurring alert ${alert.id}: next occurrence ${next.id} at ${scheduledAt} UTC`);
+}
+
+/**
+ * Send one due alert to the current active subscribers, on each of their channels
+ */
+function sendScheduledAlert(alert) {
+  const subscribers = getActiveSubscribers({
+    alertType: alert.type,
+    overridePreferences: !!alert.override_preferences,
+    zones: parseAlertZones(alert.zone)
+  });
+  const deliveries = getDeliveries(subscribers, alert.type);
+  const costEstimate = estimateDeliveryCost(getAlertVariants(alert), deliveries);
+
+  // Cancelled or picked up already (e.g. by an overlapping check)
+  if (!startScheduledAlert(alert.id, { recipient_count: deliveries.length, cost_estimate: costEstimate.totalCost })) {
+    return;
+  }
+
+  if (alert.recurrence) {
+    scheduleNextOccurrence(alert);
+  }
+
+  if (subscribers.length === 0) {
+    console.error(`Scheduled alert ${alert.id} not sent: no active subscribers`);
+    updateAlertCounts(alert.id, { delivered_count: 0, failed_count: 0, status: 'failed' });
+    return;
+  }
+
+  // Deliveries on a channel that isn't configured are logged as failed
+  const { queued } = broadcastDeliveries(alert, deliveries, { statusCallback: getStatusCallbackUrl() });
+  if (queued === 0) {
+    console.error(`Scheduled alert ${alert.id} not sent: no delivery channel configured`);
+    return;
+  }
+  console.log(`🗓 Scheduled alert ${alert.id} (due ${alert.scheduled_at} UTC) queued for ${subscribers.length} subscribers (${queued} deliveries)`);
+}
+
+/**
+ * Send every scheduled alert whose time has come
+ */
+export function sendDueAlerts() {
+  for (const alert of getDueScheduledAlerts()) {
+    try {
+      sendScheduledAlert(alert);
+    } catch (err) {
+      console.error(`Error sending scheduled alert ${alert.id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Send anything overdue, then check every minute (called by server.js)
+ */
+export function startAlertScheduler() {
+  if (schedulerInterval) return;
+  sendDueAlerts();
+  schedulerInterval = setInterval(sendDueAlerts, SCHEDULER_INTERVAL_MS);
+  console.log('Scheduled alert checker running');
+}
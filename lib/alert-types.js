@@ -0,0 +1,39 @@
+/**
+ * Alert Types
+ * The kinds of alert the system sends, and subscribers' choice of which
+ * ones they receive (subscribers.alert_types: 'all', or a comma-separated
+ * list such as 'outage,boil').
+ */
+
+export const ALERT_TYPES = ['repair', 'outage', 'boil', 'boil_lifted'];
+
+// Public-health notices: by default these reach every active subscriber,
+// whatever types they've chosen (see override_preferences on POST /api/alerts/send)
+export const SAFETY_CRITICAL_TYPES = ['boil', 'boil_lifted'];
+
+/**
+ * Normalize an alert_types value from a request — 'all', a comma-separated
+ * string, or an array — into the stored form
+ * @returns {string | null} 'all' or e.g. 'outage,boil'; null if invalid
+ */
+export function normalizeAlertTypes(value) {
+  if (value === 'all') return 'all';
+
+  const types = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(t => String(t).trim())
+    .filter(Boolean);
+  if (types.length === 0 || !types.every(t => ALERT_TYPES.includes(t))) return null;
+
+  const unique = ALERT_TYPES.filter(t => types.includes(t));
+  return unique.length === ALERT_TYPES.length ? 'all' : unique.join(',');
+}
+
+/**
+ * Whether an alert of `type` ignores subscribers' alert_types
+ * @param {string} type
+ * @param {boolean} [override] - The sender's choice; defaults to on for safety-critical types
+ */
+export function overridesPreferences(type, override) {
+  if (!SAFETY_CRITICAL_TYPES.includes(type)) return false;
+  return override !== false;
+}
@@ -0,0 +1,310 @@
+/**
+ * Alert Broadcast Queue
+ * Sends alert broadcasts in the background instead of inside the HTTP request.
+ *
+ * Each broadcast is persisted before sending starts: a broadcast_jobs row plus
+ * one 'queued' alert_log row per recipient and channel (lib/channels.js). The
+ * worker sends to those rows one at a time — emails first (EmailService), then
+ * calls (TwilioService.callBulk) and texts (TwilioService.sendBulk, ~1 msg/sec)
+ * — recording each result as it goes, so a restart resumes where it left off.
+ * A message that was accepted just before a crash, but not yet recorded, is
+ * sent again on resume. Each row records the language it goes out in
+ * (lib/languages.js), and the recipient gets the alert's variant in it.
+ *
+ * Deliveries on a channel that isn't configured when the worker reaches them
+ * (e.g. SMTP settings removed since they were queued) are logged as failed.
+ *
+ * A broadcast can be paused (the worker stops before the next message and
+ * moves on to other jobs), resumed, or cancelled — recipients not yet sent to
+ * are then marked 'skipped' in alert_log and the alert becomes 'cancelled'.
+ *
+ * Progress is published on `broadcastEvents` ('progress' events) and streamed
+ * to alerts.html over Server-Sent Events by GET /api/alerts/:id/progress.
+ */
+
+import { EventEmitter } from 'events';
+import {
+  createBroadcastJob,
+  getNextBroadcastJob,
+  getBroadcastJobByAlertId,
+  updateBroadcastJobStatus,
+  getUnsentDeliveries,
+  skipUnsentDeliveries,
+  failUnsentDeliveries,
+  recordDeliveryAttempt,
+  getBroadcastProgress,
+  refreshAlertCounts,
+  updateAlertStatus,
+  updateAlertCounts,
+  getAlertById,
+  logDelivery
+} from '../db/database.js';
+import TwilioService, { getVoiceStatusCallbackUrl } from './twilio.js';
+import { getEmailService, formatAlertEmail } from './email.js';
+import { buildVoiceTwiml } from './voice.js';
+import { CHANNELS, CHANNEL_NOT_CONFIGURED, isChannelConfigured } from './channels.js';
+import { getAlertVariants, deliveryLanguage } from './languages.js';
+
+export const broadcastEvents = new EventEmitter();
+broadcastEvents.setMaxListeners(0);  // one listener per open progress stream
+
+let working = false;
+
+// The job being sent right now: { alertId, controller } (AbortController)
+let current = null;
+
+/**
+ * Get a configured TwilioService instance
+ */
+function getTwilioService() {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+    return null;
+  }
+  return new TwilioService(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER);
+}
+
+/**
+ * Current state of an alert's broadcast: { alert_id, status, total, sent, delivered, failed, skipped }
+ * `status` is the alert's, except 'paused' while its job is paused
+ */
+export function getBroadcastState(alertId) {
+  const alert = getAlertById(alertId);
+  if (!alert) return null;
+  const job = getBroadcastJobByAlertId(alertId);
+  const status = job?.status === 'paused' ? 'paused' : alert.status;
+  return { alert_id: alert.id, status, ...getBroadcastProgress(alert.id) };
+}
+
+function publish(alertId) {
+  broadcastEvents.emit('progress', getBroadcastState(alertId));
+}
+
+/**
+ * Skip the remaining recipients and close out a cancelled broadcast
+ */
+function finishCancelled(job) {
+  const { changes } = skipUnsentDeliveries(job.alert_id);
+  refreshAlertCounts(job.alert_id);
+  updateAlertStatus(job.alert_id, 'cancelled');
+  publish(job.alert_id);
+  console.log(`🛑 Broadcast for alert ${job.alert_id} cancelled (${changes} recipients skipped)`);
+}
+
+/**
+ * Send every unsent recipient of one job, stopping early if it's paused or cancelled
+ * @param {Object} services - { sms: TwilioService, email: EmailService, voice: TwilioService }
+ *   for the channels it uses
+ */
+async function runJob(job, services) {
+  updateBroadcastJobStatus(job.id, 'running');
+  updateAlertStatus(job.alert_id, 'sending');
+  publish(job.alert_id);
+
+  const pending = getUnsentDeliveries(job.alert_id);
+  if (pending.length > 0) {
+    console.log(`📤 Broadcast for alert ${job.alert_id}: sending to ${pending.length} recipients`);
+
+    const alert = getAlertById(job.alert_id);
+    const variants = getAlertVariants(alert);
+    const languages = Object.keys(variants);
+    const controller = new AbortController();
+    current = { alertId: job.alert_id, controller };
+
+    // sendBulk reports each result as `subscriber_id`; pass log row IDs through it
+    const onProgress = ({ result }) => {
+      recordDeliveryAttempt(result.subscriber_id, result);
+      publish(job.alert_id);
+    };
+    const emails = pending.filter(row => row.channel === 'email');
+    const calls = pending.filter(row => row.channel === 'voice');
+    const texts = pending.filter(row => row.channel === 'sms');
+
+    try {
+      if (emails.length > 0) {
+        const content = Object.fromEntries(languages.map(l => [l, formatAlertEmail(alert, variants[l])]));
+        await services.email.sendBulk(emails.map(row => ({ id: row.id, email: row.email, language: row.language })),
+          content, onProgress, { signal: controller.signal });
+      }
+      if (calls.length > 0 && !controller.signal.aborted) {
+        const twiml = Object.fromEntries(languages.map(l => [l, buildVoiceTwiml(alert, l, variants[l])]));
+        await services.voice.callBulk(calls.map(row => ({ id: row.id, phone: row.phone, language: row.language })), twiml, onProgress,
+          { statusCallback: getVoiceStatusCallbackUrl(), signal: controller.signal });
+      }
+      if (texts.length > 0 && !controller.signal.aborted) {
+        await services.sms.sendBulk(texts.map(row => ({ id: row.id, phone: row.phone, language: row.language })), variants, onProgress,
+          { statusCallback: job.status_callback || undefined, signal: controller.signal });
+      }
+    } finally {
+      current = null;
+    }
+  }
+
+  // Paused, resumed again, or cancelled while sending
+  const latest = getBroadcastJobByAlertId(job.alert_id);
+  if (latest.status === 'cancelled') {
+    finishCancelled(latest);
+    return;
+  }
+  if (latest.status !== 'running') {
+    publish(job.alert_id);
+    console.log(`⏸ Broadcast for alert ${job.alert_id} ${latest.status}`);
+    return;
+  }
+
+  refreshAlertCounts(job.alert_id);
+  updateAlertStatus(job.alert_id, 'completed');
+  updateBroadcastJobStatus(job.id, 'completed');
+  publish(job.alert_id);
+  console.log(`✓ Broadcast for alert ${job.alert_id} complete`);
+}
+
+/**
+ * Work through queued and interrupted jobs, oldest first, one at a time
+ * (a single Twilio number can't send in parallel anyway)
+ */
+async function work() {
+  if (working) return;
+  working = true;
+
+  try {
+    let job;
+    while ((job = getNextBroadcastJob())) {
+      const twilio = getTwilioService();
+      const services = { sms: twilio, email: getEmailService(), voice: isChannelConfigured('voice') ? twilio : null };
+
+      // A channel that isn't configured (any more) fails its deliveries, as in
+      // broadcastDeliveries, rather than holding up the queue until a restart
+      for (const channel of CHANNELS.filter(c => !services[c])) {
+        const { changes } = failUnsentDeliveries(job.alert_id, channel, CHANNEL_NOT_CONFIGURED[channel]);
+        if (changes > 0) {
+          console.error(`Broadcast for alert ${job.alert_id}: ${changes} deliveries failed (${channel} not configured)`);
+        }
+      }
+
+      try {
+        await runJob(job, services);
+      } catch (err) {
+        console.error(`Broadcast for alert ${job.alert_id} failed:`, err.message);
+        refreshAlertCounts(job.alert_id);
+        updateAlertStatus(job.alert_id, 'failed');
+        updateBroadcastJobStatus(job.id, 'failed', err.message);
+        publish(job.alert_id);
+      }
+    }
+  } finally {
+    working = false;
+  }
+}
+
+/**
+ * Persist a broadcast for an existing alert and start sending in the background
+ * @param {Object} alert - Row from the alerts table
+ * @param {Array} recipients - Array of { id, channel, phone, email, language } deliveries, with
+ *   the language each goes out in (see broadcastDeliveries)
+ * @param {Object} [options] - { statusCallback } URL for delivery receipts
+ */
+export function enqueueBroadcast(alert, recipients, { statusCallback } = {}) {
+  const job = createBroadcastJob(alert.id, recipients, { status_callback: statusCallback });
+  work().catch(err => console.error('Broadcast worker error:', err.message));
+  return job;
+}
+
+/**
+ * Queue an alert's deliveries on the channels that are configured; those on
+ * a channel that isn't are logged as failed straight away. If none can be
+ * queued the alert is marked failed.
+ * @param {Object} alert - Row from the alerts table
+ * @param {Array} deliveries - Array of { id, channel, phone, email, language } (lib/channels.js)
+ * @param {Object} [options] - { statusCallback } URL for delivery receipts
+ * @returns {{ queued, failed }} Number of deliveries queued and failed
+ */
+export function broadcastDeliveries(alert, deliveries, { statusCallback } = {}) {
+  const variants = getAlertVariants(alert);
+  deliveries = deliveries.map(d => ({ ...d, language: deliveryLanguage(d, variants) }));
+  const queued = deliveries.filter(d => isChannelConfigured(d.channel));
+  const unsendable = deliveries.filter(d => !isChannelConfigured(d.channel));
+
+  for (const d of unsendable) {
+    logDelivery({
+      alert_id: alert.id,
+      subscriber_id: d.id,
+      channel: d.channel,
+      phone: d.phone,
+      email: d.email,
+      language: d.language,
+      status: 'failed',
+      error_message: CHANNEL_NOT_CONFIGURED[d.channel]
+    });
+  }
+
+  if (queued.length > 0) {
+    enqueueBroadcast(alert, queued, { statusCallback });
+  } else {
+    updateAlertCounts(alert.id, { delivered_count: 0, failed_count: unsendable.length, status: 'failed' });
+  }
+  if (unsendable.length > 0) {
+    const channels = [...new Set(unsendable.map(d => d.channel))].join(', ');
+    console.error(`Alert ${alert.id}: ${unsendable.length} deliveries failed (${channels} not configured)`);
+  }
+  return { queued: queued.length, failed: unsendable.length };
+}
+
+/**
+ * Pause a queued or sending broadcast after the message in flight
+ * @returns {boolean} false if the broadcast isn't running
+ */
+export function pauseBroadcast(alertId) {
+  const job = getBroadcastJobByAlertId(alertId);
+  if (!job || !['queued', 'running'].includes(job.status)) return false;
+
+  updateBroadcastJobStatus(job.id, 'paused');
+  if (current?.alertId === job.alert_id) {
+    current.controller.abort();
+  } else {
+    publish(job.alert_id);
+  }
+  return true;
+}
+
+/**
+ * Resume a paused broadcast where it left off
+ * @returns {boolean} false if the broadcast isn't paused
+ */
+export function resumeBroadcast(alertId) {
+  const job = getBroadcastJobByAlertId(alertId);
+  if (!job || job.status !== 'paused') return false;
+
+  updateBroadcastJobStatus(job.id, 'queued');
+  publish(job.alert_id);
+  work().catch(err => console.error('Broadcast worker error:', err.message));
+  return true;
+}
+
+/**
+ * Cancel a queued, sending, or paused broadcast; unsent recipients are skipped
+ * @returns {boolean} false if the broadcast has already finished
+ */
+export function cancelBroadcast(alertId) {
+  const job = getBroadcastJobByAlertId(alertId);
+  if (!job || !['queued', 'running', 'paused'].includes(job.status)) return false;
+
+  updateBroadcastJobStatus(job.id, 'cancelled');
+  if (current?.alertId === job.alert_id) {
+    current.controller.abort();  // runJob finishes the cancellation
+  } else {
+    finishCancelled(job);
+  }
+  return true;
+}
+
+/**
+ * Resume broadcasts interrupted by a restart (called by server.js)
+ */
+export function startBroadcastWorker() {
+  const job = getNextBroadcastJob();
+  if (job) {
+    console.log('Resuming unfinished alert broadcasts...');
+  }
+  work().catch(err => console.error('Broadcast worker error:', err.message));
+}
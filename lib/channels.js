@@ -0,0 +1,162 @@
+/**
+ * Delivery Channels
+ * How an alert reaches a subscriber: by text ('sms'), email ('email'), and/or
+ * phone call ('voice'). Each subscriber picks theirs (subscribers.channels: a
+ * comma-separated list, 'sms' by default); an alert goes out once per chosen
+ * channel, and each attempt is its own alert_log row with that `channel`.
+ *
+ * The email channel needs an address. A subscriber whose only choice is
+ * email but who has none gets texts instead, so nobody is left out.
+ *
+ * Calls are only made for boil water notices and their lifts (VOICE_ALERT_TYPES).
+ * Landline subscribers (subscribers.line_type) can't get texts, so they're
+ * reached by call (and email, if they chose it) and get no other alerts.
+ * Calls also need PUBLIC_BASE_URL: without Twilio's status callbacks a call's
+ * outcome is never recorded, and an unanswered call is never placed again.
+ */
+
+import TwilioService, { getVoiceStatusCallbackUrl } from './twilio.js';
+import { isEmailConfigured } from './email.js';
+import { SAFETY_CRITICAL_TYPES } from './alert-types.js';
+import { DEFAULT_LANGUAGE, deliveryLanguage } from './languages.js';
+
+export const CHANNELS = ['sms', 'email', 'voice'];
+
+export const LINE_TYPES = ['mobile', 'landline'];
+
+export const VOICE_ALERT_TYPES = SAFETY_CRITICAL_TYPES;
+
+const TWILIO_NOT_CONFIGURED = 'Twilio is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER in .env';
+
+export const CHANNEL_NOT_CONFIGURED = {
+  sms: TWILIO_NOT_CONFIGURED,
+  email: 'Email is not configured. Set SMTP_HOST and EMAIL_FROM in .env',
+  voice: 'Voice calls are not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER, and PUBLIC_BASE_URL (for call results) in .env'
+};
+
+/**
+ * Normalize a channels value from a request — a comma-separated string or
+ * an array — into the stored form
+ * @returns {string | null} e.g. 'sms' or 'sms,email'; null if invalid
+ */
+export function normalizeChannels(value) {
+  const channels = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(c => String(c).trim())
+    .filter(Boolean);
+  if (channels.length === 0 || !channels.every(c => CHANNELS.includes(c))) return null;
+
+  return CHANNELS.filter(c => channels.includes(c)).join(',');
+}
+
+/**
+ * A stored channels value as a list
+ */
+export function parseChannels(value) {
+  const channels = String(value || '').split(',').map(c => c.trim()).filter(c => CHANNELS.includes(c));
+  return channels.length ? channels : ['sms'];
+}
+
+/**
+ * One delivery per subscriber per channel they can be reached on for an alert type
+ * @param {Array} subscribers - Rows from the subscribers table
+ * @param {string} alertType - The alert's type; only VOICE_ALERT_TYPES are called
+ * @returns {Array} Array of { id, channel, phone, email, language } (the subscriber's language)
+ */
+export function getDeliveries(subscribers, alertType) {
+  const deliveries = [];
+  const calls = VOICE_ALERT_TYPES.includes(alertType);
+  for (const sub of subscribers) {
+    const landline = sub.line_type === 'landline';
+    const channels = parseChannels(sub.channels).filter(c =>
+      (c !== 'email' || sub.email) && (c !== 'sms' || !landline) && (c !== 'voice' || calls));
+    if (landline && calls && !channels.includes('voice')) channels.push('voice');
+    if (channels.length === 0 && !landline) channels.push('sms');
+    for (const channel of channels) {
+      deliveries.push({
+        id: sub.id,
+        channel,
+        phone: sub.phone,
+        email: channel === 'email' ? sub.email : null,
+        language: sub.language || DEFAULT_LANGUAGE
+      });
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * Number of deliveries on each channel, e.g. { sms: 40, email: 12, voice: 3 }
+ */
+export function countByChannel(deliveries) {
+  const counts = Object.fromEntries(CHANNELS.map(c => [c, 0]));
+  for (const d of deliveries) counts[d.channel]++;
+  return counts;
+}
+
+/**
+ * Whether the service behind a channel has its credentials set (and, for
+ * calls, a URL to report their outcome to)
+ */
+export function isChannelConfigured(channel) {
+  if (channel === 'email') return isEmailConfigured();
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+  const twilio = !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_PHONE_NUMBER);
+  return channel === 'voice' ? twilio && !!getVoiceStatusCallbackUrl() : twilio;
+}
+
+/**
+ * Error message if none of the deliveries can be sent because their
+ * channels aren't configured, or null if at least some can
+ */
+export function getChannelConfigError(deliveries) {
+  const channels = CHANNELS.filter(c => deliveries.some(d => d.channel === c));
+  if (channels.some(isChannelConfigured)) return null;
+  return [...new Set(channels.map(c => CHANNEL_NOT_CONFIGURED[c]))].join(' ');
+}
+
+/**
+ * Cost of sending an alert on each channel — texts per segment, calls per
+ * minute; email is free. Each recipient is costed for the variant they'll
+ * get: a translation can need more segments, or UCS-2 where English fits GSM-7.
+ * @param {Object} variants - The alert's messages by language ({ en, es, ... }, see lib/languages.js)
+ * @param {Array} deliveries - From getDeliveries
+ * @returns {{ segments, encoding, costPerRecipient, smsCost, callCost, totalCost, languages }}
+ *   segments, encoding, and costPerRecipient are for the English texts;
+ *   `languages` has { recipients, segments, encoding, cost } per variant sent
+ */
+export function estimateDeliveryCost(variants, deliveries) {
+  const byLanguage = {};
+  for (const d of deliveries) {
+    const language = deliveryLanguage(d, variants);
+    byLanguage[language] ||= { recipients: 0, sms: 0, email: 0, voice: 0 };
+    byLanguage[language].recipients++;
+    byLanguage[language][d.channel]++;
+  }
+
+  const languages = {};
+  let smsCost = 0;
+  let callCost = 0;
+  for (const [language, counts] of Object.entries(byLanguage)) {
+    const sms = TwilioService.estimateCost(variants[language], counts.sms);
+    const calls = TwilioService.estimateCallCost(variants[language], counts.voice);
+    languages[language] = {
+      recipients: counts.recipients,
+      segments: sms.segments,
+      encoding: sms.encoding,
+      cost: Math.round((sms.totalCost + calls.totalCost) * 100) / 100
+    };
+    smsCost += sms.totalCost;
+    callCost += calls.totalCost;
+  }
+
+  const { segments, encoding, costPerRecipient } = TwilioService.estimateCost(variants[DEFAULT_LANGUAGE], 0);
+  return {
+    segments,
+    encoding,
+    costPerRecipient,
+    smsCost: Math.round(smsCost * 100) / 100,
+    callCost: Math.round(callCost * 100) / 100,
+    totalCost: Math.round((smsCost + callCost) * 100) / 100,
+    languages
+  };
+}
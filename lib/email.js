@@ -0,0 +1,145 @@
+/**
+ * Email Alert Service
+ * Sends alert emails over SMTP (nodemailer) for subscribers who chose the
+ * email channel. Any SMTP server works — the utility's mail provider in
+ * production, or a local stand-in (e.g. MailHog or smtp4dev on port 1025)
+ * in development and tests.
+ *
+ * Configured by SMTP_HOST and EMAIL_FROM; SMTP_USER/SMTP_PASS are only
+ * needed if the server requires a login.
+ */
+
+import nodemailer from 'nodemailer';
+import { getPlaceholderDefaults } from './templates.js';
+
+const SUBJECTS = {
+  repair: 'Water main repair',
+  outage: 'Service outage',
+  boil: 'Boil water notice',
+  boil_lifted: 'Boil water notice lifted'
+};
+
+/**
+ * SMTP reply codes and nodemailer errors that won't succeed on a resend:
+ * mailbox unavailable (550), mailbox name not allowed (553), and an address
+ * the server rejected outright (EENVELOPE)
+ */
+export const NON_RETRYABLE_EMAIL_CODES = ['550', '553', 'EENVELOPE'];
+
+class EmailService {
+  constructor({ host, port, secure, user, pass, from }) {
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } })
+    });
+    this.from = from;
+  }
+
+  /**
+   * Send a single email
+   * Returns { id } (the Message-ID) on success or { error, code } on failure
+   */
+  async sendEmail(to, subject, text) {
+    try {
+      const info = await this.transport.sendMail({ from: this.from, to, subject, text });
+      return { id: info.messageId };
+    } catch (error) {
+      console.error(`Email send failed to ${to}:`, error.message);
+      const code = error.responseCode || error.code;
+      return { error: error.message, code: code ? String(code) : null };
+    }
+  }
+
+  /**
+   * Send an email to multiple recipients sequentially
+   * There are no delivery receipts for email, so a message the SMTP server
+   * accepted is recorded as 'delivered'.
+   * @param {Array} recipients - Array of { id, email, language } objects
+   * @param {Object} content - { subject, text } by language ({ en: { subject, text }, es: ... },
+   *   see formatAlertEmail); each recipient gets their language's, falling back to English
+   * @param {Function} onProgress - Callback with { sent, delivered, failed, total, result } after each message
+   * @param {Object} [options] - { signal } (AbortSignal) to stop before the next message
+   * @returns {Array} results - Array of { subscriber_id, email, twilio_sid, status, error_code, error_message }
+   *   (the same shape as TwilioService.sendBulk; twilio_sid is always null)
+   */
+  async sendBulk(recipients, content, onProgress, { signal } = {}) {
+    const results = [];
+    let delivered = 0;
+    let failed = 0;
+
+    for (let i = 0; i < recipients.length; i++) {
+      if (signal?.aborted) break;
+
+      const { id, email, language } = recipients[i];
+      const { subject, text } = content[language] ?? content.en;
+      const result = await this.sendEmail(email, subject, text);
+
+      const entry = {
+        subscriber_id: id,
+        email,
+        twilio_sid: null,
+        status: result.error ? 'failed' : 'delivered',
+        error_code: result.error ? result.code : null,
+        error_message: result.error || null
+      };
+      if (result.error) failed++;
+      else delivered++;
+      results.push(entry);
+
+      if (onProgress) {
+        onProgress({ sent: i + 1, delivered, failed, total: recipients.length, result: entry });
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Whether SMTP is configured for email alerts
+ */
+export function isEmailConfigured() {
+  return !!(process.env.SMTP_HOST && process.env.EMAIL_FROM);
+}
+
+/**
+ * Get a configured EmailService instance, or null if SMTP isn't configured
+ */
+export function getEmailService() {
+  if (!isEmailConfigured()) return null;
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, EMAIL_FROM } = process.env;
+  return new EmailService({
+    host: SMTP_HOST,
+    port: parseInt(SMTP_PORT) || 587,
+    secure: SMTP_SECURE === 'true',
+    user: SMTP_USER,
+    pass: SMTP_PASS,
+    from: EMAIL_FROM
+  });
+}
+
+/**
+ * Subject and plain-text body of an alert email
+ * The alert text is written for SMS, so its "Reply STOP" line is swapped
+ * for a footer with the office phone number.
+ * @param {Object} alert - Row from the alerts table
+ * @param {string} [text] - The message to send, if not the alert's own (e.g. a translation)
+ * @returns {{ subject, text }}
+ */
+export function formatAlertEmail(alert, text = alert.message) {
+  const { contact_phone } = getPlaceholderDefaults();
+  const message = text.replace(/\s*Reply STOP to unsubscribe\.?/i, '').trim();
+
+  return {
+    subject: `Beulah Park Water System: ${SUBJECTS[alert.type] || 'Service alert'}`,
+    text: `${message}\n\n` +
+      '--\n' +
+      'Beulah Park Water System\n' +
+      `Questions? Call ${contact_phone}.\n` +
+      `You're receiving this because you signed up for water system alerts. To stop email alerts, call ${contact_phone}.\n`
+  };
+}
+
+export default EmailService;
@@ -0,0 +1,126 @@
+/**
+ * Boil-Water Incidents
+ * One boil-water event from notice to lift: the affected zones, the notice
+ * and any follow-up updates (type 'boil'), the bacteriological sampling
+ * results, and the lift (type 'boil_lifted'). Alerts are linked to their
+ * incident by alerts.incident_id.
+ *
+ * Updates and the lift go only to the subscribers who received a notice for
+ * the incident (see getIncidentRecipients), not to whoever is in the zones now.
+ * An incident can't be lifted until it has `required_samples` clean (coliform
+ * absent) results collected since the last positive one.
+ */
+
+import {
+  getIncidentAlerts,
+  getIncidentSamples,
+  getIncidentDeliveries
+} from '../db/database.js';
+
+export const SAMPLE_RESULTS = ['absent', 'present'];
+
+// Order of timeline events recorded in the same second
+const EVENT_ORDER = ['opened', 'sample', 'notice', 'update', 'retry', 'lifted', 'lift'];
+
+/**
+ * Whether an incident's sampling allows the notice to be lifted
+ * @param {Array} samples - incident_samples rows, any order
+ * @param {number} required - Clean results needed
+ * @returns {{ required, clean, positive, satisfied }} `clean` counts only
+ *   results collected after the latest positive one
+ */
+export function getSamplingStatus(samples, required) {
+  const sorted = [...samples].sort((a, b) => a.collected_at.localeCompare(b.collected_at) || a.id - b.id);
+  const lastPositive = sorted.findLastIndex(s => s.result === 'present');
+  const clean = sorted.slice(lastPositive + 1).filter(s => s.result === 'absent').length;
+
+  return {
+    required,
+    clean,
+    positive: sorted.filter(s => s.result === 'present').length,
+    satisfied: clean >= required
+  };
+}
+
+/**
+ * What an incident alert was, for the timeline
+ * @param {Object} notice - The incident's first boil alert
+ */
+function describeAlert(alert, notice) {
+  if (alert.retry_of) return 'retry';
+  if (alert.type === 'boil_lifted') return 'lift';
+  return alert.id === notice?.id ? 'notice' : 'update';
+}
+
+/**
+ * Everything recorded about an incident, for regulators
+ * @param {Object} incident - Row from getIncidentById
+ * @returns {{ incident, sampling, alerts, samples, deliveries, timeline }}
+ */
+export function buildIncidentExport(incident) {
+  const alerts = getIncidentAlerts(incident.id);
+  const samples = getIncidentSamples(incident.id);
+  const deliveries = getIncidentDeliveries(incident.id);
+
+  const notice = alerts.find(a => a.type === 'boil' && !a.retry_of);
+  const timeline = [
+    { time: incident.opened_at, event: 'opened', detail: incident.reason || incident.title, by: incident.opened_by }
+  ];
+  for (const alert of alerts) {
+    timeline.push({
+      time: alert.created_at,
+      event: describeAlert(alert, notice),
+      detail: alert.message,
+      alert_id: alert.id,
+      recipients: alert.recipient_count,
+      delivered: alert.delivered_count,
+      failed: alert.failed_count
+    });
+  }
+  for (const sample of samples) {
+    timeline.push({
+      time: sample.collected_at,
+      event: 'sample',
+      detail: `${sample.location}: coliform ${sample.result}` +
+        (sample.chlorine_ppm !== null ? `, chlorine ${sample.chlorine_ppm} ppm` : '') +
+        (sample.lab ? ` (${sample.lab})` : ''),
+      by: sample.recorded_by
+    });
+  }
+  if (incident.lifted_at) {
+    timeline.push({ time: incident.lifted_at, event: 'lifted', detail: incident.title, by: incident.lifted_by });
+  }
+  timeline.sort((a, b) =>
+    a.time.localeCompare(b.time) || EVENT_ORDER.indexOf(a.event) - EVENT_ORDER.indexOf(b.event));
+
+  return {
+    incident,
+    sampling: getSamplingStatus(samples, incident.required_samples),
+    alerts,
+    samples,
+    deliveries,
+    timeline
+  };
+}
+
+/**
+ * Quote a CSV field if it needs it
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * An incident export as a CSV timeline (times are UTC)
+ */
+export function incidentExportToCsv({ incident, timeline }) {
+  const header = ['time_utc', 'event', 'detail', 'alert_id', 'recipients', 'delivered', 'failed', 'by'];
+  const rows = timeline.map(e => [
+    e.time, e.event, e.detail, e.alert_id, e.recipients, e.delivered, e.failed, e.by
+  ]);
+  const title = [`# Incident ${incident.id}: ${incident.title}`, `zones: ${incident.zone}`, `status: ${incident.status}`];
+
+  return [title, header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
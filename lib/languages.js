@@ -0,0 +1,92 @@
+/**
+ * Alert Languages
+ * Subscribers pick the language they'd like alerts in (subscribers.language,
+ * English by default). An alert's message (alerts.message) is the English
+ * one; the sender can add a variant per other language (alert_messages).
+ * Each recipient gets their language's variant, or English if the alert has
+ * none — and calls only in the languages text-to-speech can read (lib/voice.js).
+ *
+ * Variants are plain objects keyed by language code, e.g.
+ * { en: 'Boil water...', es: 'Hierva el agua...' }.
+ */
+
+import { getAlertMessages } from '../db/database.js';
+import { validateTemplateBody, renderTemplate } from './templates.js';
+import { VOICE_LANGUAGES } from './voice.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Code → name in that language, as shown on the opt-in page
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  so: 'Soomaali',
+  ar: 'العربية'
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+/**
+ * Whether `code` is a supported language
+ */
+export function isLanguage(code) {
+  return LANGUAGE_CODES.includes(code);
+}
+
+/**
+ * Work out the message variants to save from a request body — `variants`,
+ * { language: text } for languages other than English — with placeholders
+ * filled in from `values` like the main message. Blank ones are dropped.
+ * Returns { variants }, or { error } if one can't be sent as-is.
+ * `allowMissing` leaves unfilled placeholders in place instead (estimates).
+ */
+export function resolveVariants({ variants, values }, { allowMissing = false } = {}) {
+  if (variants === undefined || variants === null) return { variants: {} };
+  if (typeof variants !== 'object' || Array.isArray(variants)) {
+    return { error: 'variants must be an object of { language: message }' };
+  }
+
+  const resolved = {};
+  for (const [language, text] of Object.entries(variants)) {
+    if (!isLanguage(language) || language === DEFAULT_LANGUAGE) {
+      return { error: `variants can be in: ${LANGUAGE_CODES.filter(c => c !== DEFAULT_LANGUAGE).join(', ')}` };
+    }
+    if (text === undefined || text === null || !String(text).trim()) continue;
+
+    const invalid = validateTemplateBody(text);
+    if (invalid) return { error: `${LANGUAGES[language]}: ${invalid}` };
+    const rendered = renderTemplate(text, values);
+    if (rendered.missing.length > 0 && !allowMissing) {
+      return { error: `${LANGUAGES[language]}: fill in ${rendered.missing.map(name => `{{${name}}}`).join(', ')} before sending` };
+    }
+    resolved[language] = rendered.message;
+  }
+  return { variants: resolved };
+}
+
+/**
+ * All of an alert's messages by language, English included
+ * @param {Object} alert - Row from the alerts table
+ */
+export function getAlertVariants(alert) {
+  return { ...getAlertMessages(alert.id), [DEFAULT_LANGUAGE]: alert.message };
+}
+
+/**
+ * The variant for `language`, falling back to English
+ */
+export function pickVariant(variants, language) {
+  return variants[language] ?? variants[DEFAULT_LANGUAGE];
+}
+
+/**
+ * The language a delivery will actually go out in: the subscriber's, if the
+ * alert has that variant (and, for a call, text-to-speech can read it), else English
+ * @param {Object} delivery - { channel, language } (lib/channels.js)
+ * @param {Object} variants - From getAlertVariants
+ */
+export function deliveryLanguage(delivery, variants) {
+  const language = delivery.language && variants[delivery.language] ? delivery.language : DEFAULT_LANGUAGE;
+  if (delivery.channel === 'voice' && !VOICE_LANGUAGES.includes(language)) return DEFAULT_LANGUAGE;
+  return language;
+}
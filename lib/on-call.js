@@ -0,0 +1,47 @@
+/**
+ * On-Call Roster
+ * Works out which operators are on call right now and in what order
+ * alarms escalate through them
+ *
+ * Shifts are stored per operator as { day_of_week, start_time, end_time }
+ * in the server's local time (set TZ). day_of_week is 0 (Sun) – 6 (Sat), or
+ * null for every day; a shift whose end is before its start runs past
+ * midnight. An operator with no shifts is always on call.
+ */
+
+import { getOperators } from '../db/database.js';
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Whether a shift covers the given moment
+ */
+export function shiftCovers(shift, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const start = toMinutes(shift.start_time);
+  const end = toMinutes(shift.end_time);
+
+  if (start <= end) {
+    const dayMatches = shift.day_of_week === null || shift.day_of_week === day;
+    return dayMatches && minutes >= start && minutes < end;
+  }
+
+  // Overnight shift: the evening part is on its own day, the morning part on the next
+  const previousDay = (day + 6) % 7;
+  const eveningMatches = shift.day_of_week === null || shift.day_of_week === day;
+  const morningMatches = shift.day_of_week === null || shift.day_of_week === previousDay;
+  return (eveningMatches && minutes >= start) || (morningMatches && minutes < end);
+}
+
+/**
+ * Active operators on call at `date`, in escalation order (primary first)
+ */
+export function getOnCallChain(date = new Date()) {
+  return getOperators({ activeOnly: true }).filter(op =>
+    op.shifts.length === 0 || op.shifts.some(shift => shiftCovers(shift, date))
+  );
+}
@@ -0,0 +1,90 @@
+/**
+ * SMS Double Opt-In
+ * Signing up on the opt-in page isn't enough to get texts: the subscriber
+ * stays 'pending' and is texted CONFIRMATION_REQUEST, and only becomes
+ * 'active' when they reply YES (api/routes/twilio.js). Signups that don't
+ * get texts (landlines, email only) don't need the reply.
+ *
+ * Every step is recorded in consent_audit — the signup with the form's IP
+ * address and user agent, the confirmation text, the reply, opt-outs, and
+ * expiry — so consent can be shown to Twilio and carriers.
+ *
+ * Pending subscribers who don't reply within OPT_IN_EXPIRY_HOURS are deleted
+ * (their audit entries are kept); they can sign up again.
+ */
+
+import {
+  markConfirmationRequested,
+  expireUnconfirmedSubscribers,
+  logConsent
+} from '../db/database.js';
+import { CONFIRMATION_REQUEST } from './sms-keywords.js';
+import { parseChannels } from './channels.js';
+import { toScheduleTime } from './alert-scheduler.js';
+
+// Hours a pending subscriber has to reply YES before their signup is deleted
+const OPT_IN_EXPIRY_HOURS = parseInt(process.env.OPT_IN_EXPIRY_HOURS) || 72;
+
+// How often to check for expired signups (in ms)
+const OPT_IN_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+let expiryInterval = null;
+
+/**
+ * Whether a subscriber will get texts, and so has to confirm by replying YES
+ * @param {Object} subscriber - { line_type, channels }
+ */
+export function needsConfirmation(subscriber) {
+  return subscriber.line_type !== 'landline' && parseChannels(subscriber.channels).includes('sms');
+}
+
+/**
+ * Where a consent change came from, for consent_audit: { ip, user_agent }
+ */
+export function getRequestOrigin(req) {
+  return { ip: req.ip, user_agent: req.get('User-Agent') };
+}
+
+/**
+ * Text a pending subscriber asking them to reply YES
+ * @param {TwilioService} twilio
+ * @param {Object} subscriber - { id, phone }
+ * @returns {Promise<Object>} sendSMS result
+ */
+export async function requestConfirmation(twilio, subscriber) {
+  markConfirmationRequested(subscriber.id);
+  const result = await twilio.sendSMS(subscriber.phone, CONFIRMATION_REQUEST);
+  logConsent({
+    subscriber_id: subscriber.id,
+    phone: subscriber.phone,
+    event: 'confirmation_requested',
+    source: 'system',
+    detail: result.error ? `Confirmation text failed: ${result.error}` : `Confirmation text ${result.sid}`
+  });
+  return result;
+}
+
+/**
+ * Delete pending signups that weren't confirmed within OPT_IN_EXPIRY_HOURS
+ */
+export function expireUnconfirmed() {
+  try {
+    const before = toScheduleTime(new Date(Date.now() - OPT_IN_EXPIRY_HOURS * 60 * 60 * 1000));
+    const expired = expireUnconfirmedSubscribers(before);
+    if (expired.length > 0) {
+      console.log(`Expired ${expired.length} signup(s) not confirmed within ${OPT_IN_EXPIRY_HOURS} hours`);
+    }
+  } catch (err) {
+    console.error('Error expiring unconfirmed signups:', err.message);
+  }
+}
+
+/**
+ * Expire anything overdue, then check every hour (called by server.js)
+ */
+export function startOptInExpiry() {
+  if (expiryInterval) return;
+  expireUnconfirmed();
+  expiryInterval = setInterval(expireUnconfirmed, OPT_IN_EXPIRY_INTERVAL_MS);
+  console.log('Unconfirmed signup expiry running');
+}
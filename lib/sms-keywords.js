@@ -0,0 +1,37 @@
+/**
+ * SMS Compliance Keywords
+ * Carrier-required opt-out / opt-in / help keywords and their auto-replies,
+ * plus the YES that confirms a signup (lib/opt-in.js), shared by the signup
+ * flow and the inbound webhook (api/routes/twilio.js)
+ */
+
+export const CONFIRMATION_REQUEST = 'BEULAH PARK WATER SYSTEM: Reply YES to confirm you want water service alerts for outages, repairs, and boil water notices. Msg & data rates may apply. Reply HELP for info, STOP to cancel.';
+
+export const OPT_IN_CONFIRMATION = 'BEULAH PARK WATER SYSTEM: You\'re now subscribed to water service alerts. You\'ll be notified of outages, repairs, and boil water notices. Reply STOP to unsubscribe, HELP for info. Msg & data rates may apply.';
+
+export const OPT_OUT_CONFIRMATION = 'BEULAH PARK WATER SYSTEM: You\'re unsubscribed from water service alerts and will receive no further messages. Reply START to resubscribe.';
+
+export const HELP_MESSAGE = 'BEULAH PARK WATER SYSTEM: Water service alerts for outages, repairs, and boil water notices. Call (614) 595-2412 or visit beulahparkws.org. Reply STOP to unsubscribe. Msg & data rates may apply.';
+
+export const NOT_SUBSCRIBED_MESSAGE = 'BEULAH PARK WATER SYSTEM: This number isn\'t signed up for water service alerts. Sign up at optin.beulahparkws.org. Reply HELP for info.';
+
+// Twilio's standard keyword sets, so carriers and Twilio agree on what each means
+const KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+  start: ['START', 'UNSTOP'],
+  help: ['HELP', 'INFO'],
+  confirm: ['YES', 'Y']  // the reply to CONFIRMATION_REQUEST (double opt-in)
+};
+
+/**
+ * Classify an inbound message body as a compliance keyword
+ * Matches the whole message, ignoring case, surrounding whitespace and punctuation
+ * @returns {'stop' | 'start' | 'help' | 'confirm' | null}
+ */
+export function parseKeyword(body) {
+  const word = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  for (const [keyword, words] of Object.entries(KEYWORDS)) {
+    if (words.includes(word)) return keyword;
+  }
+  return null;
+}
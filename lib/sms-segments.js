@@ -0,0 +1,73 @@
+/**
+ * SMS Segment Calculator
+ * Works out how a message will be encoded and split into segments, which is
+ * what carriers bill by (used by TwilioService.estimateCost).
+ *
+ *   - GSM-7: the standard SMS alphabet. 160 characters in one segment, or 153
+ *     per segment once split (the rest carries the concatenation header).
+ *     Characters from the extension table (e.g. € [ ] { } ~ ^ | \) take two.
+ *   - UCS-2: used if any character isn't in GSM-7 — emoji, curly quotes, em
+ *     dashes, etc. 70 UTF-16 code units in one segment, or 67 per segment
+ *     once split; emoji outside the Basic Multilingual Plane take two units.
+ *
+ * A character is never split across segments, so a two-unit character that
+ * doesn't fit at the end of one segment starts the next.
+ */
+
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Sent as an escape plus the character, so each counts as two
+const GSM7_EXTENDED = new Set('\f^{}\\[~]|€');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Characters in a message that aren't in the GSM-7 alphabet (and so force
+ * the whole message into UCS-2), in order of first use
+ */
+export function getNonGsmCharacters(text) {
+  const found = new Set();
+  for (const char of String(text || '')) {
+    if (!GSM7_BASIC.has(char) && !GSM7_EXTENDED.has(char)) found.add(char);
+  }
+  return [...found];
+}
+
+/**
+ * Encoding and segment count for a message
+ * @param {string} text
+ * @returns {{ encoding, units, segments, unitsPerSegment, nonGsmCharacters }}
+ *   `units` is septets (GSM-7) or UTF-16 code units (UCS-2)
+ */
+export function analyzeMessage(text) {
+  const chars = [...String(text || '')];
+  const nonGsmCharacters = getNonGsmCharacters(text);
+  const encoding = nonGsmCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+
+  const sizes = chars.map(char => encoding === 'GSM-7'
+    ? (GSM7_EXTENDED.has(char) ? 2 : 1)
+    : char.length);  // 2 for characters outside the BMP (surrogate pairs)
+  const units = sizes.reduce((sum, size) => sum + size, 0);
+
+  const limit = LIMITS[encoding];
+  if (units <= limit.single) {
+    return { encoding, units, segments: 1, unitsPerSegment: limit.single, nonGsmCharacters };
+  }
+
+  let segments = 1;
+  let used = 0;
+  for (const size of sizes) {
+    if (used + size > limit.multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+  return { encoding, units, segments, unitsPerSegment: limit.multipart, nonGsmCharacters };
+}
@@ -0,0 +1,205 @@
+/**
+ * Public System Status
+ * What residents (and the county) can see without signing up for texts,
+ * built from the alerts and incidents tables for /status.html, the JSON
+ * endpoint, and the Atom feed (api/routes/status.js):
+ *
+ *   - boil notices in effect: open incidents, plus boil alerts sent outside
+ *     an incident that no later lift covers (for up to STANDALONE_BOIL_DAYS)
+ *   - planned outages: outage and repair notices scheduled to go out, and
+ *     those sent in the last STATUS_NOTICE_HOURS
+ *   - all-clears: lifts from the last STATUS_ALL_CLEAR_DAYS
+ *
+ * Only what was already broadcast (or is about to be) is published — never
+ * subscriber, recipient, or operator details.
+ */
+
+import {
+  getIncidents,
+  getIncidentAlerts,
+  getRecentAlerts,
+  getScheduledAlerts
+} from '../db/database.js';
+import { toScheduleTime, fromScheduleTime } from './alert-scheduler.js';
+import { parseAlertZones } from './zones.js';
+
+// How long sent outage/repair notices stay listed (in hours)
+const STATUS_NOTICE_HOURS = parseInt(process.env.STATUS_NOTICE_HOURS) || 48;
+
+// How long lifted notices stay listed as all-clears (in days)
+const STATUS_ALL_CLEAR_DAYS = parseInt(process.env.STATUS_ALL_CLEAR_DAYS) || 7;
+
+// Boil alerts sent outside an incident have no lift of their own to look
+// for; after this many days without a covering lift they drop off
+const STANDALONE_BOIL_DAYS = 30;
+
+const PLANNED_TYPES = ['outage', 'repair'];
+
+/**
+ * SQLite UTC time as ISO 8601
+ */
+function toIso(value) {
+  return value ? fromScheduleTime(value).toISOString() : null;
+}
+
+/**
+ * SQLite UTC time `ms` ago
+ */
+function since(ms) {
+  return toScheduleTime(new Date(Date.now() - ms));
+}
+
+/**
+ * Whether a lift alert covers every zone of a boil alert sent before it
+ */
+function liftCovers(lift, notice) {
+  if (lift.created_at < notice.created_at) return false;
+  const liftZones = parseAlertZones(lift.zone);
+  if (!liftZones) return true;
+  const noticeZones = parseAlertZones(notice.zone);
+  return !!noticeZones && noticeZones.every(zone => liftZones.includes(zone));
+}
+
+/**
+ * Public fields of an alert
+ */
+function publicAlert(alert, kind) {
+  return {
+    id: `alert-${alert.id}`,
+    kind,
+    type: alert.type,
+    message: alert.message,
+    zones: parseAlertZones(alert.zone) || [],
+    published_at: toIso(alert.created_at),
+    // Notices not yet texted out: when they will be
+    scheduled_for: alert.status === 'scheduled' ? toIso(alert.scheduled_at) : null
+  };
+}
+
+/**
+ * An incident's latest boil message (the notice or its last update)
+ */
+function latestIncidentMessage(incident, type) {
+  const alerts = getIncidentAlerts(incident.id).filter(a => a.type === type && !a.retry_of);
+  return alerts[alerts.length - 1];
+}
+
+/**
+ * Current system status
+ * @returns {{ status, updated_at, boil_notices, planned_outages, all_clears }}
+ *   `status` is 'boil_notice', 'planned_outage', or 'normal'
+ */
+export function getSystemStatus() {
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const boilNotices = getIncidents({ status: 'open' }).map(incident => {
+    const latest = latestIncidentMessage(incident, 'boil');
+    return {
+      id: `incident-${incident.id}`,
+      kind: 'boil_notice',
+      type: 'boil',
+      title: incident.title,
+      reason: incident.reason,
+      message: latest?.message || null,
+      zones: parseAlertZones(incident.zone) || [],
+      published_at: toIso(incident.opened_at),
+      updated_at: toIso(latest?.created_at || incident.opened_at)
+    };
+  });
+
+  // Boil notices sent from the Send Alert panel rather than as an incident
+  const standalone = getRecentAlerts({ types: ['boil', 'boil_lifted'], since: since(STANDALONE_BOIL_DAYS * dayMs) })
+    .filter(a => !a.incident_id);
+  const standaloneLifts = standalone.filter(a => a.type === 'boil_lifted');
+  for (const notice of standalone.filter(a => a.type === 'boil')) {
+    if (!standaloneLifts.some(lift => liftCovers(lift, notice))) {
+      boilNotices.push({ ...publicAlert(notice, 'boil_notice'), updated_at: toIso(notice.created_at) });
+    }
+  }
+
+  const plannedOutages = [
+    ...getScheduledAlerts().filter(a => PLANNED_TYPES.includes(a.type) && !a.reminder_of),
+    ...getRecentAlerts({ types: PLANNED_TYPES, since: since(STATUS_NOTICE_HOURS * 60 * 60 * 1000) })
+  ].map(a => publicAlert(a, 'planned_outage'));
+
+  const allClearSince = since(STATUS_ALL_CLEAR_DAYS * dayMs);
+  const allClears = [
+    ...getIncidents({ status: 'lifted' })
+      .filter(incident => incident.lifted_at >= allClearSince)
+      .map(incident => ({
+        id: `incident-${incident.id}`,
+        kind: 'all_clear',
+        type: 'boil_lifted',
+        title: incident.title,
+        message: latestIncidentMessage(incident, 'boil_lifted')?.message || null,
+        zones: parseAlertZones(incident.zone) || [],
+        published_at: toIso(incident.lifted_at)
+      })),
+    ...standaloneLifts
+      .filter(a => a.created_at >= allClearSince)
+      .map(a => publicAlert(a, 'all_clear'))
+  ].sort((a, b) => b.published_at.localeCompare(a.published_at));
+
+  return {
+    status: boilNotices.length > 0 ? 'boil_notice' : plannedOutages.length > 0 ? 'planned_outage' : 'normal',
+    updated_at: new Date().toISOString(),
+    boil_notices: boilNotices,
+    planned_outages: plannedOutages,
+    all_clears: allClears
+  };
+}
+
+/**
+ * Escape text for XML
+ */
+function xmlEscape(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const ENTRY_TITLES = {
+  boil: 'Boil water notice',
+  boil_lifted: 'Boil water notice lifted',
+  outage: 'Service outage',
+  repair: 'Water main repair'
+};
+
+/**
+ * Status as an Atom feed, one entry per notice
+ * @param {Object} status - From getSystemStatus()
+ * @param {Object} links - { self } feed URL and { page } status page URL
+ */
+export function statusToAtom(status, { self, page }) {
+  const entries = [...status.boil_notices, ...status.planned_outages, ...status.all_clears]
+    .sort((a, b) => b.published_at.localeCompare(a.published_at));
+  const feedUpdated = entries.map(e => e.updated_at || e.published_at).sort().pop() || status.updated_at;
+
+  const xmlEntries = entries.map(entry => {
+    const zones = entry.zones.length ? ` (${entry.zones.join(', ')})` : '';
+    const title = `${ENTRY_TITLES[entry.type]}${entry.scheduled_for ? ' (scheduled)' : ''}${zones}${entry.title ? `: ${entry.title}` : ''}`;
+    return `  <entry>
+    <id>${xmlEscape(`${page}#${entry.id}`)}</id>
+    <title>${xmlEscape(title)}</title>
+    <link href="${xmlEscape(`${page}#${entry.id}`)}"/>
+    <published>${entry.published_at}</published>
+    <updated>${entry.updated_at || entry.published_at}</updated>
+    <category term="${entry.kind}"/>
+    <content type="text">${xmlEscape(entry.message || entry.reason || '')}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xmlEscape(self)}</id>
+  <title>Beulah Park Water System — Service Status</title>
+  <link rel="self" href="${xmlEscape(self)}"/>
+  <link rel="alternate" type="text/html" href="${xmlEscape(page)}"/>
+  <author><name>Beulah Park Water System</name></author>
+  <updated>${feedUpdated}</updated>
+${xmlEntries.join('\n')}
+</feed>
+`;
+}
@@ -0,0 +1,80 @@
+/**
+ * Tank Flow Metrics
+ * Derives fill/draw rates and hours of storage remaining from the
+ * tank_readings history, for "how long until we're dry?" during an outage
+ */
+
+import { getTankReadings } from '../db/database.js';
+import { tankCalibration, depthToVolume } from './tanks.js';
+
+// Rolling window of readings used to fit the rate (in minutes)
+const FLOW_WINDOW_MINUTES = parseInt(process.env.FLOW_WINDOW_MINUTES) || 60;
+
+// Readings must span at least this long for a rate to mean anything (in minutes)
+const MIN_SPAN_MINUTES = 15;
+
+// Net rates smaller than this are sensor noise, not flow (gallons/hour)
+const STEADY_THRESHOLD_GPH = 5;
+
+/**
+ * Least-squares slope of y over x
+ */
+function slope(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) ** 2;
+  }
+  return den === 0 ? 0 : num / den;
+}
+
+/**
+ * Calculate flow metrics for a registered tank from its recent readings
+ * Returns null when the tank has no sensor, no calibration, or too little history
+ * @param {Object} tank - Row from the tanks table
+ * @param {number} [currentGallons] - Latest gallons (defaults to the newest stored reading)
+ * @returns {{ netRateGph, fillRateGph, drawRateGph, trend, hoursRemaining, windowMinutes, sampleCount } | null}
+ */
+export function calculateFlowMetrics(tank, currentGallons) {
+  if (!tank.sensor_id) return null;
+
+  const cal = tankCalibration(tank);
+  const to = new Date();
+  const from = new Date(to.getTime() - FLOW_WINDOW_MINUTES * 60 * 1000);
+
+  const points = getTankReadings(tank.sensor_id, { from: from.toISOString(), to: to.toISOString() })
+    .map(r => ({
+      x: new Date(r.recorded_at).getTime() / (60 * 60 * 1000),  // hours
+      y: depthToVolume(r.depth_cm, cal).gallons
+    }))
+    .filter(p => p.y !== null);
+
+  if (points.length < 2) return null;
+
+  const spanMinutes = (points[points.length - 1].x - points[0].x) * 60;
+  if (spanMinutes < MIN_SPAN_MINUTES) return null;
+
+  const net = slope(points);
+  let trend = 'steady';
+  if (net >= STEADY_THRESHOLD_GPH) trend = 'filling';
+  else if (net <= -STEADY_THRESHOLD_GPH) trend = 'draining';
+
+  const fillRate = trend === 'filling' ? net : 0;
+  const drawRate = trend === 'draining' ? -net : 0;
+  const gallonsNow = currentGallons ?? points[points.length - 1].y;
+
+  return {
+    netRateGph: Math.round(net),
+    fillRateGph: Math.round(fillRate),
+    drawRateGph: Math.round(drawRate),
+    trend,
+    hoursRemaining: drawRate > 0 ? Math.round((gallonsNow / drawRate) * 10) / 10 : null,
+    windowMinutes: FLOW_WINDOW_MINUTES,
+    sampleCount: points.length
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Tank Calibration Helpers
+ * Converts sensor depth readings into percentage full and gallons
+ * using a tank's row from the SQLite registry (see /api/tanks)
+ *
+ * Conversion, in order of preference:
+ *   1. Strapping table — measured depth → gallons points, linearly interpolated
+ *   2. Geometry — vertical cylinder / rectangular (linear in depth) or
+ *      horizontal cylinder (circular segment), scaled by full height
+ */
+
+import { getStrappingPoints } from '../db/database.js';
+
+export const TANK_GEOMETRIES = ['vertical_cylinder', 'horizontal_cylinder', 'rectangular'];
+
+/**
+ * Build a calibration from a tank registry row
+ * @returns {{ heightCm, capacityGal, geometry, strapping }}
+ */
+export function tankCalibration(tank) {
+  return {
+    heightCm: tank.height_cm,
+    capacityGal: tank.capacity_gal,
+    geometry: tank.geometry || 'vertical_cylinder',
+    strapping: getStrappingPoints(tank.id)
+  };
+}
+
+/**
+ * Fraction of a tank's volume filled at depth/height (0–1) for a geometry
+ */
+export function fillFraction(geometry, ratio) {
+  const r = Math.min(Math.max(ratio, 0), 1);
+
+  if (geometry === 'horizontal_cylinder') {
+    // Circular segment area / circle area, with θ the central angle of the wetted arc
+    const theta = 2 * Math.acos(1 - 2 * r);
+    return (theta - Math.sin(theta)) / (2 * Math.PI);
+  }
+
+  // Vertical cylinders and rectangular tanks have a constant cross-section
+  return r;
+}
+
+/**
+ * Work out a tank's full height from a reference reading: the depth (cm)
+ * measured when the tank was known to be at `fraction` (0–1] of capacity
+ * Inverts fillFraction by bisection, so it works for any geometry
+ */
+export function heightFromReference(geometry, depthCm, fraction) {
+  if (fraction >= 1) return depthCm;
+
+  // Find the depth/height ratio whose fill fraction matches the reference
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (fillFraction(geometry, mid) < fraction) lo = mid;
+    else hi = mid;
+  }
+
+  return depthCm / ((lo + hi) / 2);
+}
+
+/**
+ * Look up gallons for a depth in a strapping table, interpolating between
+ * points. Depths outside the table clamp to its first/last entry.
+ */
+export function interpolateStrapping(points, depth) {
+  if (depth <= points[0].depth_cm) return points[0].gallons;
+
+  for (let i = 1; i < points.length; i++) {
+    const lo = points[i - 1];
+    const hi = points[i];
+    if (depth <= hi.depth_cm) {
+      const t = (depth - lo.depth_cm) / (hi.depth_cm - lo.depth_cm);
+      return lo.gallons + t * (hi.gallons - lo.gallons);
+    }
+  }
+
+  return points[points.length - 1].gallons;
+}
+
+/**
+ * Convert a depth (cm) to percentage full and gallons
+ * Percentage is capped at 100%; both are null when depth is unknown
+ * or the tank has neither a strapping table nor a full height yet
+ * @returns {{ percentage, gallons }}
+ */
+export function depthToVolume(depth, cal) {
+  if (depth === null || depth === undefined || !cal) {
+    return { percentage: null, gallons: null };
+  }
+
+  let exactGallons;
+  if (cal.strapping?.length >= 2) {
+    exactGallons = interpolateStrapping(cal.strapping, depth);
+  } else if (cal.heightCm) {
+    // Past the calibrated height, keep scaling linearly so an overfull
+    // reading still shows more gallons than capacity (percentage is capped)
+    const ratio = depth / cal.heightCm;
+    exactGallons = ratio > 1
+      ? ratio * cal.capacityGal
+      : fillFraction(cal.geometry, ratio) * cal.capacityGal;
+  } else {
+    return { percentage: null, gallons: null };
+  }
+
+  let percentage = Math.round((exactGallons / cal.capacityGal) * 100);
+  const gallons = Math.round(exactGallons);
+
+  // Ensure percentage doesn't exceed 100%
+  if (percentage > 100) percentage = 100;
+
+  return { percentage, gallons };
+}
@@ -0,0 +1,99 @@
+/**
+ * Alert Message Templates
+ * Placeholder rendering for alert text. Templates are stored in the
+ * alert_templates table (managed at /api/alerts/templates); any message sent
+ * through api/routes/alerts.js or api/routes/incidents.js is rendered here
+ * before it's sent or costed.
+ *
+ * Placeholders are written {{name}} — lowercase letters, digits and
+ * underscores, e.g. {{start_time}}, {{area}}, {{contact_phone}}. A few have
+ * defaults (see getPlaceholderDefaults); the rest must be filled in per send.
+ */
+
+import { getAlertTemplateById } from '../db/database.js';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Values used when a send doesn't fill a placeholder in
+ */
+export function getPlaceholderDefaults() {
+  return {
+    contact_phone: process.env.CONTACT_PHONE || '(614) 595-2412'
+  };
+}
+
+/**
+ * Names of the placeholders in a message, in order of first use
+ */
+export function getPlaceholders(text) {
+  const names = [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Check a template body for braces that aren't a valid placeholder
+ * Returns an error message, or null if valid
+ */
+export function validateTemplateBody(text) {
+  const leftover = String(text || '').replace(PLACEHOLDER_PATTERN, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    return 'Placeholders must look like {{name}} (lowercase letters, digits, and underscores)';
+  }
+  return null;
+}
+
+/**
+ * Fill in a message's placeholders
+ * Unfilled placeholders are left in the text and listed in `missing`.
+ * @param {string} text - Template body or message
+ * @param {Object} [values] - { placeholder: value }; blank values count as unfilled
+ * @returns {{ message, missing }}
+ */
+export function renderTemplate(text, values = {}) {
+  const filled = { ...getPlaceholderDefaults() };
+  for (const [name, value] of Object.entries(values || {})) {
+    if (value !== undefined && value !== null && String(value).trim()) {
+      filled[name] = String(value).trim();
+    }
+  }
+
+  const missing = new Set();
+  const message = String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (filled[name] === undefined) {
+      missing.add(name);
+      return match;
+    }
+    return filled[name];
+  });
+
+  return { message, missing: [...missing] };
+}
+
+/**
+ * Work out the text to send from a request body — `message`, or the body of
+ * template `template_id` — with its placeholders filled in from `values`
+ * Returns { message, template }, or { error } if it can't be sent as-is
+ */
+export function resolveMessage({ message, template_id, values }) {
+  let text = message;
+  let template = null;
+
+  if (!text && template_id) {
+    template = getAlertTemplateById(template_id);
+    if (!template) return { error: 'Template not found' };
+    text = template.body;
+  }
+  if (!text || !String(text).trim()) {
+    return { error: 'Message is required' };
+  }
+
+  const invalid = validateTemplateBody(text);
+  if (invalid) return { error: invalid };
+
+  const rendered = renderTemplate(text, values);
+  if (rendered.missing.length > 0) {
+    return { error: `Fill in ${rendered.missing.map(name => `{{${name}}}`).join(', ')} before sending` };
+  }
+  return { message: rendered.message, template };
+}
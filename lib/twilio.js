@@ -1,9 +1,12 @@
 /**
  * Twilio SMS Service
- * Handles sending single and bulk SMS messages
+ * Handles sending single and bulk SMS messages, placing voice calls (for
+ * landline subscribers — see lib/voice.js), and verifying that inbound
+ * webhooks really came from Twilio
  */
 
 import Twilio from 'twilio';
+import { analyzeMessage } from './sms-segments.js';
 
 class TwilioService {
   constructor(accountSid, authToken, fromNumber) {
@@ -13,91 +16,264 @@ class TwilioService {
 
   /**
    * Send a single SMS message
-   * Returns { sid, status } on success or { error } on failure
+   * Returns { sid, status } on success or { error, code } on failure
+   * @param {Object} [options]
+   * @param {string} [options.statusCallback] - URL Twilio posts delivery status updates to
    */
-  async sendSMS(toNumber, body) {
+  async sendSMS(toNumber, body, { statusCallback } = {}) {
     try {
       const message = await this.client.messages.create({
         body,
         from: this.fromNumber,
-        to: toNumber
+        to: toNumber,
+        ...(statusCallback && { statusCallback })
       });
       return { sid: message.sid, status: message.status };
     } catch (error) {
       console.error(`SMS send failed to ${toNumber}:`, error.message);
-      return { error: error.message, status: 'failed' };
+      return { error: error.message, code: error.code ? String(error.code) : null, status: 'failed' };
     }
   }
 
   /**
    * Send SMS to multiple recipients sequentially
    * Twilio standard accounts allow ~1 msg/sec
-   * @param {Array} recipients - Array of { id, phone } objects
-   * @param {string} body - Message text
-   * @param {Function} onProgress - Callback with { sent, delivered, failed, total }
-   * @returns {Array} results - Array of { subscriber_id, phone, sid, status, error }
+   * @param {Array} recipients - Array of { id, phone, language } objects
+   * @param {string|Object} body - Message text, or text by language ({ en, es, ... }) —
+   *   each recipient gets their language's, falling back to English (see lib/languages.js)
+   * @param {Function} onProgress - Callback with { sent, delivered, failed, total, result } after each message
+   * @param {Object} [options] - { statusCallback } passed to each sendSMS, and
+   *   { signal } (AbortSignal) to stop before the next message — the results so far are returned
+   * @returns {Array} results - Array of { subscriber_id, phone, twilio_sid, status, error_code, error_message }
    */
-  async sendBulk(recipients, body, onProgress) {
-    const results = [];
-    let delivered = 0;
-    let failed = 0;
-
-    for (let i = 0; i < recipients.length; i++) {
-      const { id, phone } = recipients[i];
-      const result = await this.sendSMS(phone, body);
-
-      if (result.error) {
-        failed++;
-        results.push({
-          subscriber_id: id,
-          phone,
-          twilio_sid: null,
-          status: 'failed',
-          error_message: result.error
-        });
-      } else {
-        delivered++;
-        results.push({
-          subscriber_id: id,
-          phone,
-          twilio_sid: result.sid,
-          status: 'sent',
-          error_message: null
-        });
-      }
-
-      if (onProgress) {
-        onProgress({ sent: i + 1, delivered, failed, total: recipients.length });
-      }
-
-      // Small delay between messages to respect rate limits
-      if (i < recipients.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1100));
-      }
+  async sendBulk(recipients, body, onProgress, { signal, ...options } = {}) {
+    return sendSequentially(recipients, ({ phone, language }) =>
+      this.sendSMS(phone, forLanguage(body, language), options), onProgress, signal);
+  }
+
+  /**
+   * Place a voice call that plays TwiML
+   * Answering machines are detected (AnsweredBy in the status callback), and
+   * the message starts after the greeting so voicemail gets all of it.
+   * Returns { sid, status } on success or { error, code } on failure
+   * @param {Object} [options]
+   * @param {string} [options.statusCallback] - URL Twilio posts the call's outcome to
+   */
+  async makeCall(toNumber, twiml, { statusCallback } = {}) {
+    try {
+      const call = await this.client.calls.create({
+        twiml,
+        from: this.fromNumber,
+        to: toNumber,
+        machineDetection: 'DetectMessageEnd',
+        ...(statusCallback && { statusCallback, statusCallbackEvent: ['completed'] })
+      });
+      return { sid: call.sid, status: call.status };
+    } catch (error) {
+      console.error(`Call failed to ${toNumber}:`, error.message);
+      return { error: error.message, code: error.code ? String(error.code) : null, status: 'failed' };
     }
+  }
 
-    return results;
+  /**
+   * Call multiple recipients sequentially, at the same pace as sendBulk
+   * A placed call is recorded as 'sent'; its outcome arrives on the status callback.
+   * @param {Array} recipients - Array of { id, phone, language } objects
+   * @param {string|Object} twiml - What to say, see lib/voice.js; or TwiML by language, as in sendBulk
+   * @param {Function} onProgress - Callback with { sent, delivered, failed, total, result } after each call
+   * @param {Object} [options] - { statusCallback } passed to each makeCall, and { signal } as in sendBulk
+   * @returns {Array} results - Same shape as sendBulk
+   */
+  async callBulk(recipients, twiml, onProgress, { signal, ...options } = {}) {
+    return sendSequentially(recipients, async ({ phone, language }) => {
+      const result = await this.makeCall(phone, forLanguage(twiml, language), options);
+      return result.error ? result : { ...result, status: 'sent' };
+    }, onProgress, signal);
   }
 
   /**
    * Estimate cost for sending an SMS to N recipients
    * Standard Twilio rate: ~$0.0079 per SMS segment
-   * @param {number} messageLength - Character count of the message
+   * Segments depend on the encoding (GSM-7 or UCS-2) — see lib/sms-segments.js
+   * @param {string} message - The message text, as it will be sent
    * @param {number} recipientCount - Number of recipients
-   * @returns {{ segments, costPerRecipient, totalCost }}
+   * @returns {{ segments, encoding, costPerRecipient, totalCost }}
    */
-  static estimateCost(messageLength, recipientCount) {
+  static estimateCost(message, recipientCount) {
     const COST_PER_SEGMENT = 0.0079;
-    const segments = Math.ceil(messageLength / 160) || 1;
+    const { segments, encoding } = analyzeMessage(message);
     const costPerRecipient = segments * COST_PER_SEGMENT;
     const totalCost = costPerRecipient * recipientCount;
 
     return {
       segments,
+      encoding,
       costPerRecipient: Math.round(costPerRecipient * 10000) / 10000,
       totalCost: Math.round(totalCost * 100) / 100
     };
   }
+
+  /**
+   * Estimate cost for calling N recipients with a spoken message
+   * Standard Twilio rate: ~$0.014 per minute (or part) of an outbound call.
+   * The call reads a short introduction and the message twice (see lib/voice.js),
+   * at about 150 words a minute.
+   * @param {string} message - The alert text
+   * @param {number} callCount - Number of calls
+   * @returns {{ minutes, costPerCall, totalCost }}
+   */
+  static estimateCallCost(message, callCount) {
+    const COST_PER_MINUTE = 0.014;
+    const WORDS_PER_MINUTE = 150;
+    const words = String(message || '').split(/\s+/).filter(Boolean).length;
+    const minutes = Math.max(1, Math.ceil((words * 2 + 20) / WORDS_PER_MINUTE));
+    const costPerCall = minutes * COST_PER_MINUTE;
+
+    return {
+      minutes,
+      costPerCall: Math.round(costPerCall * 10000) / 10000,
+      totalCost: Math.round(costPerCall * callCount * 100) / 100
+    };
+  }
+}
+
+/**
+ * A recipient's content: the same for everyone (a string), or their
+ * language's from { en, es, ... }, falling back to English
+ */
+function forLanguage(content, language) {
+  if (typeof content === 'string') return content;
+  return content[language] ?? content.en;
+}
+
+/**
+ * Send to each recipient in turn, ~1 per second (Twilio standard accounts allow
+ * ~1 msg/sec), stopping before the next one if `signal` is aborted
+ * @param {Function} send - Called with each recipient; resolves to { sid, status } or { error, code }
+ */
+async function sendSequentially(recipients, send, onProgress, signal) {
+  const results = [];
+  let delivered = 0;
+  let failed = 0;
+
+  for (let i = 0; i < recipients.length; i++) {
+    if (signal?.aborted) break;
+
+    const { id, phone } = recipients[i];
+    const result = await send(recipients[i]);
+
+    let entry;
+    if (result.error) {
+      failed++;
+      entry = {
+        subscriber_id: id,
+        phone,
+        twilio_sid: null,
+        status: 'failed',
+        error_code: result.code,
+        error_message: result.error
+      };
+    } else {
+      delivered++;
+      entry = {
+        subscriber_id: id,
+        phone,
+        twilio_sid: result.sid,
+        status: toLogStatus(result.status),
+        error_code: null,
+        error_message: null
+      };
+    }
+    results.push(entry);
+
+    if (onProgress) {
+      onProgress({ sent: i + 1, delivered, failed, total: recipients.length, result: entry });
+    }
+
+    // Small delay between messages to respect rate limits (cut short on abort)
+    if (i < recipients.length - 1) {
+      await new Promise(resolve => {
+        const timer = setTimeout(done, 1100);
+        function done() {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        }
+        signal?.addEventListener('abort', done);
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Map a Twilio message status onto the alert_log statuses
+ * (queued → sent → delivered | undelivered | failed)
+ */
+export function toLogStatus(twilioStatus) {
+  switch (twilioStatus) {
+    case 'accepted':
+    case 'scheduled':
+    case 'queued':
+      return 'queued';
+    case 'sending':
+    case 'sent':
+      return 'sent';
+    case 'delivered':
+    case 'read':
+      return 'delivered';
+    case 'undelivered':
+      return 'undelivered';
+    default:
+      return 'failed';
+  }
+}
+
+/**
+ * Twilio error codes that won't succeed on a resend: invalid number (21211),
+ * recipient replied STOP (21610), not a mobile number (21614), unknown or
+ * landline destination (30005, 30006)
+ */
+export const NON_RETRYABLE_ERROR_CODES = ['21211', '21610', '21614', '30005', '30006'];
+
+/**
+ * URL for Twilio delivery status callbacks, or undefined when PUBLIC_BASE_URL
+ * isn't set (messages still send, but stay 'queued' in the delivery log)
+ */
+export function getStatusCallbackUrl() {
+  const base = process.env.PUBLIC_BASE_URL;
+  return base ? `${base.replace(/\/+$/, '')}/api/twilio/status` : undefined;
+}
+
+/**
+ * URL for voice call status callbacks, or undefined when PUBLIC_BASE_URL isn't
+ * set — calls are then not placed at all (see isChannelConfigured in lib/channels.js)
+ */
+export function getVoiceStatusCallbackUrl() {
+  const base = process.env.PUBLIC_BASE_URL;
+  return base ? `${base.replace(/\/+$/, '')}/api/twilio/voice-status` : undefined;
+}
+
+/**
+ * Express middleware: reject webhook requests without a valid X-Twilio-Signature.
+ * The signature covers the full public URL, so this relies on `trust proxy`
+ * for the https scheme behind Fly.io.
+ */
+export function validateTwilioSignature(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return res.status(503).send('Twilio not configured');
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  if (!signature || !Twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`Rejected Twilio webhook with invalid signature: ${url}`);
+    return res.status(403).send('Invalid signature');
+  }
+  next();
 }
 
 export default TwilioService;
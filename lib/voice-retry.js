@@ -0,0 +1,103 @@
+/**
+ * Automatic Call Retries
+ * A boil water notice that doesn't get through by phone has to be tried
+ * again — an elderly resident on a landline may simply be out. Calls that
+ * went unanswered or were busy are placed again VOICE_RETRY_MINUTES later,
+ * up to VOICE_MAX_ATTEMPTS calls per subscriber per alert. Calls answered
+ * by a person or left on voicemail are done; failed calls (e.g. a number
+ * that isn't in service) aren't retried.
+ *
+ * Each round of retries is a new alert linked by `retry_of` to the original,
+ * with `voice_retry` set so it doesn't count against the operator's manual
+ * retries (POST /api/alerts/:id/retry, which handles texts and email). A
+ * boil notice whose incident has been lifted isn't retried — the lift is
+ * called out instead.
+ */
+
+import {
+  getUnansweredCalls,
+  getAlertById,
+  getAlertMessages,
+  getIncidentById,
+  createAlert
+} from '../db/database.js';
+import { broadcastDeliveries } from './broadcast-queue.js';
+import { estimateDeliveryCost } from './channels.js';
+import { getAlertVariants } from './languages.js';
+import { toScheduleTime } from './alert-scheduler.js';
+
+// Minutes to wait after an unanswered call before calling again
+const VOICE_RETRY_MINUTES = parseInt(process.env.VOICE_RETRY_MINUTES) || 30;
+
+// Maximum calls per subscriber per alert (the first call included)
+const VOICE_MAX_ATTEMPTS = parseInt(process.env.VOICE_MAX_ATTEMPTS) || 3;
+
+// Calls older than this aren't retried, e.g. after a long outage of the server (in hours)
+const VOICE_RETRY_WINDOW_HOURS = 24;
+
+// How often to check for calls to retry (in ms)
+const VOICE_RETRY_INTERVAL_MS = 60 * 1000;
+
+let retryInterval = null;
+
+/**
+ * Whether an alert is still worth calling about
+ */
+function isStillCurrent(alert) {
+  if (!alert || alert.status === 'cancelled') return false;
+  if (alert.type === 'boil' && alert.incident_id) {
+    return getIncidentById(alert.incident_id)?.status === 'open';
+  }
+  return true;
+}
+
+/**
+ * Call again every subscriber whose latest call about an alert went unanswered
+ */
+export function retryUnansweredCalls() {
+  const now = Date.now();
+  const calls = getUnansweredCalls({
+    before: toScheduleTime(new Date(now - VOICE_RETRY_MINUTES * 60 * 1000)),
+    since: toScheduleTime(new Date(now - VOICE_RETRY_WINDOW_HOURS * 60 * 60 * 1000))
+  }).filter(call => call.attempts < VOICE_MAX_ATTEMPTS);
+
+  const byAlert = new Map();
+  for (const call of calls) {
+    if (!byAlert.has(call.alert_id)) byAlert.set(call.alert_id, []);
+    byAlert.get(call.alert_id).push(call);
+  }
+
+  for (const [alertId, unanswered] of byAlert) {
+    try {
+      const original = getAlertById(alertId);
+      if (!isStillCurrent(original)) continue;
+
+      const deliveries = unanswered.map(call =>
+        ({ id: call.subscriber_id, channel: 'voice', phone: call.phone, email: null, language: call.language }));
+      const retry = createAlert({
+        type: original.type,
+        message: original.message,
+        variants: getAlertMessages(original.id),
+        zone: original.zone,
+        recipient_count: deliveries.length,
+        cost_estimate: estimateDeliveryCost(getAlertVariants(original), deliveries).totalCost,
+        retry_of: original.id,
+        incident_id: original.incident_id,
+        voice_retry: true
+      });
+      broadcastDeliveries(retry, deliveries);
+      console.log(`📞 Alert ${original.id}: calling ${deliveries.length} unanswered subscribers again (alert ${retry.id})`);
+    } catch (err) {
+      console.error(`Error retrying calls for alert ${alertId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Check for unanswered calls every minute (called by server.js)
+ */
+export function startVoiceRetries() {
+  if (retryInterval) return;
+  retryInterval = setInterval(retryUnansweredCalls, VOICE_RETRY_INTERVAL_MS);
+  console.log('Voice call retry checker running');
+}
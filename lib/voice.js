@@ -0,0 +1,108 @@
+/**
+ * Voice Alerts
+ * Boil water notices (and their lifts) reach landline subscribers as an
+ * automated phone call (TwilioService.makeCall): text-to-speech of the alert,
+ * read twice so a resident who picks up late still hears all of it. Calls are
+ * in English or Spanish (VOICE_LANGUAGES), with the alert's variant for the
+ * subscriber's language where there is one (lib/languages.js).
+ *
+ * Twilio posts each call's outcome to /api/twilio/voice-status, recorded in
+ * alert_log.call_outcome: answered by a person, left on voicemail, no answer,
+ * busy, or failed. Unanswered and busy calls are tried again automatically
+ * (lib/voice-retry.js).
+ */
+
+import Twilio from 'twilio';
+import { getPlaceholderDefaults } from './templates.js';
+
+// What each call says around the alert, in each language text-to-speech reads
+const SCRIPTS = {
+  en: {
+    say: { voice: 'Polly.Joanna', language: 'en-US' },
+    intros: {
+      boil: 'This is an important boil water notice from the Beulah Park Water System.',
+      boil_lifted: 'This is the Beulah Park Water System. The boil water notice has been lifted.'
+    },
+    intro: 'This is an important message from the Beulah Park Water System.',
+    again: 'Here is that message again.',
+    closing: phone => `If you have questions, please call ${phone}. Goodbye.`
+  },
+  es: {
+    say: { voice: 'Polly.Lupe', language: 'es-US' },
+    intros: {
+      boil: 'Este es un aviso importante de hervir el agua del Sistema de Agua de Beulah Park.',
+      boil_lifted: 'Le habla el Sistema de Agua de Beulah Park. Se ha levantado el aviso de hervir el agua.'
+    },
+    intro: 'Este es un mensaje importante del Sistema de Agua de Beulah Park.',
+    again: 'Repetimos el mensaje.',
+    closing: phone => `Si tiene preguntas, llame al ${phone}. Adiós.`
+  }
+};
+
+// Languages a call can be made in; other subscribers are called in English
+export const VOICE_LANGUAGES = Object.keys(SCRIPTS);
+
+/**
+ * Alert text as it should be spoken: no SMS opt-out line, emoji, or URLs
+ */
+function toSpokenText(message) {
+  return message
+    .replace(/\s*Reply STOP to unsubscribe\.?/i, '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * TwiML for an alert call: an introduction, the message, and the message again
+ * @param {Object} alert - Row from the alerts table
+ * @param {string} [language] - One of VOICE_LANGUAGES (English by default)
+ * @param {string} [text] - The message to read, if not the alert's own (e.g. a translation)
+ * @returns {string} TwiML document
+ */
+export function buildVoiceTwiml(alert, language = 'en', text = alert.message) {
+  const { contact_phone } = getPlaceholderDefaults();
+  const script = SCRIPTS[language] || SCRIPTS.en;
+  const message = toSpokenText(text);
+  const { say } = script;
+
+  const response = new Twilio.twiml.VoiceResponse();
+  response.pause({ length: 1 });
+  response.say(say, script.intros[alert.type] || script.intro);
+  response.pause({ length: 1 });
+  response.say(say, message);
+  response.pause({ length: 1 });
+  response.say(say, script.again);
+  response.say(say, message);
+  response.say(say, script.closing(contact_phone));
+  return response.toString();
+}
+
+/**
+ * Map a voice status callback onto an alert_log status and call outcome
+ * A call picked up by an answering machine counts as delivered — the message
+ * was left in full (machine detection waits for the end of the greeting).
+ * @param {string} callStatus - CallStatus, e.g. 'completed', 'no-answer'
+ * @param {string} [answeredBy] - AnsweredBy, e.g. 'human', 'machine_end_beep'
+ * @returns {{ status, call_outcome }}
+ */
+export function toCallOutcome(callStatus, answeredBy) {
+  switch (callStatus) {
+    case 'completed':
+      if (answeredBy === 'fax') return { status: 'failed', call_outcome: 'failed' };
+      if (answeredBy?.startsWith('machine')) return { status: 'delivered', call_outcome: 'voicemail' };
+      return { status: 'delivered', call_outcome: 'answered' };
+    case 'no-answer':
+      return { status: 'undelivered', call_outcome: 'no_answer' };
+    case 'busy':
+      return { status: 'undelivered', call_outcome: 'busy' };
+    case 'queued':
+    case 'initiated':
+    case 'ringing':
+    case 'in-progress':
+      return { status: 'sent', call_outcome: null };
+    default:
+      return { status: 'failed', call_outcome: 'failed' };
+  }
+}
@@ -6,6 +6,8 @@
  * - Offline detection: logs when a sensor stops reporting
  * - Online detection: logs when a sensor comes back
  * - Event history: saves all state changes to a JSON log
+ * - Reading history: every depth/battery/temperature reading stored in SQLite
+ * - Alarm rules: tank level and sensor offline rules evaluated (see lib/alarms.js)
  * - Token auto-refresh every 90 minutes
  * - Hub status tracking
  *
@@ -14,6 +16,9 @@
  *   public/data/sensor-events.json    - Full event log with offline/online/stale history
  *   public/data/sensor-timeline.json  - Hourly status buckets (7-day rolling window)
  *
+ * Tables written:
+ *   tank_readings                     - Full reading history (pruned after READING_RETENTION_DAYS)
+ *
  * Run standalone: node lib/yolink-mqtt.js
  * Or imported by server.js via startMQTT()
  */
@@ -23,6 +28,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { initDatabase, getDb, getTankBySensorId, insertTankReading, pruneTankReadings } from '../db/database.js';
+import { tankCalibration, depthToVolume } from './tanks.js';
+import { evaluateMetric } from './alarms.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,18 +54,18 @@ const MAX_EVENT_LOG_SIZE = 500;
 // Token refresh interval (YoLink tokens expire after ~2 hours)
 const TOKEN_REFRESH_MS = 90 * 60 * 1000; // 90 minutes
 
+// How long to keep rows in the tank_readings table (in days)
+const READING_RETENTION_DAYS = parseInt(process.env.READING_RETENTION_DAYS) || 365;
+
+// How often to prune old readings (in ms)
+const READING_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily
+
 // File paths
 const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
 const READINGS_FILE = path.join(DATA_DIR, 'tank-readings.json');
 const EVENTS_FILE = path.join(DATA_DIR, 'sensor-events.json');
 const TIMELINE_FILE = path.join(DATA_DIR, 'sensor-timeline.json');
 
-// Known tank sensors (for naming)
-const TANK_DEVICES = {
-  'd88b4c010009063b': { name: 'Tank 2 - Distribution', capacity: 6000 },
-  'd88b4c01000bf5ee': { name: 'Tank 3 - Distribution', capacity: 5000 }
-};
-
 // MQTT broker config
 const BROKER_URL = 'mqtt://api.yosmart.com';
 const BROKER_PORT = 8003;
@@ -78,6 +86,7 @@ const sensorStatus = {};    // { deviceId: 'online' | 'stale' | 'offline' }
 let offlineCheckInterval = null;
 let tokenRefreshInterval = null;
 let heartbeatInterval = null;
+let pruneInterval = null;
 
 // Message counter for diagnostics
 let messageCount = 0;
@@ -263,6 +272,35 @@ function formatDuration(ms) {
   return `${seconds}s`;
 }
 
+// ─── Reading History ────────────────────────────────────────────────────────
+
+function saveReadingHistory(reading) {
+  try {
+    insertTankReading({
+      device_id: reading.deviceId,
+      depth_cm: reading.levelUnit === 'cm' ? reading.level : null,
+      battery: reading.battery,
+      temperature: reading.temperature,
+      percentage: reading.percentage,
+      source: 'mqtt',
+      recorded_at: reading.timestamp
+    });
+  } catch (err) {
+    console.error('Error saving reading history:', err.message);
+  }
+}
+
+function pruneReadingHistory() {
+  try {
+    const removed = pruneTankReadings(READING_RETENTION_DAYS);
+    if (removed > 0) {
+      console.log(`🧹 Pruned ${removed} tank readings older than ${READING_RETENTION_DAYS} days`);
+    }
+  } catch (err) {
+    console.error('Error pruning reading history:', err.message);
+  }
+}
+
 // ─── Offline Detection ───────────────────────────────────────────────────────
 
 function checkForOfflineSensors() {
@@ -326,6 +364,12 @@ function checkForOfflineSensors() {
 
     // Update timeline for this sensor
     updateTimeline(deviceId, sensorStatus[deviceId] || 'unknown');
+
+    // Page operators if a tank sensor has been silent past the offline rule
+    if (getTankBySensorId(deviceId)) {
+      evaluateMetric('sensor_offline', deviceId, timeSinceLastMessage / 60000)
+        .catch(err => console.error('Error evaluating offline alarms:', err.message));
+    }
   }
 }
 
@@ -341,8 +385,8 @@ function processMessage(topic, payload) {
 
     if (!deviceId) return;
 
-    // Get device name from config or message
-    const knownDevice = TANK_DEVICES[deviceId];
+    // Get device name from the tank registry or message
+    const knownDevice = getTankBySensorId(deviceId);
     const deviceName = knownDevice?.name || data.data?.name || sensorLastSeen[deviceId]?.name || deviceId;
     const deviceEvent = data.event || '';
 
@@ -386,7 +430,7 @@ function processMessage(topic, payload) {
       const reading = {
         deviceId,
         name: deviceName,
-        capacity: knownDevice?.capacity,
+        capacity: knownDevice?.capacity_gal,
         timestamp: new Date().toISOString(),
         status: 'online',
         raw: data
@@ -421,11 +465,22 @@ function processMessage(topic, payload) {
         reading.percentage = sensorData.percent;
       }
 
-      // Save to tank-readings.json
+      // Save latest snapshot to tank-readings.json
       const readings = loadJsonFile(READINGS_FILE, {});
       readings[deviceId] = reading;
       saveJsonFile(READINGS_FILE, readings);
 
+      // Append to the reading history table
+      saveReadingHistory(reading);
+
+      // Evaluate alarm rules: the sensor is reporting, and its level may have crossed a threshold
+      if (knownDevice) {
+        const { percentage } = depthToVolume(reading.level, tankCalibration(knownDevice));
+        evaluateMetric('sensor_offline', deviceId, 0)
+          .then(() => evaluateMetric('tank_level', deviceId, percentage))
+          .catch(err => console.error('Error evaluating tank alarms:', err.message));
+      }
+
       console.log(`📏 ${deviceName}: depth=${reading.level}cm battery=${reading.battery}%`);
     }
 
@@ -469,6 +524,11 @@ async function connect() {
 
   ensureDataDir();
 
+  // Reading history lives in SQLite — open it if server.js hasn't already
+  if (!getDb()) {
+    initDatabase();
+  }
+
   // Log startup event
   logEvent('system', null, null, { message: 'MQTT listener started' });
 
@@ -552,6 +612,11 @@ async function connect() {
   offlineCheckInterval = setInterval(checkForOfflineSensors, OFFLINE_CHECK_INTERVAL_MS);
   console.log(`Offline checker running every ${formatDuration(OFFLINE_CHECK_INTERVAL_MS)}`);
 
+  // Retention: prune old reading history now and once a day
+  pruneReadingHistory();
+  pruneInterval = setInterval(pruneReadingHistory, READING_PRUNE_INTERVAL_MS);
+  console.log(`Reading history retention: ${READING_RETENTION_DAYS} days`);
+
   // Heartbeat: log connection status every 30 minutes for diagnostics
   heartbeatInterval = setInterval(() => {
     const connected = client.connected;
@@ -586,6 +651,7 @@ async function connect() {
       clearInterval(offlineCheckInterval);
       clearInterval(tokenRefreshInterval);
       clearInterval(heartbeatInterval);
+      clearInterval(pruneInterval);
       client.end();
       process.exit(0);
     };
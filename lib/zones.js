@@ -0,0 +1,185 @@
+/**
+ * Service Zones
+ * Named parts of the distribution system (e.g. "Hilltop"), each with an
+ * optional boundary drawn on the map in alerts.html and stored as a GeoJSON
+ * Polygon or MultiPolygon in the zones table.
+ *
+ * Subscribers are placed in a zone by their service address: the address is
+ * geocoded to a latitude/longitude, and the subscriber goes in the first zone
+ * (by name) whose boundary contains it; anyone outside every boundary (or
+ * without a location) is unassigned — zone 'all'. Subscribers placed this way
+ * are re-placed whenever a boundary changes. A zone set by hand
+ * (subscribers.zone_manual) stays put until the subscriber's address changes
+ * or they're put back to placement by address.
+ *
+ * Geocoding sends the address (nothing else) to GEOCODER_URL, e.g. the free
+ * US Census Bureau geocoder. It's off unless GEOCODER_URL is set.
+ *
+ * Alerts target zones by name: alerts.zone is 'all' or a comma-separated list.
+ */
+
+import fetch from 'node-fetch';
+import { getZones, getZoneById, getLocatedSubscribers, setSubscriberZones } from '../db/database.js';
+
+const GEOCODER_TIMEOUT_MS = 5000;
+
+const BOUNDARY_TYPES = ['Polygon', 'MultiPolygon'];
+
+/**
+ * Parse a zone boundary from a request: a GeoJSON Polygon or MultiPolygon
+ * geometry, a Feature wrapping one, or either as a JSON string. null clears it.
+ * @returns {{ boundary }} geometry as a JSON string (or null), or {{ error }}
+ */
+export function parseBoundary(value) {
+  if (value === null || value === '') return { boundary: null };
+
+  let geometry = value;
+  if (typeof value === 'string') {
+    try {
+      geometry = JSON.parse(value);
+    } catch {
+      return { error: 'Boundary must be GeoJSON' };
+    }
+  }
+  if (geometry?.type === 'Feature') geometry = geometry.geometry;
+
+  if (!geometry || !BOUNDARY_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return { error: 'Boundary must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return { error: 'Each polygon needs at least one ring' };
+    }
+    for (const ring of rings) {
+      const valid = Array.isArray(ring) && ring.length >= 4 && ring.every(point =>
+        Array.isArray(point) &&
+        Number.isFinite(point[0]) && Math.abs(point[0]) <= 180 &&
+        Number.isFinite(point[1]) && Math.abs(point[1]) <= 90
+      );
+      if (!valid) {
+        return { error: 'Each ring needs at least four [longitude, latitude] points' };
+      }
+    }
+  }
+
+  return { boundary: JSON.stringify({ type: geometry.type, coordinates: geometry.coordinates }) };
+}
+
+/**
+ * Whether a point is inside a ring (ray casting; points on an edge may go either way)
+ */
+function inRing(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point is inside a GeoJSON Polygon/MultiPolygon (holes excluded)
+ */
+export function boundaryContains(geometry, lat, lng) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(([outer, ...holes]) =>
+    inRing(outer, lng, lat) && !holes.some(hole => inRing(hole, lng, lat))
+  );
+}
+
+/**
+ * Name of the zone containing a location, or 'all' if none does
+ * @param {Array} [zones] - Rows from getZones(); looked up if omitted
+ */
+export function findZoneForLocation(lat, lng, zones = getZones()) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return 'all';
+  const zone = zones.find(z => z.boundary && boundaryContains(JSON.parse(z.boundary), lat, lng));
+  return zone ? zone.name : 'all';
+}
+
+/**
+ * Look up a service address's location
+ * @returns {Promise<{ latitude, longitude } | null>} null if not found or geocoding is off
+ */
+export async function geocodeAddress(address) {
+  const geocoderUrl = process.env.GEOCODER_URL;
+  if (!geocoderUrl || !address?.trim()) return null;
+
+  try {
+    const url = `${geocoderUrl}?${new URLSearchParams({
+      address: address.trim(),
+      benchmark: 'Public_AR_Current',
+      format: 'json'
+    })}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(GEOCODER_TIMEOUT_MS) });
+    if (!response.ok) {
+      console.error(`Geocoding failed (${response.status}) for "${address}"`);
+      return null;
+    }
+    const data = await response.json();
+    const match = data.result?.addressMatches?.[0];
+    if (!match) return null;
+    return { latitude: match.coordinates.y, longitude: match.coordinates.x };
+  } catch (err) {
+    console.error(`Geocoding error for "${address}":`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Re-place every subscriber with a known location whose zone wasn't set by
+ * hand (after a boundary changes)
+ * @returns {number} how many subscribers changed zone
+ */
+export function reassignSubscriberZones() {
+  const zones = getZones();
+  const changes = getLocatedSubscribers()
+    .map(sub => ({ id: sub.id, from: sub.zone, zone: findZoneForLocation(sub.latitude, sub.longitude, zones) }))
+    .filter(a => a.zone !== a.from);
+
+  if (changes.length > 0) {
+    setSubscriberZones(changes);
+    console.log(`🗺 Reassigned ${changes.length} subscribers to new zones`);
+  }
+  return changes.length;
+}
+
+/**
+ * Zone names an alert targets, or undefined for every zone
+ * @param {string} zone - alerts.zone: 'all' or e.g. 'Hilltop,Riverside'
+ */
+export function parseAlertZones(zone) {
+  if (!zone || zone === 'all') return undefined;
+  return zone.split(',');
+}
+
+/**
+ * alerts.zone value for a list of zone names
+ */
+export function formatAlertZones(names) {
+  return names?.length ? names.join(',') : 'all';
+}
+
+/**
+ * Look up the zones an alert targets from a request's `zones` (zone IDs)
+ * Returns { zones } — zone names, or undefined for every zone — or { error }
+ */
+export function resolveZones(ids) {
+  if (ids === undefined || ids === null || ids === 'all') return { zones: undefined };
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'zones must be a list of zone IDs (leave it out to send to every zone)' };
+  }
+
+  const zones = [];
+  for (const id of ids) {
+    const zone = getZoneById(id);
+    if (!zone) return { error: `Zone ${id} not found` };
+    if (!zones.includes(zone.name)) zones.push(zone.name);
+  }
+  return { zones };
+}
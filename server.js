@@ -17,8 +17,20 @@ import { requireAuth, redirectIfAuthenticated } from './lib/auth.js';
 import alertRoutes from './api/routes/alerts.js';
 import subscriberRoutes from './api/routes/subscribers.js';
 import sensorRoutes from './api/routes/sensors.js';
+import tankRoutes from './api/routes/tanks.js';
+import alarmRoutes from './api/routes/alarms.js';
+import operatorRoutes from './api/routes/operators.js';
+import zoneRoutes from './api/routes/zones.js';
+import incidentRoutes from './api/routes/incidents.js';
+import statusRoutes from './api/routes/status.js';
+import twilioRoutes from './api/routes/twilio.js';
 import refreshData from './api/refresh-data.js';
 import { startMQTT } from './lib/yolink-mqtt.js';
+import { startEscalationChecker } from './lib/alarms.js';
+import { startBroadcastWorker } from './lib/broadcast-queue.js';
+import { startAlertScheduler } from './lib/alert-scheduler.js';
+import { startVoiceRetries } from './lib/voice-retry.js';
+import { startOptInExpiry } from './lib/opt-in.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,11 +79,19 @@ app.use((req, res, next) => {
   if (req.hostname === 'optin.beulahparkws.org') {
     // Allow the subscriber API (needed for the opt-in form POST)
     if (req.path.startsWith('/api/subscribers')) return next();
+    // Allow Twilio webhooks (signature-checked inside the router)
+    if (req.path.startsWith('/api/twilio')) return next();
+    // Allow the public status API and feed
+    if (req.path.startsWith('/api/status')) return next();
     // Allow static assets (CSS, JS, images, data files)
     if (req.path.match(/\.(css|js|png|jpg|svg|ico|json|woff2?)$/)) return next();
     // Allow privacy and terms pages
     if (req.path === '/privacy.html') return res.sendFile(path.join(__dirname, 'public', 'privacy.html'));
     if (req.path === '/terms.html') return res.sendFile(path.join(__dirname, 'public', 'terms.html'));
+    // Allow the public status page
+    if (req.path === '/status' || req.path === '/status.html') {
+      return res.sendFile(path.join(__dirname, 'public', 'status.html'));
+    }
     // Everything else → serve opt-in page
     return res.sendFile(path.join(__dirname, 'public', 'opt-in.html'));
   }
@@ -133,13 +153,20 @@ app.get('/sensor-health.html', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'sensor-health.html'));
 });
 
-// ── Static files (CSS, JS, images, opt-in, privacy, terms, data) ──
+// ── Static files (CSS, JS, images, opt-in, privacy, terms, status, data) ──
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ── Protected API routes ──
 app.use('/api/alerts', requireAuth, alertRoutes);
 app.use('/api/subscribers', subscriberRoutes);  // mixed auth handled inside router
+app.use('/api/twilio', twilioRoutes);  // public, Twilio signature required
+app.use('/api/status', statusRoutes);  // public
 app.use('/api/sensors', requireAuth, sensorRoutes);
+app.use('/api/tanks', requireAuth, tankRoutes);
+app.use('/api/alarms', requireAuth, alarmRoutes);
+app.use('/api/operators', requireAuth, operatorRoutes);
+app.use('/api/zones', requireAuth, zoneRoutes);
+app.use('/api/incidents', requireAuth, incidentRoutes);
 
 app.get('/api/refresh', requireAuth, async (req, res) => {
   try {
@@ -158,6 +185,21 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('Starting MQTT tank listener...');
   startMQTT().catch(err => console.error('MQTT startup failed:', err.message));
 
+  // Escalate unacknowledged operator alarms up the on-call chain
+  startEscalationChecker();
+
+  // Resume any alert broadcasts interrupted by a restart
+  startBroadcastWorker();
+
+  // Send scheduled alerts when they come due (including any missed while down)
+  startAlertScheduler();
+
+  // Call landline subscribers again when a boil notice call goes unanswered
+  startVoiceRetries();
+
+  // Delete signups that were never confirmed with a YES reply
+  startOptInExpiry();
+
   // Run initial data refresh on startup (with short delay to let MQTT connect)
   setTimeout(() => {
     console.log('Running initial data refresh...');
@@ -0,0 +1,158 @@
+/**
+ * Scheduled alerts, their reminders, and their translations (POST/PUT /api/alerts/scheduled),
+ * and when recurring alerts repeat (lib/alert-scheduler.js)
+ */
+
+import { cleanup, startServer } from './helpers.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import { toScheduleTime, nextOccurrence } from '../lib/alert-scheduler.js';
+import alertRoutes from '../api/routes/alerts.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// "Now" for these tests, on the minute, so times compare exactly
+const NOW = Math.floor(Date.now() / 60000) * 60000;
+
+let server;
+
+/**
+ * An ISO time `hours` from NOW
+ */
+function hoursFromNow(hours) {
+  return new Date(NOW + hours * HOUR).toISOString();
+}
+
+/**
+ * Schedule an outage notice with a reminder at the start time
+ */
+async function scheduleWithReminder(alertAt, reminderAt) {
+  const res = await server.request('POST', '/api/alerts/scheduled', {
+    type: 'outage',
+    message: 'Water off on Elm St tomorrow 9am-noon',
+    scheduled_at: alertAt,
+    reminder_at: reminderAt,
+    reminder_message: 'Water is off on Elm St now until noon'
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+before(async () => {
+  db.initDatabase();
+  server = await startServer({ '/api/alerts': alertRoutes });
+});
+
+after(async () => {
+  await server.close();
+  cleanup();
+});
+
+describe('moving a scheduled alert', () => {
+  it('moves its reminder by the same amount', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(36));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.id}`, { scheduled_at: hoursFromNow(48) });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.scheduled_at, toScheduleTime(hoursFromNow(48)));
+    assert.equal(res.body.reminder.id, alert.reminder.id);
+    assert.equal(res.body.reminder.scheduled_at, toScheduleTime(hoursFromNow(60)));
+    assert.equal(db.getAlertById(alert.reminder.id).scheduled_at, toScheduleTime(hoursFromNow(60)));
+  });
+
+  it('moves the reminder earlier too', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(26));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.id}`, { scheduled_at: hoursFromNow(3) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reminder.scheduled_at, toScheduleTime(hoursFromNow(5)));
+  });
+
+  it('leaves the reminder alone when the time does not change', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(25));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.id}`, { message: 'Water off on Elm St, 9am-1pm' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reminder.scheduled_at, alert.reminder.scheduled_at);
+  });
+
+  it('does not move a reminder that was cancelled', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(25));
+    db.getDb().prepare("UPDATE alerts SET status = 'cancelled' WHERE id = ?").run(alert.reminder.id);
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.id}`, { scheduled_at: hoursFromNow(30) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reminder, null);
+    assert.equal(db.getAlertById(alert.reminder.id).scheduled_at, alert.reminder.scheduled_at);
+  });
+});
+
+describe('moving a reminder', () => {
+  it('rejects a time before its alert', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(25));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.reminder.id}`, { scheduled_at: hoursFromNow(23) });
+    assert.equal(res.status, 400);
+    assert.equal(db.getAlertById(alert.reminder.id).scheduled_at, alert.reminder.scheduled_at);
+  });
+
+  it('accepts a later time', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(25));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.reminder.id}`, { scheduled_at: hoursFromNow(27) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.scheduled_at, toScheduleTime(hoursFromNow(27)));
+    assert.equal(db.getAlertById(alert.id).scheduled_at, alert.scheduled_at);
+  });
+});
+
+describe('changing translations', () => {
+  it('replaces the variants of a scheduled alert', async () => {
+    const alert = await scheduleWithReminder(hoursFromNow(24), hoursFromNow(25));
+
+    const res = await server.request('PUT', `/api/alerts/scheduled/${alert.id}`, {
+      variants: { es: 'Sin agua en Elm St mañana de 9am a mediodía' }
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.variants, { es: 'Sin agua en Elm St mañana de 9am a mediodía' });
+    assert.equal(res.body.message, alert.message);
+  });
+
+  it('leaves the variants of an alert that is no longer scheduled alone', () => {
+    const alert = db.createAlert({
+      type: 'outage',
+      message: 'Water off on Elm St now',
+      variants: { es: 'Sin agua en Elm St ahora' },
+      status: 'completed'
+    });
+
+    const result = db.updateScheduledAlert(alert.id, { variants: { es: 'Cambiado' } });
+    assert.equal(result.changes, 0);
+    assert.deepEqual(db.getAlertMessages(alert.id), { es: 'Sin agua en Elm St ahora' });
+  });
+});
+
+describe('nextOccurrence', () => {
+  const tz = process.env.TZ;
+  after(() => {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  });
+
+  it('repeats a day or a week later', () => {
+    process.env.TZ = 'UTC';
+    assert.equal(nextOccurrence('2026-06-02 21:00:00', 'daily'), '2026-06-03 21:00:00');
+    assert.equal(nextOccurrence('2026-06-02 21:00:00', 'weekly'), '2026-06-09 21:00:00');
+    assert.equal(nextOccurrence('2026-12-31 09:30:00', 'daily'), '2027-01-01 09:30:00');
+  });
+
+  it('keeps the same local time across daylight saving changes', () => {
+    process.env.TZ = 'America/New_York';
+    // 9am EST, then 9am EDT after clocks go forward on March 8, 2026
+    assert.equal(nextOccurrence('2026-03-07 14:00:00', 'daily'), '2026-03-08 13:00:00');
+    assert.equal(nextOccurrence('2026-03-05 14:00:00', 'weekly'), '2026-03-12 13:00:00');
+    // And back on November 1
+    assert.equal(nextOccurrence('2026-10-31 13:00:00', 'daily'), '2026-11-01 14:00:00');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Background alert broadcasts (lib/broadcast-queue.js): sending, progress over
+ * Server-Sent Events, pause/resume/cancel, and retry backoff. Texts go through
+ * a stubbed TwilioService.sendSMS, so nothing leaves the machine.
+ */
+
+import { cleanup, startServer, waitFor } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import TwilioService from '../lib/twilio.js';
+import { CHANNEL_NOT_CONFIGURED } from '../lib/channels.js';
+import { enqueueBroadcast, getBroadcastState } from '../lib/broadcast-queue.js';
+import alertRoutes from '../api/routes/alerts.js';
+
+const PHONES = ['+16145550001', '+16145550002', '+16145550003'];
+
+// Numbers the stub fails to send to, and a hook run before each send
+const failing = new Set();
+let beforeSend = null;
+const sent = [];
+
+TwilioService.prototype.sendSMS = async function (to, body) {
+  if (beforeSend) await beforeSend(to);
+  sent.push({ to, body });
+  if (failing.has(to)) {
+    return { error: 'Carrier rejected the message', code: '30003', status: 'failed' };
+  }
+  return { sid: `SM${String(sent.length).padStart(32, '0')}`, status: 'sent' };
+};
+
+let server;
+
+function setTwilioEnv() {
+  process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+  process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  process.env.TWILIO_PHONE_NUMBER = '+16145550000';
+}
+
+/**
+ * Send a repair alert to every subscriber and return its ID
+ */
+async function sendAlert(message = 'Water main repair on Oak St until 3pm') {
+  const res = await server.request('POST', '/api/alerts/send', { type: 'repair', message });
+  assert.equal(res.status, 202, JSON.stringify(res.body));
+  return res.body.alert_id;
+}
+
+function finished(alertId) {
+  const state = getBroadcastState(alertId);
+  return ['completed', 'failed', 'cancelled'].includes(state.status) && state;
+}
+
+/**
+ * A promise the stub can wait on, and the function that releases it
+ */
+function gate() {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, release };
+}
+
+before(async () => {
+  setTwilioEnv();
+  db.initDatabase();
+  for (const [i, phone] of PHONES.entries()) {
+    db.createSubscriber({ name: `Resident ${i + 1}`, phone, status: 'active' });
+  }
+  server = await startServer({ '/api/alerts': alertRoutes });
+});
+
+after(async () => {
+  await server.close();
+  cleanup();
+});
+
+beforeEach(() => {
+  setTwilioEnv();
+  failing.clear();
+  beforeSend = null;
+  sent.length = 0;
+});
+
+describe('sending', () => {
+  it('sends to every recipient and records each result', async () => {
+    failing.add(PHONES[2]);
+    const alertId = await sendAlert();
+    const state = await waitFor(() => finished(alertId));
+
+    assert.equal(state.status, 'completed');
+    assert.deepEqual(sent.map(s => s.to), PHONES);
+    assert.equal(state.total, 3);
+    assert.equal(state.sent, 3);
+    assert.equal(state.failed, 1);
+
+    const log = db.getDeliveryLog(alertId);
+    assert.deepEqual(log.map(row => row.status).sort(), ['failed', 'sent', 'sent']);
+    assert.equal(log.find(row => row.phone === PHONES[2]).error_code, '30003');
+    assert.equal(db.getAlertById(alertId).failed_count, 1);
+  });
+
+  it('fails deliveries on a channel that is no longer configured, and keeps the queue moving', async () => {
+    const alert = db.createAlert({ type: 'repair', message: 'Queued before Twilio was removed' });
+    const deliveries = PHONES.map((phone, i) => ({ id: i + 1, channel: 'sms', phone, email: null, language: 'en' }));
+
+    delete process.env.TWILIO_ACCOUNT_SID;
+    enqueueBroadcast(alert, deliveries);
+    const state = await waitFor(() => finished(alert.id));
+
+    assert.equal(state.failed, 3);
+    assert.equal(sent.length, 0);
+    for (const row of db.getDeliveryLog(alert.id)) {
+      assert.equal(row.status, 'failed');
+      assert.equal(row.error_message, CHANNEL_NOT_CONFIGURED.sms);
+    }
+
+    // Once Twilio is configured again, the next broadcast goes out
+    setTwilioEnv();
+    const next = await sendAlert('Configured again');
+    assert.equal((await waitFor(() => finished(next))).status, 'completed');
+    assert.equal(sent.length, 3);
+  });
+});
+
+describe('progress stream', () => {
+  it('streams progress until the broadcast finishes', async () => {
+    const alertId = await sendAlert();
+    const res = await fetch(`${server.baseUrl}/api/alerts/${alertId}/progress`);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+    // The stream ends by itself once the broadcast is done
+    const events = (await res.text())
+      .split('\n\n')
+      .filter(chunk => chunk.startsWith('data: '))
+      .map(chunk => JSON.parse(chunk.slice('data: '.length)));
+
+    const last = events[events.length - 1];
+    assert.equal(last.status, 'completed');
+    assert.equal(last.sent, 3);
+    assert.equal(last.total, 3);
+    for (let i = 1; i < events.length; i++) {
+      assert.ok(events[i].sent >= events[i - 1].sent);
+    }
+  });
+
+  it('returns 404 for an unknown alert', async () => {
+    const res = await server.request('GET', '/api/alerts/9999/progress');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('pause, resume, and cancel', () => {
+  it('pauses after the message in flight and resumes where it left off', async () => {
+    const firstSend = gate();
+    const paused = gate();
+    beforeSend = async () => {
+      beforeSend = null;
+      firstSend.release();
+      await paused.promise;
+    };
+
+    const alertId = await sendAlert();
+    await firstSend.promise;
+    let res = await server.request('POST', `/api/alerts/${alertId}/pause`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'paused');
+    paused.release();
+
+    await waitFor(() => db.getBroadcastJobByAlertId(alertId).status === 'paused' &&
+      getBroadcastState(alertId).sent === 1);
+    assert.equal(sent.length, 1);
+
+    res = await server.request('POST', `/api/alerts/${alertId}/pause`);
+    assert.equal(res.status, 409);
+
+    res = await server.request('POST', `/api/alerts/${alertId}/resume`);
+    assert.equal(res.status, 200);
+    const state = await waitFor(() => finished(alertId));
+    assert.equal(state.status, 'completed');
+    assert.deepEqual(sent.map(s => s.to), PHONES);
+  });
+
+  it('cancels, skipping the recipients not yet sent to', async () => {
+    const firstSend = gate();
+    const cancelled = gate();
+    beforeSend = async () => {
+      beforeSend = null;
+      firstSend.release();
+      await cancelled.promise;
+    };
+
+    const alertId = await sendAlert();
+    await firstSend.promise;
+    const res = await server.request('POST', `/api/alerts/${alertId}/cancel`);
+    assert.equal(res.status, 200);
+    cancelled.release();
+
+    const state = await waitFor(() => finished(alertId));
+    assert.equal(state.status, 'cancelled');
+    assert.equal(state.sent, 1);
+    assert.equal(state.skipped, 2);
+    assert.equal(sent.length, 1);
+
+    const again = await server.request('POST', `/api/alerts/${alertId}/cancel`);
+    assert.equal(again.status, 409);
+  });
+});
+
+describe('retry', () => {
+  /**
+   * Make an alert's last attempt look like it finished `minutes` ago
+   */
+  function finishedMinutesAgo(alertId, minutes) {
+    db.getDb().prepare(`
+      UPDATE broadcast_jobs SET finished_at = datetime('now', ?) WHERE alert_id = ?
+    `).run(`-${minutes} minutes`, alertId);
+  }
+
+  it('waits longer before each retry and resends only to failed recipients', async () => {
+    failing.add(PHONES[1]);
+    const alertId = await sendAlert();
+    await waitFor(() => finished(alertId));
+
+    // 10 minutes after the first attempt (RETRY_BACKOFF_MINUTES)
+    let res = await server.request('POST', `/api/alerts/${alertId}/retry`);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 9 * 60);
+    assert.ok(Number(res.headers.get('retry-after')) <= 10 * 60);
+
+    finishedMinutesAgo(alertId, 11);
+    sent.length = 0;
+    res = await server.request('POST', `/api/alerts/${alertId}/retry`);
+    assert.equal(res.status, 202);
+    assert.equal(res.body.attempt, 1);
+    assert.equal(res.body.recipient_count, 1);
+    const retryId = res.body.alert_id;
+    await waitFor(() => finished(retryId));
+    assert.deepEqual(sent.map(s => s.to), [PHONES[1]]);
+    assert.equal(db.getAlertById(retryId).retry_of, alertId);
+
+    // Then 20 minutes after the retry
+    finishedMinutesAgo(retryId, 11);
+    res = await server.request('POST', `/api/alerts/${alertId}/retry`);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 8 * 60);
+    assert.ok(Number(res.headers.get('retry-after')) <= 9 * 60);
+
+    // Nothing left to retry once the resend gets through
+    failing.clear();
+    finishedMinutesAgo(retryId, 21);
+    res = await server.request('POST', `/api/alerts/${alertId}/retry`);
+    assert.equal(res.status, 202);
+    await waitFor(() => finished(res.body.alert_id));
+    finishedMinutesAgo(res.body.alert_id, 41);
+    res = await server.request('POST', `/api/alerts/${alertId}/retry`);
+    assert.equal(res.status, 409);
+  });
+});
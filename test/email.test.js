@@ -0,0 +1,168 @@
+/**
+ * Email alerts end to end: POST /api/alerts/send through the broadcast worker
+ * and lib/email.js to a minimal SMTP server on a local port, which accepts
+ * every recipient except those in `rejected`. Texts go through a stubbed
+ * TwilioService.sendSMS.
+ */
+
+import { cleanup, startServer, waitFor } from './helpers.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import * as db from '../db/database.js';
+import TwilioService from '../lib/twilio.js';
+import { getBroadcastState } from '../lib/broadcast-queue.js';
+import alertRoutes from '../api/routes/alerts.js';
+
+TwilioService.prototype.sendSMS = async function () {
+  return { sid: 'SM00000000000000000000000000000001', status: 'sent' };
+};
+
+// Messages the SMTP server accepted: { from, to: [...], data }
+const received = [];
+const rejected = new Set(['moved@example.com']);
+
+/**
+ * Just enough SMTP for nodemailer: no STARTTLS or AUTH, and a 550 for
+ * rejected recipients
+ */
+function startSmtpServer() {
+  const smtp = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost test SMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            received.push(message);
+            reply('250 OK queued');
+          } else {
+            message.data += `${line.replace(/^\./, '')}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)[1], to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const to = line.match(/<(.*)>/)[1];
+          if (rejected.has(to)) {
+            reply('550 5.1.1 Mailbox unavailable');
+          } else {
+            message.to.push(to);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => smtp.listen(0, '127.0.0.1', () => resolve(smtp)));
+}
+
+let server;
+let smtp;
+const subscribers = {};
+
+before(async () => {
+  smtp = await startSmtpServer();
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.address().port);
+  process.env.EMAIL_FROM = 'alerts@beulahparkwater.example';
+  process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+  process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  process.env.TWILIO_PHONE_NUMBER = '+16145550000';
+
+  db.initDatabase();
+  subscribers.emailOnly = db.createSubscriber({
+    name: 'Email only', phone: '+16145550001', email: 'resident@example.com', channels: 'email', status: 'active'
+  }).id;
+  subscribers.both = db.createSubscriber({
+    name: 'Text and email', phone: '+16145550002', email: 'both@example.com', channels: 'sms,email', status: 'active'
+  }).id;
+  subscribers.moved = db.createSubscriber({
+    name: 'Moved away', phone: '+16145550003', email: 'moved@example.com', channels: 'email', status: 'active'
+  }).id;
+  server = await startServer({ '/api/alerts': alertRoutes });
+});
+
+after(async () => {
+  await server.close();
+  await new Promise(resolve => smtp.close(resolve));
+  cleanup();
+});
+
+describe('email alerts', () => {
+  let alertId;
+
+  it('sends an email to each subscriber on the email channel', async () => {
+    const res = await server.request('POST', '/api/alerts/send', {
+      type: 'repair',
+      message: 'Water main repair on Oak St until 3pm. Reply STOP to unsubscribe.'
+    });
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    assert.deepEqual(res.body.channels, { sms: 1, email: 3, voice: 0 });
+    alertId = res.body.alert_id;
+    await waitFor(() => ['completed', 'failed'].includes(getBroadcastState(alertId).status));
+
+    assert.deepEqual(received.map(m => m.to).flat().sort(), ['both@example.com', 'resident@example.com']);
+    for (const message of received) {
+      assert.equal(message.from, 'alerts@beulahparkwater.example');
+      assert.match(message.data, /^Subject: Beulah Park Water System: Water main repair/m);
+      assert.match(message.data, /Water main repair on Oak St until 3pm\./);
+      assert.doesNotMatch(message.data, /Reply STOP/);
+    }
+  });
+
+  it('logs email deliveries on the email channel', () => {
+    const log = db.getDeliveryLog(alertId);
+    const emails = log.filter(row => row.channel === 'email');
+    assert.equal(emails.length, 3);
+
+    const bySubscriber = Object.fromEntries(emails.map(row => [row.subscriber_id, row]));
+    assert.equal(bySubscriber[subscribers.emailOnly].status, 'delivered');
+    assert.equal(bySubscriber[subscribers.emailOnly].email, 'resident@example.com');
+    assert.equal(bySubscriber[subscribers.both].status, 'delivered');
+
+    const texts = log.filter(row => row.channel === 'sms');
+    assert.equal(texts.length, 1);
+    assert.equal(texts[0].subscriber_id, subscribers.both);
+  });
+
+  it('records a recipient the SMTP server rejected as failed', () => {
+    const row = db.getDeliveryLog(alertId)
+      .find(r => r.channel === 'email' && r.subscriber_id === subscribers.moved);
+    assert.equal(row.status, 'failed');
+    assert.equal(row.error_code, '550');
+    assert.match(row.error_message, /Mailbox unavailable/);
+  });
+
+  it('breaks email out in the delivery stats', async () => {
+    const res = await server.request('GET', `/api/alerts/${alertId}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.channels.email, { total: 3, delivered: 2, failed: 1, skipped: 0 });
+    assert.equal(res.body.channels.sms.total, 1);
+    assert.equal(res.body.channels.sms.failed, 0);
+  });
+});
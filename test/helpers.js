@@ -0,0 +1,89 @@
+/**
+ * Shared test setup
+ * Import this before anything that opens the database: it points DB_PATH at
+ * a throwaway directory, removed by cleanup(). Each test file runs in its own
+ * process (node --test), so each gets its own database.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+export const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bpws-test-'));
+
+process.env.DB_PATH = path.join(TEST_DIR, 'alerts.db');
+
+// The app logs every send to stdout, which node --test also reads its results
+// from — keep it quiet unless TEST_LOGS is set (errors still go to stderr)
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+}
+
+/**
+ * Remove the test database
+ */
+export function cleanup() {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Serve routers on a local port, signed in as a staff user like server.js would
+ * (`user: null` for a visitor who isn't logged in)
+ * @param {Object} mounts - { '/api/alerts': router, ... }
+ * @returns {Promise<{ baseUrl, request, close }>} request(method, path, body) resolves
+ *   to { status, headers, body } (parsed JSON when it is JSON)
+ */
+export async function startServer(mounts, { user = { email: 'operator@example.com', name: 'Operator' } } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    if (user) req.user = user;
+    req.isAuthenticated = () => !!user;
+    next();
+  });
+  for (const [mountPath, router] of Object.entries(mounts)) {
+    app.use(mountPath, router);
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, body) {
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { baseUrl, request, close };
+}
+
+/**
+ * Poll until `check()` returns something truthy, and resolve with it
+ */
+export async function waitFor(check, { timeout = 15000, interval = 20 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
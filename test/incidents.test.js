@@ -0,0 +1,140 @@
+/**
+ * Lifting a boil-water incident (POST /api/incidents/:id/lift): who gets the
+ * lift, and refusing a lift with no one to tell. Texts go through a stubbed
+ * TwilioService.sendSMS, so nothing leaves the machine.
+ */
+
+import { cleanup, startServer, waitFor } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import TwilioService from '../lib/twilio.js';
+import { getBroadcastState } from '../lib/broadcast-queue.js';
+import incidentRoutes from '../api/routes/incidents.js';
+
+const PHONES = ['+16145550001', '+16145550002', '+16145550003'];
+
+// Numbers the stub fails to send to, and a hook run before each send
+const failing = new Set();
+let beforeSend = null;
+const sent = [];
+
+TwilioService.prototype.sendSMS = async function (to, body) {
+  if (beforeSend) await beforeSend(to);
+  sent.push({ to, body });
+  if (failing.has(to)) {
+    return { error: 'Carrier rejected the message', code: '30003', status: 'failed' };
+  }
+  return { sid: `SM${String(sent.length).padStart(32, '0')}`, status: 'sent' };
+};
+
+let server;
+const subscriberIds = [];
+
+function finished(alertId) {
+  const state = getBroadcastState(alertId);
+  return ['completed', 'failed', 'cancelled'].includes(state.status) && state;
+}
+
+/**
+ * Open an incident, send its notice to every subscriber, and record enough
+ * clean samples to lift it
+ */
+async function openIncident() {
+  const res = await server.request('POST', '/api/incidents', {
+    title: 'Main break on Oak St',
+    message: 'Boil water before drinking until further notice',
+    required_samples: 1
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  db.createIncidentSample({
+    incident_id: res.body.id,
+    location: 'Oak St hydrant',
+    collected_at: res.body.opened_at,
+    result: 'absent'
+  });
+  return res.body;
+}
+
+function lift(incidentId) {
+  return server.request('POST', `/api/incidents/${incidentId}/lift`, { message: 'Boil water notice lifted' });
+}
+
+before(async () => {
+  process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+  process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  process.env.TWILIO_PHONE_NUMBER = '+16145550000';
+  db.initDatabase();
+  for (const [i, phone] of PHONES.entries()) {
+    subscriberIds.push(db.createSubscriber({ name: `Resident ${i + 1}`, phone, status: 'active' }).id);
+  }
+  server = await startServer({ '/api/incidents': incidentRoutes });
+});
+
+after(async () => {
+  await server.close();
+  cleanup();
+});
+
+beforeEach(() => {
+  failing.clear();
+  beforeSend = null;
+  sent.length = 0;
+});
+
+describe('lifting an incident', () => {
+  it('sends the lift only to active subscribers the notice reached', async () => {
+    failing.add(PHONES[1]);
+    const incident = await openIncident();
+    await waitFor(() => finished(incident.notice.alert_id));
+    db.updateSubscriber(subscriberIds[2], { status: 'opted_out' });
+
+    sent.length = 0;
+    const res = await lift(incident.id);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'lifted');
+    assert.equal(res.body.lift.recipient_count, 1);
+    await waitFor(() => finished(res.body.lift.alert_id));
+    assert.deepEqual(sent.map(s => s.to), [PHONES[0]]);
+
+    db.updateSubscriber(subscriberIds[2], { status: 'active' });
+  });
+
+  it('counts recipients the notice is still queued for', async () => {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    beforeSend = () => held;
+
+    const incident = await openIncident();
+    const res = await lift(incident.id);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.lift.recipient_count, 3);
+
+    // The notice goes out first, then the lift
+    beforeSend = null;
+    release();
+    await waitFor(() => finished(res.body.lift.alert_id));
+    assert.deepEqual(sent.map(s => s.body.includes('lifted')), [false, false, false, true, true, true]);
+  });
+
+  it('refuses a lift when no one received the notice, and leaves the incident open', async () => {
+    PHONES.forEach(phone => failing.add(phone));
+    const incident = await openIncident();
+    await waitFor(() => finished(incident.notice.alert_id));
+
+    const res = await lift(incident.id);
+    assert.equal(res.status, 409);
+    assert.equal(db.getIncidentById(incident.id).status, 'open');
+    assert.equal(db.getIncidentAlerts(incident.id).length, 1);
+  });
+
+  it('refuses to lift twice', async () => {
+    const incident = await openIncident();
+    await waitFor(() => finished(incident.notice.alert_id));
+    assert.equal((await lift(incident.id)).status, 200);
+
+    const res = await lift(incident.id);
+    assert.equal(res.status, 409);
+    assert.equal(db.getIncidentAlerts(incident.id).filter(a => a.type === 'boil_lifted').length, 1);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * SMS encoding and segment counts (lib/sms-segments.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMessage, getNonGsmCharacters } from '../lib/sms-segments.js';
+
+describe('GSM-7', () => {
+  it('fits 160 characters in one segment', () => {
+    const result = analyzeMessage('a'.repeat(160));
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.units, 160);
+    assert.equal(result.segments, 1);
+    assert.equal(result.unitsPerSegment, 160);
+    assert.deepEqual(result.nonGsmCharacters, []);
+  });
+
+  it('splits longer messages into 153-character segments', () => {
+    assert.equal(analyzeMessage('a'.repeat(161)).segments, 2);
+    assert.equal(analyzeMessage('a'.repeat(306)).segments, 2);
+    assert.equal(analyzeMessage('a'.repeat(307)).segments, 3);
+    assert.equal(analyzeMessage('a'.repeat(161)).unitsPerSegment, 153);
+  });
+
+  it('counts extension characters as two', () => {
+    const result = analyzeMessage('€'.repeat(80));
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.units, 160);
+    assert.equal(result.segments, 1);
+    assert.equal(analyzeMessage(`${'a'.repeat(159)}[`).segments, 2);
+  });
+
+  it('keeps an extension character whole at a segment boundary', () => {
+    // 152 septets, then a two-septet character that doesn't fit in the first segment
+    const result = analyzeMessage(`${'a'.repeat(152)}{${'a'.repeat(10)}`);
+    assert.equal(result.units, 164);
+    assert.equal(result.segments, 2);
+    assert.equal(analyzeMessage(`${'a'.repeat(152)}{${'a'.repeat(151)}`).segments, 2);
+    assert.equal(analyzeMessage(`${'a'.repeat(152)}{${'a'.repeat(152)}`).segments, 3);
+  });
+
+  it('treats an empty message as one segment', () => {
+    assert.deepEqual(analyzeMessage(''), { encoding: 'GSM-7', units: 0, segments: 1, unitsPerSegment: 160, nonGsmCharacters: [] });
+    assert.equal(analyzeMessage(null).segments, 1);
+  });
+});
+
+describe('UCS-2', () => {
+  it('is used for any character outside GSM-7', () => {
+    const result = analyzeMessage('Water is off — sorry');
+    assert.equal(result.encoding, 'UCS-2');
+    assert.deepEqual(result.nonGsmCharacters, ['—']);
+  });
+
+  it('fits 70 units in one segment and 67 per segment after that', () => {
+    assert.equal(analyzeMessage(`${'a'.repeat(69)}’`).segments, 1);
+    const result = analyzeMessage(`${'a'.repeat(70)}’`);
+    assert.equal(result.segments, 2);
+    assert.equal(result.unitsPerSegment, 67);
+    assert.equal(analyzeMessage(`${'a'.repeat(133)}’`).segments, 2);
+    assert.equal(analyzeMessage(`${'a'.repeat(134)}’`).segments, 3);
+  });
+
+  it('counts emoji outside the Basic Multilingual Plane as two units, never split', () => {
+    assert.equal(analyzeMessage('💧').units, 2);
+    assert.equal(analyzeMessage('💧'.repeat(35)).segments, 1);
+    // 66 units, then an emoji that doesn't fit in the first segment
+    const result = analyzeMessage(`${'a'.repeat(66)}💧${'a'.repeat(5)}`);
+    assert.equal(result.units, 73);
+    assert.equal(result.segments, 2);
+  });
+});
+
+describe('getNonGsmCharacters', () => {
+  it('lists each character that forces UCS-2 once, in order of first use', () => {
+    assert.deepEqual(getNonGsmCharacters('“Boil” your water — “now”'), ['“', '”', '—']);
+    assert.deepEqual(getNonGsmCharacters('Café at 5pm: €2 {ok}'), []);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tank fill/draw rates and hours of storage remaining (lib/tank-flow.js),
+ * from readings stored in a throwaway database
+ */
+
+import { cleanup } from './helpers.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import { calculateFlowMetrics } from '../lib/tank-flow.js';
+
+const MINUTE = 60 * 1000;
+
+// 10,000 gallons over 400 cm: 25 gallons per cm
+const TANK = { capacity_gal: 10000, height_cm: 400, geometry: 'vertical_cylinder' };
+
+let sensorCount = 0;
+
+/**
+ * Register a tank with a sensor that read `depthAt(minutesAgo)` at each of `minutesAgo`
+ */
+function tankWithReadings(minutesAgo, depthAt) {
+  const sensor_id = `test-sensor-${++sensorCount}`;
+  const { id } = db.createTank({ name: `Tank ${sensorCount}`, ...TANK, sensor_id });
+  const now = Date.now();
+  for (const m of minutesAgo) {
+    db.insertTankReading({ device_id: sensor_id, depth_cm: depthAt(m), recorded_at: new Date(now - m * MINUTE).toISOString() });
+  }
+  return db.getTankById(id);
+}
+
+// Every 5 minutes over the last 40
+const LAST_40_MINUTES = [40, 35, 30, 25, 20, 15, 10, 5, 1];
+
+before(() => {
+  db.initDatabase();
+});
+
+after(() => {
+  cleanup();
+});
+
+describe('calculateFlowMetrics', () => {
+  it('measures a draining tank and how long it will last', () => {
+    // 40 cm (1,000 gallons) an hour, down to 200 cm (5,000 gallons) now
+    const tank = tankWithReadings(LAST_40_MINUTES, m => 200 + (40 * m) / 60);
+    const metrics = calculateFlowMetrics(tank);
+
+    assert.equal(metrics.trend, 'draining');
+    assert.equal(metrics.netRateGph, -1000);
+    assert.equal(metrics.drawRateGph, 1000);
+    assert.equal(metrics.fillRateGph, 0);
+    assert.equal(metrics.hoursRemaining, 5);
+    assert.equal(metrics.sampleCount, LAST_40_MINUTES.length);
+    assert.equal(metrics.windowMinutes, 60);
+  });
+
+  it('uses the current gallons given for hours remaining', () => {
+    const tank = tankWithReadings(LAST_40_MINUTES, m => 200 + (40 * m) / 60);
+    assert.equal(calculateFlowMetrics(tank, 2500).hoursRemaining, 2.5);
+  });
+
+  it('measures a filling tank', () => {
+    const tank = tankWithReadings(LAST_40_MINUTES, m => 300 - (20 * m) / 60);
+    const metrics = calculateFlowMetrics(tank);
+
+    assert.equal(metrics.trend, 'filling');
+    assert.equal(metrics.fillRateGph, 500);
+    assert.equal(metrics.drawRateGph, 0);
+    assert.equal(metrics.hoursRemaining, null);
+  });
+
+  it('calls small changes steady', () => {
+    // Wobbling by 0.1 cm (2.5 gallons)
+    const tank = tankWithReadings(LAST_40_MINUTES, m => 250 + (m % 10 === 0 ? 0.1 : 0));
+    const metrics = calculateFlowMetrics(tank);
+
+    assert.equal(metrics.trend, 'steady');
+    assert.equal(metrics.fillRateGph, 0);
+    assert.equal(metrics.drawRateGph, 0);
+    assert.equal(metrics.hoursRemaining, null);
+  });
+
+  it('ignores readings older than the window', () => {
+    // Filling an hour ago, draining since
+    const tank = tankWithReadings([120, 100, 80, ...LAST_40_MINUTES], m => (m > 60 ? m : 200 + (40 * m) / 60));
+    const metrics = calculateFlowMetrics(tank);
+
+    assert.equal(metrics.trend, 'draining');
+    assert.equal(metrics.sampleCount, LAST_40_MINUTES.length);
+  });
+
+  it('needs readings spanning at least 15 minutes', () => {
+    assert.equal(calculateFlowMetrics(tankWithReadings([10, 5, 1], m => 200 + m)), null);
+    assert.equal(calculateFlowMetrics(tankWithReadings([1], m => 200 + m)), null);
+  });
+
+  it('needs a sensor and a calibration', () => {
+    const { id } = db.createTank({ name: 'No sensor', ...TANK });
+    assert.equal(calculateFlowMetrics(db.getTankById(id)), null);
+
+    const uncalibrated = tankWithReadings(LAST_40_MINUTES, m => 200 + m);
+    assert.equal(calculateFlowMetrics({ ...uncalibrated, height_cm: null }), null);
+  });
+});
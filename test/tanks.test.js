@@ -0,0 +1,97 @@
+/**
+ * Tank depth-to-volume conversion (lib/tanks.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillFraction, heightFromReference, interpolateStrapping, depthToVolume } from '../lib/tanks.js';
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('fillFraction', () => {
+  it('is linear for vertical cylinders and rectangular tanks', () => {
+    for (const geometry of ['vertical_cylinder', 'rectangular']) {
+      assert.equal(fillFraction(geometry, 0), 0);
+      assert.equal(fillFraction(geometry, 0.25), 0.25);
+      assert.equal(fillFraction(geometry, 1), 1);
+    }
+  });
+
+  it('follows the circular segment for horizontal cylinders', () => {
+    near(fillFraction('horizontal_cylinder', 0), 0);
+    near(fillFraction('horizontal_cylinder', 0.5), 0.5);
+    near(fillFraction('horizontal_cylinder', 1), 1);
+    // A quarter of the way up holds less than a quarter of the volume
+    near(fillFraction('horizontal_cylinder', 0.25), 0.1955, 1e-4);
+    near(fillFraction('horizontal_cylinder', 0.75), 1 - fillFraction('horizontal_cylinder', 0.25));
+  });
+
+  it('clamps depths outside the tank', () => {
+    assert.equal(fillFraction('vertical_cylinder', -0.2), 0);
+    assert.equal(fillFraction('vertical_cylinder', 1.3), 1);
+    near(fillFraction('horizontal_cylinder', 1.3), 1);
+  });
+});
+
+describe('heightFromReference', () => {
+  it('is the depth itself at full capacity', () => {
+    assert.equal(heightFromReference('horizontal_cylinder', 240, 1), 240);
+  });
+
+  it('scales linearly for a vertical cylinder', () => {
+    near(heightFromReference('vertical_cylinder', 150, 0.5), 300, 1e-6);
+  });
+
+  it('inverts the horizontal cylinder curve', () => {
+    const height = heightFromReference('horizontal_cylinder', 60, fillFraction('horizontal_cylinder', 0.25));
+    near(height, 240, 1e-6);
+  });
+});
+
+describe('interpolateStrapping', () => {
+  const points = [
+    { depth_cm: 0, gallons: 0 },
+    { depth_cm: 100, gallons: 1000 },
+    { depth_cm: 200, gallons: 3000 }
+  ];
+
+  it('returns the table value at a point', () => {
+    assert.equal(interpolateStrapping(points, 100), 1000);
+    assert.equal(interpolateStrapping(points, 200), 3000);
+  });
+
+  it('interpolates linearly between points', () => {
+    assert.equal(interpolateStrapping(points, 50), 500);
+    assert.equal(interpolateStrapping(points, 150), 2000);
+  });
+
+  it('clamps to the first and last entries', () => {
+    assert.equal(interpolateStrapping(points, -10), 0);
+    assert.equal(interpolateStrapping(points, 250), 3000);
+  });
+});
+
+describe('depthToVolume', () => {
+  const cal = { heightCm: 400, capacityGal: 10000, geometry: 'vertical_cylinder', strapping: [] };
+
+  it('converts depth by geometry', () => {
+    assert.deepEqual(depthToVolume(100, cal), { percentage: 25, gallons: 2500 });
+  });
+
+  it('prefers a strapping table', () => {
+    const strapped = { ...cal, strapping: [{ depth_cm: 0, gallons: 0 }, { depth_cm: 400, gallons: 8000 }] };
+    assert.deepEqual(depthToVolume(100, strapped), { percentage: 20, gallons: 2000 });
+  });
+
+  it('caps the percentage but not the gallons of an overfull reading', () => {
+    assert.deepEqual(depthToVolume(440, cal), { percentage: 100, gallons: 11000 });
+  });
+
+  it('is unknown without a depth or a calibration', () => {
+    assert.deepEqual(depthToVolume(null, cal), { percentage: null, gallons: null });
+    assert.deepEqual(depthToVolume(100, null), { percentage: null, gallons: null });
+    assert.deepEqual(depthToVolume(100, { ...cal, heightCm: null }), { percentage: null, gallons: null });
+  });
+});
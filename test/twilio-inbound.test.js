@@ -0,0 +1,261 @@
+/**
+ * Inbound SMS webhook (POST /api/twilio/inbound) and double opt-in
+ * (lib/opt-in.js). Requests are signed locally with a dummy auth token, the
+ * same way Twilio signs them; texts go through a stubbed TwilioService.sendSMS.
+ */
+
+import { cleanup, startServer, waitFor } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Twilio from 'twilio';
+import * as db from '../db/database.js';
+import TwilioService from '../lib/twilio.js';
+import { expireUnconfirmed } from '../lib/opt-in.js';
+import twilioRoutes from '../api/routes/twilio.js';
+import subscriberRoutes from '../api/routes/subscribers.js';
+import {
+  HELP_MESSAGE,
+  OPT_OUT_CONFIRMATION,
+  OPT_IN_CONFIRMATION,
+  CONFIRMATION_REQUEST,
+  NOT_SUBSCRIBED_MESSAGE
+} from '../lib/sms-keywords.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const PHONE = '+16145550101';
+
+const sent = [];
+
+TwilioService.prototype.sendSMS = async function (to, body) {
+  sent.push({ to, body });
+  return { sid: `SM${String(sent.length).padStart(32, '0')}`, status: 'queued' };
+};
+
+let server;
+
+/**
+ * POST a form body to /api/twilio/inbound, signed with `authToken`
+ * (or with no signature header at all when `authToken` is null)
+ */
+async function postInbound(params, { authToken = AUTH_TOKEN } = {}) {
+  const url = `${server.baseUrl}/api/twilio/inbound`;
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (authToken) {
+    headers['X-Twilio-Signature'] = Twilio.getExpectedTwilioSignature(authToken, url, params);
+  }
+  const res = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(params) });
+  return { status: res.status, text: await res.text() };
+}
+
+/**
+ * The TwiML the webhook answers with when it replies `message`
+ */
+function twimlReply(message) {
+  const twiml = new Twilio.twiml.MessagingResponse();
+  twiml.message(message);
+  return twiml.toString();
+}
+
+function sms(Body, From = PHONE) {
+  return { From, Body, MessageSid: 'SM00000000000000000000000000000001' };
+}
+
+function getSubscriber(phone = PHONE) {
+  return db.getSubscriberByPhone(phone);
+}
+
+before(async () => {
+  process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+  process.env.TWILIO_PHONE_NUMBER = '+16145550000';
+  db.initDatabase();
+  // Not logged in, like Twilio and the public opt-in page
+  server = await startServer({ '/api/twilio': twilioRoutes, '/api/subscribers': subscriberRoutes }, { user: null });
+});
+
+after(async () => {
+  await server.close();
+  cleanup();
+});
+
+beforeEach(() => {
+  sent.length = 0;
+  const existing = getSubscriber();
+  if (existing) db.deleteSubscriber(existing.id);
+  db.createSubscriber({ name: 'Test Resident', phone: PHONE, status: 'active' });
+});
+
+describe('STOP', () => {
+  for (const word of ['STOP', 'UNSUBSCRIBE']) {
+    it(`${word} opts the subscriber out`, async () => {
+      const res = await postInbound(sms(word));
+      assert.equal(res.status, 200);
+      assert.equal(res.text, twimlReply(OPT_OUT_CONFIRMATION));
+
+      const subscriber = getSubscriber();
+      assert.equal(subscriber.status, 'opted_out');
+      assert.ok(subscriber.opted_out_at);
+    });
+  }
+});
+
+describe('START', () => {
+  it('opts an opted-out subscriber back in', async () => {
+    await postInbound(sms('STOP'));
+    assert.ok(getSubscriber().opted_out_at);
+
+    const res = await postInbound(sms('START'));
+    assert.equal(res.status, 200);
+    assert.equal(res.text, twimlReply(OPT_IN_CONFIRMATION));
+
+    const subscriber = getSubscriber();
+    assert.equal(subscriber.status, 'active');
+    assert.ok(subscriber.opted_in_at);
+    assert.equal(subscriber.opted_out_at, null);
+  });
+});
+
+describe('HELP', () => {
+  it('replies with the help message', async () => {
+    const res = await postInbound(sms('HELP'));
+    assert.equal(res.status, 200);
+    assert.equal(res.text, twimlReply(HELP_MESSAGE));
+    assert.equal(getSubscriber().status, 'active');
+  });
+});
+
+describe('double opt-in', () => {
+  const SIGNUP_PHONE = '+16145550202';
+
+  function audit(phone = SIGNUP_PHONE) {
+    return db.getConsentAudit(phone);
+  }
+
+  /**
+   * Sign up on the opt-in page with the consent box ticked
+   */
+  async function signUp(body = {}) {
+    const res = await server.request('POST', '/api/subscribers', {
+      name: 'New Resident', phone: SIGNUP_PHONE, status: 'active', ...body
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  beforeEach(() => {
+    const existing = getSubscriber(SIGNUP_PHONE);
+    if (existing) db.deleteSubscriber(existing.id);
+  });
+
+  it('keeps a signup pending and texts it the YES request', async () => {
+    const signup = await signUp();
+    assert.equal(signup.status, 'pending');
+    assert.equal(signup.confirmation_requested, true);
+
+    await waitFor(() => audit().some(entry => entry.event === 'confirmation_requested'));
+    assert.deepEqual(sent, [{ to: SIGNUP_PHONE, body: CONFIRMATION_REQUEST }]);
+    assert.ok(getSubscriber(SIGNUP_PHONE).confirmation_requested_at);
+
+    const [entry, request] = audit().slice(-2);
+    assert.equal(entry.event, 'signup');
+    assert.equal(entry.source, 'web');
+    assert.equal(entry.detail, 'Consent box ticked');
+    assert.match(entry.ip, /127\.0\.0\.1/);
+    assert.ok(entry.user_agent);
+    assert.ok(entry.created_at);
+    assert.equal(request.source, 'system');
+    assert.match(request.detail, /^Confirmation text SM/);
+  });
+
+  it('activates the signup when they reply YES', async () => {
+    await signUp();
+
+    const res = await postInbound(sms('YES', SIGNUP_PHONE));
+    assert.equal(res.text, twimlReply(OPT_IN_CONFIRMATION));
+    const subscriber = getSubscriber(SIGNUP_PHONE);
+    assert.equal(subscriber.status, 'active');
+    assert.ok(subscriber.opted_in_at);
+
+    const confirmed = audit().at(-1);
+    assert.equal(confirmed.event, 'confirmed');
+    assert.equal(confirmed.source, 'sms');
+    assert.match(confirmed.detail, /^Replied "YES" \(SM/);
+    assert.ok(confirmed.created_at);
+  });
+
+  it('asks a pending signup that texts START to reply YES', async () => {
+    await signUp();
+
+    const res = await postInbound(sms('START', SIGNUP_PHONE));
+    assert.equal(res.text, twimlReply(CONFIRMATION_REQUEST));
+    assert.equal(getSubscriber(SIGNUP_PHONE).status, 'pending');
+    assert.ok(!audit().some(entry => entry.event === 'opted_in'));
+
+    const request = audit().at(-1);
+    assert.equal(request.event, 'confirmation_requested');
+    assert.equal(request.source, 'sms');
+  });
+
+  it('does not let YES undo a STOP', async () => {
+    await postInbound(sms('STOP'));
+    const res = await postInbound(sms('YES'));
+    assert.equal(res.text, twimlReply(NOT_SUBSCRIBED_MESSAGE));
+    assert.equal(getSubscriber().status, 'opted_out');
+  });
+
+  it('does not ask landline signups to reply', async () => {
+    const signup = await signUp({ line_type: 'landline' });
+    assert.equal(signup.status, 'active');
+    assert.equal(signup.confirmation_requested, false);
+    assert.deepEqual(audit().slice(-2).map(entry => entry.event), ['signup', 'opted_in']);
+    assert.equal(sent.length, 0);
+  });
+
+  it('deletes signups not confirmed in time, keeping their audit trail', async () => {
+    const { id } = await signUp();
+    await waitFor(() => getSubscriber(SIGNUP_PHONE).confirmation_requested_at);
+    const recent = db.createSubscriber({ name: 'Recent Resident', phone: '+16145550303', status: 'pending' });
+    db.markConfirmationRequested(recent.id);
+
+    // OPT_IN_EXPIRY_HOURS is 72 by default
+    db.getDb().prepare(
+      "UPDATE subscribers SET confirmation_requested_at = datetime('now', '-73 hours') WHERE id = ?"
+    ).run(id);
+    expireUnconfirmed();
+
+    assert.equal(getSubscriber(SIGNUP_PHONE), undefined);
+    assert.equal(getSubscriber('+16145550303').status, 'pending');
+
+    const events = audit();
+    assert.deepEqual(events.map(entry => entry.event).slice(-3), ['signup', 'confirmation_requested', 'expired']);
+    const expired = events.at(-1);
+    assert.equal(expired.source, 'system');
+    assert.match(expired.detail, /^No reply to the confirmation text sent /);
+  });
+});
+
+describe('signature', () => {
+  it('rejects a request without a signature', async () => {
+    const res = await postInbound(sms('STOP'), { authToken: null });
+    assert.equal(res.status, 403);
+    assert.equal(getSubscriber().status, 'active');
+  });
+
+  it('rejects a request signed with the wrong token', async () => {
+    const res = await postInbound(sms('STOP'), { authToken: 'wrong-token' });
+    assert.equal(res.status, 403);
+    assert.equal(getSubscriber().status, 'active');
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const url = `${server.baseUrl}/api/twilio/inbound`;
+    const signature = Twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, sms('HELP'));
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+      body: new URLSearchParams(sms('STOP'))
+    });
+    assert.equal(res.status, 403);
+    assert.equal(getSubscriber().status, 'active');
+  });
+});
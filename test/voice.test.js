@@ -0,0 +1,167 @@
+/**
+ * Voice calls (lib/voice.js, lib/voice-retry.js): call outcomes, which
+ * unanswered calls are placed again, and the voice channel needing
+ * PUBLIC_BASE_URL. Calls go through a stubbed TwilioService.makeCall.
+ */
+
+import { cleanup, waitFor } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import TwilioService from '../lib/twilio.js';
+import { toCallOutcome } from '../lib/voice.js';
+import { retryUnansweredCalls } from '../lib/voice-retry.js';
+import { getBroadcastState } from '../lib/broadcast-queue.js';
+import { isChannelConfigured, getChannelConfigError, CHANNEL_NOT_CONFIGURED } from '../lib/channels.js';
+
+const calls = [];
+
+TwilioService.prototype.makeCall = async function (to, twiml, { statusCallback } = {}) {
+  calls.push({ to, statusCallback });
+  return { sid: `CA${String(calls.length).padStart(32, '0')}`, status: 'queued' };
+};
+
+function setVoiceEnv() {
+  process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+  process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  process.env.TWILIO_PHONE_NUMBER = '+16145550000';
+  process.env.PUBLIC_BASE_URL = 'https://alerts.example.com';
+}
+
+before(() => {
+  setVoiceEnv();
+  db.initDatabase();
+});
+
+after(() => {
+  cleanup();
+});
+
+beforeEach(() => {
+  setVoiceEnv();
+  calls.length = 0;
+});
+
+describe('toCallOutcome', () => {
+  it('counts a call answered by a person or a machine as delivered', () => {
+    assert.deepEqual(toCallOutcome('completed', 'human'), { status: 'delivered', call_outcome: 'answered' });
+    assert.deepEqual(toCallOutcome('completed', 'unknown'), { status: 'delivered', call_outcome: 'answered' });
+    assert.deepEqual(toCallOutcome('completed'), { status: 'delivered', call_outcome: 'answered' });
+    assert.deepEqual(toCallOutcome('completed', 'machine_end_beep'), { status: 'delivered', call_outcome: 'voicemail' });
+    assert.deepEqual(toCallOutcome('completed', 'machine_end_silence'), { status: 'delivered', call_outcome: 'voicemail' });
+  });
+
+  it('counts a fax machine as failed', () => {
+    assert.deepEqual(toCallOutcome('completed', 'fax'), { status: 'failed', call_outcome: 'failed' });
+  });
+
+  it('marks no answer and busy as undelivered', () => {
+    assert.deepEqual(toCallOutcome('no-answer'), { status: 'undelivered', call_outcome: 'no_answer' });
+    assert.deepEqual(toCallOutcome('busy'), { status: 'undelivered', call_outcome: 'busy' });
+  });
+
+  it('leaves calls still in progress without an outcome', () => {
+    for (const status of ['queued', 'initiated', 'ringing', 'in-progress']) {
+      assert.deepEqual(toCallOutcome(status), { status: 'sent', call_outcome: null });
+    }
+  });
+
+  it('treats anything else as failed', () => {
+    assert.deepEqual(toCallOutcome('failed'), { status: 'failed', call_outcome: 'failed' });
+    assert.deepEqual(toCallOutcome('canceled'), { status: 'failed', call_outcome: 'failed' });
+  });
+});
+
+describe('voice channel configuration', () => {
+  it('needs PUBLIC_BASE_URL as well as Twilio', () => {
+    assert.equal(isChannelConfigured('voice'), true);
+    delete process.env.PUBLIC_BASE_URL;
+    assert.equal(isChannelConfigured('voice'), false);
+    assert.equal(isChannelConfigured('sms'), true);
+    assert.equal(getChannelConfigError([{ channel: 'voice' }]), CHANNEL_NOT_CONFIGURED.voice);
+    assert.match(CHANNEL_NOT_CONFIGURED.voice, /PUBLIC_BASE_URL/);
+    assert.equal(getChannelConfigError([{ channel: 'voice' }, { channel: 'sms' }]), null);
+  });
+});
+
+describe('retrying unanswered calls', () => {
+  let phone = 6145550100;
+
+  function addSubscriber(status = 'active') {
+    return db.createSubscriber({ name: 'Landline', phone: String(phone++), line_type: 'landline', status });
+  }
+
+  /**
+   * Log a finished call to a subscriber about an alert, `minutesAgo`
+   */
+  function logCall(alertId, subscriber, outcome, minutesAgo) {
+    const { lastInsertRowid } = db.logDelivery({
+      alert_id: alertId,
+      subscriber_id: subscriber.id,
+      channel: 'voice',
+      phone: subscriber.phone,
+      status: ['answered', 'voicemail'].includes(outcome) ? 'delivered' : 'undelivered'
+    });
+    db.getDb().prepare(`
+      UPDATE alert_log SET call_outcome = ?, created_at = datetime('now', ?), updated_at = datetime('now', ?)
+      WHERE id = ?
+    `).run(outcome, `-${minutesAgo + 1} minutes`, `-${minutesAgo} minutes`, lastInsertRowid);
+  }
+
+  function boilNotice(fields = {}) {
+    return db.createAlert({ type: 'boil', message: 'Boil water before drinking', status: 'completed', ...fields });
+  }
+
+  it('calls again only the latest unanswered calls that are due', async () => {
+    const notice = boilNotice();
+    const due = addSubscriber();
+    const busyDue = addSubscriber();
+    const tooSoon = addSubscriber();
+    const answered = addSubscriber();
+    const failed = addSubscriber();
+    const optedOut = addSubscriber('opted_out');
+    const triedEnough = addSubscriber();
+    const answeredOnRetry = addSubscriber();
+
+    logCall(notice.id, due, 'no_answer', 40);
+    logCall(notice.id, busyDue, 'busy', 40);
+    logCall(notice.id, tooSoon, 'no_answer', 10);
+    logCall(notice.id, answered, 'answered', 40);
+    logCall(notice.id, failed, 'failed', 40);
+    logCall(notice.id, optedOut, 'no_answer', 40);
+
+    // Three calls already, counting earlier retries
+    const retry1 = boilNotice({ retry_of: notice.id, voice_retry: true });
+    const retry2 = boilNotice({ retry_of: notice.id, voice_retry: true });
+    logCall(notice.id, triedEnough, 'no_answer', 100);
+    logCall(retry1.id, triedEnough, 'no_answer', 70);
+    logCall(retry2.id, triedEnough, 'no_answer', 40);
+
+    // Unanswered at first, answered on a retry
+    logCall(notice.id, answeredOnRetry, 'no_answer', 70);
+    logCall(retry1.id, answeredOnRetry, 'answered', 40);
+
+    const lastId = retry2.id;
+    retryUnansweredCalls();
+
+    const retries = db.getDb().prepare('SELECT * FROM alerts WHERE id > ?').all(lastId);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].retry_of, notice.id);
+    assert.equal(retries[0].voice_retry, 1);
+
+    await waitFor(() => getBroadcastState(retries[0].id).status === 'completed');
+    assert.deepEqual(calls.map(c => c.to).sort(), [due.phone, busyDue.phone].sort());
+    assert.ok(calls.every(c => c.statusCallback === 'https://alerts.example.com/api/twilio/voice-status'));
+  });
+
+  it('does not call about an incident that has been lifted', () => {
+    const { id: incidentId } = db.createIncident({ title: 'Main break' });
+    const notice = boilNotice({ incident_id: incidentId });
+    logCall(notice.id, addSubscriber(), 'no_answer', 40);
+    db.liftIncident(incidentId, { lifted_by: 'operator@example.com' });
+
+    const before = db.getDb().prepare('SELECT MAX(id) as id FROM alerts').get().id;
+    retryUnansweredCalls();
+    assert.equal(db.getDb().prepare('SELECT MAX(id) as id FROM alerts').get().id, before);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Service zones: placing subscribers by location when boundaries change, and
+ * keeping zones set by hand (api/routes/zones.js, api/routes/subscribers.js),
+ * and the boundary geometry behind it (lib/zones.js)
+ */
+
+import { cleanup, startServer } from './helpers.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db/database.js';
+import { parseBoundary, boundaryContains, findZoneForLocation } from '../lib/zones.js';
+import zoneRoutes from '../api/routes/zones.js';
+import subscriberRoutes from '../api/routes/subscribers.js';
+
+// A square around a point, as a GeoJSON Polygon ([longitude, latitude])
+function square(lng, lat, size = 0.01) {
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [lng - size, lat - size], [lng + size, lat - size],
+      [lng + size, lat + size], [lng - size, lat + size],
+      [lng - size, lat - size]
+    ]]
+  };
+}
+
+const HILLTOP = { lat: 39.90, lng: -83.10 };
+const VALLEY = { lat: 39.80, lng: -83.00 };
+
+let server;
+
+async function addSubscriber(body) {
+  const res = await server.request('POST', '/api/subscribers', { status: 'active', ...body });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.id;
+}
+
+function zoneOf(id) {
+  return db.getSubscriberById(id).zone;
+}
+
+before(async () => {
+  delete process.env.GEOCODER_URL;
+  db.initDatabase();
+  server = await startServer({ '/api/zones': zoneRoutes, '/api/subscribers': subscriberRoutes });
+});
+
+after(async () => {
+  await server.close();
+  cleanup();
+});
+
+describe('placing subscribers by location', () => {
+  let hilltopId;
+  let located;
+  let manual;
+
+  it('places a located subscriber in the zone that contains them', async () => {
+    let res = await server.request('POST', '/api/zones', { name: 'Hilltop', boundary: square(HILLTOP.lng, HILLTOP.lat) });
+    assert.equal(res.status, 201);
+    hilltopId = res.body.id;
+    res = await server.request('POST', '/api/zones', { name: 'Valley' });
+    assert.equal(res.status, 201);
+
+    located = await addSubscriber({ name: 'Located', phone: '6145550001', latitude: HILLTOP.lat, longitude: HILLTOP.lng });
+    assert.equal(zoneOf(located), 'Hilltop');
+  });
+
+  it('keeps a zone set by hand when a boundary changes', async () => {
+    manual = await addSubscriber({ name: 'Manual', phone: '6145550002', latitude: HILLTOP.lat, longitude: HILLTOP.lng });
+    const res = await server.request('PUT', `/api/subscribers/${manual}`, { zone: 'Valley' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.zone_manual, 1);
+
+    // Move Hilltop's boundary away from both subscribers, then back
+    await server.request('PUT', `/api/zones/${hilltopId}`, { boundary: square(VALLEY.lng, VALLEY.lat) });
+    assert.equal(zoneOf(located), 'all');
+    assert.equal(zoneOf(manual), 'Valley');
+
+    await server.request('PUT', `/api/zones/${hilltopId}`, { boundary: square(HILLTOP.lng, HILLTOP.lat) });
+    assert.equal(zoneOf(located), 'Hilltop');
+    assert.equal(zoneOf(manual), 'Valley');
+  });
+
+  it('places them by location again on request', async () => {
+    const res = await server.request('PUT', `/api/subscribers/${manual}`, { zone: 'auto' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.zone, 'Hilltop');
+    assert.equal(res.body.zone_manual, 0);
+  });
+
+  it('places them by location again when their location changes', async () => {
+    await server.request('PUT', `/api/subscribers/${manual}`, { zone: 'Valley' });
+    const res = await server.request('PUT', `/api/subscribers/${manual}`, { latitude: HILLTOP.lat, longitude: HILLTOP.lng + 0.001 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.zone, 'Hilltop');
+    assert.equal(res.body.zone_manual, 0);
+  });
+
+  it('reserves "auto" as a zone name', async () => {
+    const res = await server.request('POST', '/api/zones', { name: 'Auto' });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('geocoding', () => {
+  it('is off unless GEOCODER_URL is set', async () => {
+    const id = await addSubscriber({ name: 'Address only', phone: '6145550003', address: '123 Main St, Grove City, OH' });
+    const subscriber = db.getSubscriberById(id);
+    assert.equal(subscriber.address, '123 Main St, Grove City, OH');
+    assert.equal(subscriber.latitude, null);
+    assert.equal(subscriber.zone, 'all');
+  });
+});
+
+describe('parseBoundary', () => {
+  const polygon = square(HILLTOP.lng, HILLTOP.lat);
+
+  it('accepts a Polygon, a Feature, or a JSON string', () => {
+    const expected = JSON.stringify(polygon);
+    assert.equal(parseBoundary(polygon).boundary, expected);
+    assert.equal(parseBoundary({ type: 'Feature', properties: {}, geometry: polygon }).boundary, expected);
+    assert.equal(parseBoundary(expected).boundary, expected);
+  });
+
+  it('accepts a MultiPolygon', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [polygon.coordinates, square(VALLEY.lng, VALLEY.lat).coordinates] };
+    assert.equal(parseBoundary(multi).boundary, JSON.stringify(multi));
+  });
+
+  it('clears the boundary with null or an empty string', () => {
+    assert.deepEqual(parseBoundary(null), { boundary: null });
+    assert.deepEqual(parseBoundary(''), { boundary: null });
+  });
+
+  it('rejects anything else', () => {
+    assert.ok(parseBoundary('not json').error);
+    assert.ok(parseBoundary({ type: 'Point', coordinates: [HILLTOP.lng, HILLTOP.lat] }).error);
+    assert.ok(parseBoundary({ type: 'Polygon', coordinates: [] }).error);
+    // Too few points, and latitude/longitude swapped out of range
+    assert.ok(parseBoundary({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }).error);
+    assert.ok(parseBoundary({ type: 'Polygon', coordinates: [[[0, 95], [1, 95], [1, 96], [0, 95]]] }).error);
+  });
+});
+
+describe('boundaryContains', () => {
+  it('finds points inside a Polygon', () => {
+    const polygon = square(HILLTOP.lng, HILLTOP.lat);
+    assert.equal(boundaryContains(polygon, HILLTOP.lat, HILLTOP.lng), true);
+    assert.equal(boundaryContains(polygon, VALLEY.lat, VALLEY.lng), false);
+    // Latitude first, unlike GeoJSON
+    assert.equal(boundaryContains(polygon, HILLTOP.lng, HILLTOP.lat), false);
+  });
+
+  it('leaves out holes', () => {
+    const withHole = {
+      type: 'Polygon',
+      coordinates: [...square(HILLTOP.lng, HILLTOP.lat).coordinates, ...square(HILLTOP.lng, HILLTOP.lat, 0.002).coordinates]
+    };
+    assert.equal(boundaryContains(withHole, HILLTOP.lat, HILLTOP.lng), false);
+    assert.equal(boundaryContains(withHole, HILLTOP.lat + 0.005, HILLTOP.lng), true);
+  });
+
+  it('checks every polygon of a MultiPolygon', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [square(HILLTOP.lng, HILLTOP.lat).coordinates, square(VALLEY.lng, VALLEY.lat).coordinates] };
+    assert.equal(boundaryContains(multi, VALLEY.lat, VALLEY.lng), true);
+    assert.equal(boundaryContains(multi, 39.85, -83.05), false);
+  });
+
+  it('picks the zone for a location, or "all"', () => {
+    const zones = [
+      { name: 'No boundary', boundary: null },
+      { name: 'Valley', boundary: JSON.stringify(square(VALLEY.lng, VALLEY.lat)) }
+    ];
+    assert.equal(findZoneForLocation(VALLEY.lat, VALLEY.lng, zones), 'Valley');
+    assert.equal(findZoneForLocation(HILLTOP.lat, HILLTOP.lng, zones), 'all');
+    assert.equal(findZoneForLocation(null, null, zones), 'all');
+  });
+});